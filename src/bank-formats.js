@@ -0,0 +1,287 @@
+// Bank export formats: which CSV columns hold what, and which payment methods use them
+const { TRANSACTION_TYPES } = require('./transaction-types');
+const { isValidDatePattern } = require('./dates');
+
+const SIGN_CONVENTIONS = ['charges-positive', 'charges-negative'];
+const COLUMN_KEYS = ['transactionDate', 'description', 'amount'];
+// Optional columns for statements with amounts in more than one currency
+const CURRENCY_COLUMN_KEYS = ['currencyColumn', 'originalAmountColumn', 'originalCurrencyColumn'];
+
+// Bank-specific CSV field mappings
+const BANK_MAPPINGS = {
+  chase: {
+    transactionDate: 'Transaction Date',
+    description: 'Description',
+    amount: 'Amount',
+    extraColumns: {},
+    dateFormat: 'MM/DD/YYYY',
+    signConvention: 'charges-negative',
+    typeColumn: 'Type',
+    typeMap: { Sale: 'charge', Return: 'refund', Payment: 'payment', Fee: 'fee' },
+    paymentMethods: ['Chase Freedom', 'Chase Sapphire', 'Chase Southwest'],
+  },
+  amex: {
+    // Amex-specific field mappings
+    transactionDate: 'Date',
+    description: 'Description',
+    amount: 'Amount',
+    extraColumns: {},
+    dateFormat: 'MM/DD/YYYY',
+    signConvention: 'charges-positive',
+    // Foreign charges say "Foreign Spend Amount: 45.00 Euros" here
+    originalAmountColumn: 'Extended Details',
+    paymentMethods: ['Amex Platinum'],
+  },
+  apple: {
+    // Apple Card-specific field mappings
+    transactionDate: 'Transaction Date',
+    description: 'Merchant',
+    amount: 'Amount (USD)',
+    currency: 'USD',
+    extraColumns: {},
+    dateFormat: 'MM/DD/YYYY',
+    signConvention: 'charges-positive',
+    typeColumn: 'Type',
+    typeMap: { Purchase: 'charge', Installment: 'charge', Credit: 'refund', Payment: 'payment', Interest: 'fee' },
+    paymentMethods: ['Apple Card'],
+  }
+};
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Check user-declared bank formats and return a list of readable problems (empty when valid).
+// Formats that override a built-in only need the fields they change. When the config has a
+// cards section, cards name their format, so new formats need not list payment methods.
+function validateBankFormats(formats, builtIns = BANK_MAPPINGS, { requirePaymentMethods = true } = {}) {
+  const errors = [];
+
+  if (!formats || typeof formats !== 'object' || Array.isArray(formats)) {
+    return ['bankFormats must be an object keyed by format name'];
+  }
+
+  for (const [name, format] of Object.entries(formats)) {
+    const where = `bankFormats.${name}`;
+
+    if (!format || typeof format !== 'object' || Array.isArray(format)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    const isOverride = Boolean(builtIns[name]);
+    for (const key of COLUMN_KEYS) {
+      if (format[key] === undefined && isOverride) continue;
+      if (!isNonEmptyString(format[key])) {
+        errors.push(`${where}.${key} must be the name of a CSV column`);
+      }
+    }
+
+    if (format.extraColumns !== undefined) {
+      if (!format.extraColumns || typeof format.extraColumns !== 'object' || Array.isArray(format.extraColumns)) {
+        errors.push(`${where}.extraColumns must map field names to CSV column names`);
+      } else {
+        for (const [field, column] of Object.entries(format.extraColumns)) {
+          if (!isNonEmptyString(column)) {
+            errors.push(`${where}.extraColumns.${field} must be the name of a CSV column`);
+          }
+        }
+      }
+    }
+
+    // One pattern, or a list tried in order
+    if (format.dateFormat !== undefined) {
+      const patterns = [].concat(format.dateFormat);
+      if (patterns.length === 0 || !patterns.every(isValidDatePattern)) {
+        errors.push(`${where}.dateFormat must be a date pattern such as "MM/DD/YYYY" or "DD MMM YYYY", or a list of them`);
+      }
+    }
+
+    if (format.signConvention !== undefined && !SIGN_CONVENTIONS.includes(format.signConvention)) {
+      errors.push(`${where}.signConvention must be one of: ${SIGN_CONVENTIONS.join(', ')}`);
+    }
+
+    // The amount column's currency, for exports in a currency other than the home one
+    if (format.currency !== undefined && !/^[A-Z]{3}$/.test(format.currency)) {
+      errors.push(`${where}.currency must be a three-letter currency code such as "EUR"`);
+    }
+    for (const key of CURRENCY_COLUMN_KEYS) {
+      if (format[key] !== undefined && !isNonEmptyString(format[key])) {
+        errors.push(`${where}.${key} must be the name of a CSV column`);
+      }
+    }
+
+    if (format.typeColumn !== undefined && !isNonEmptyString(format.typeColumn)) {
+      errors.push(`${where}.typeColumn must be the name of a CSV column`);
+    }
+
+    if (format.typeMap !== undefined) {
+      if (!format.typeMap || typeof format.typeMap !== 'object' || Array.isArray(format.typeMap)) {
+        errors.push(`${where}.typeMap must map values of the type column to a transaction type`);
+      } else {
+        for (const [value, type] of Object.entries(format.typeMap)) {
+          if (!TRANSACTION_TYPES.includes(type)) {
+            errors.push(`${where}.typeMap.${value} must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+          }
+        }
+      }
+    }
+
+    if (format.paymentMethods === undefined) {
+      if (!isOverride && requirePaymentMethods) errors.push(`${where}.paymentMethods must list at least one payment method`);
+    } else if (
+      !Array.isArray(format.paymentMethods) ||
+      format.paymentMethods.length === 0 ||
+      !format.paymentMethods.every(isNonEmptyString)
+    ) {
+      errors.push(`${where}.paymentMethods must list at least one payment method`);
+    }
+  }
+
+  // A payment method can only belong to one format
+  const owners = new Map();
+  for (const [name, format] of Object.entries(mergeBankFormats(formats, builtIns, { skipInvalid: true }))) {
+    for (const method of Array.isArray(format.paymentMethods) ? format.paymentMethods : []) {
+      const key = String(method).toLowerCase();
+      if (owners.has(key) && owners.get(key) !== name) {
+        errors.push(`Payment method "${method}" is used by both bankFormats.${owners.get(key)} and bankFormats.${name}`);
+      }
+      owners.set(key, name);
+    }
+  }
+
+  return errors;
+}
+
+// Merge user-declared formats over the built-in ones. A user format with a built-in's name
+// overrides just the fields it sets; when it lists payment methods, those move to it.
+function mergeBankFormats(formats = {}, builtIns = BANK_MAPPINGS, { skipInvalid = false } = {}) {
+  const merged = {};
+  for (const [name, format] of Object.entries(builtIns)) {
+    merged[name] = { ...format, extraColumns: { ...format.extraColumns }, paymentMethods: [...format.paymentMethods] };
+  }
+
+  for (const [name, format] of Object.entries(formats || {})) {
+    if (skipInvalid && (!format || typeof format !== 'object')) continue;
+    merged[name] = {
+      extraColumns: {},
+      dateFormat: 'MM/DD/YYYY',
+      signConvention: 'charges-positive',
+      paymentMethods: [],
+      ...merged[name],
+      ...format,
+    };
+  }
+
+  // Payment methods claimed by a user format are removed from the built-ins
+  for (const [name, format] of Object.entries(formats || {})) {
+    if (!format || !Array.isArray(format.paymentMethods) || builtIns[name]) continue;
+    const claimed = format.paymentMethods.map((method) => String(method).toLowerCase());
+    for (const builtInName of Object.keys(builtIns)) {
+      if (formats[builtInName]) continue;
+      merged[builtInName].paymentMethods = merged[builtInName].paymentMethods
+        .filter((method) => !claimed.includes(method.toLowerCase()));
+    }
+  }
+
+  return merged;
+}
+
+// Find the format name used by a payment method, or null
+function findBankForPaymentMethod(paymentMethod, bankMappings = BANK_MAPPINGS) {
+  const wanted = String(paymentMethod || '').toLowerCase();
+  for (const [name, format] of Object.entries(bankMappings)) {
+    if ((format.paymentMethods || []).some((method) => method.toLowerCase() === wanted)) {
+      return name;
+    }
+  }
+  return null;
+}
+
+// Header cells as exported, without a byte order mark or stray whitespace
+function normalizeHeader(header) {
+  return String(header).replace(/^\uFEFF/, '').trim();
+}
+
+// Columns a CSV must have for a format to apply
+function getRequiredColumns(format) {
+  return COLUMN_KEYS.map((key) => format[key]);
+}
+
+// Score every format against a CSV header row. A format matches when all of its required
+// columns are present; the more of its declared columns the header has, the better the match.
+function detectBankFormats(headers, bankMappings = BANK_MAPPINGS) {
+  const present = new Set(headers.map(normalizeHeader));
+
+  return Object.entries(bankMappings)
+    .map(([bank, format]) => {
+      const required = getRequiredColumns(format);
+      const declared = [...required, ...Object.values(format.extraColumns || {})];
+      return {
+        bank,
+        missing: required.filter((column) => !present.has(column)),
+        score: declared.filter((column) => present.has(column)).length,
+      };
+    })
+    .filter((candidate) => candidate.missing.length === 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ bank, score }) => ({ bank, score }));
+}
+
+const describeFormat = (bank, bankMappings) => `${bank} (${getRequiredColumns(bankMappings[bank]).join(', ')})`;
+
+// Pick the format for a CSV from its header row, failing loudly when the header matches no
+// known bank or contradicts the payment method's format. Without a payment method the best
+// unambiguous match wins.
+function resolveBankFormat(headers, paymentMethod, bankMappings = BANK_MAPPINGS, fileLabel = 'The CSV file') {
+  const columns = headers.map(normalizeHeader);
+  const candidates = detectBankFormats(columns, bankMappings);
+
+  if (candidates.length === 0) {
+    const expected = Object.keys(bankMappings).map((bank) => describeFormat(bank, bankMappings)).join('; ');
+    throw new Error(
+      `${fileLabel} does not match any known bank format. Found columns: ${columns.join(', ')}. Expected one of: ${expected}`
+    );
+  }
+
+  if (!paymentMethod) {
+    const best = candidates.filter((candidate) => candidate.score === candidates[0].score);
+    if (best.length > 1) {
+      throw new Error(
+        `${fileLabel} matches more than one bank format (${best.map((c) => c.bank).join(', ')}). Specify the payment method.`
+      );
+    }
+    return candidates[0].bank;
+  }
+
+  const expectedBank = findBankForPaymentMethod(paymentMethod, bankMappings);
+  if (!expectedBank) {
+    throw new Error(`Unsupported payment method: ${paymentMethod}. Cannot determine bank type.`);
+  }
+
+  if (!candidates.some((candidate) => candidate.bank === expectedBank)) {
+    const missing = getRequiredColumns(bankMappings[expectedBank]).filter((column) => !columns.includes(column));
+    throw new Error(
+      `${fileLabel} matches the ${candidates[0].bank} format, but payment method "${paymentMethod}" uses the ` +
+      `${describeFormat(expectedBank, bankMappings)} format. Missing columns: ${missing.join(', ')}`
+    );
+  }
+
+  return expectedBank;
+}
+
+// Every payment method any format accepts
+function getPaymentMethods(bankMappings = BANK_MAPPINGS) {
+  return Object.values(bankMappings).flatMap((format) => format.paymentMethods || []);
+}
+
+module.exports = {
+  BANK_MAPPINGS,
+  SIGN_CONVENTIONS,
+  validateBankFormats,
+  mergeBankFormats,
+  findBankForPaymentMethod,
+  normalizeHeader,
+  getRequiredColumns,
+  detectBankFormats,
+  resolveBankFormat,
+  getPaymentMethods,
+};
@@ -0,0 +1,204 @@
+// Batch imports: several statements in one run, given as files, folders or globs on the
+// command line, or in a manifest that names the card and user of each one
+const fs = require('fs').promises;
+const path = require('path');
+const { OFX_BANK_FORMAT } = require('./profiles');
+
+const STATEMENT_EXTENSIONS = ['.csv', '.ofx', '.qfx'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Statements have one of these extensions; hidden files and partial downloads are ignored
+function isStatementFile(fileName) {
+  return !fileName.startsWith('.') && STATEMENT_EXTENSIONS.includes(path.extname(fileName).toLowerCase());
+}
+
+const squash = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Pick the card a statement is for. The card must use the bank format its header matched
+// (OFX/QFX files go to cards with the ofx format, or any card); when several cards do, the
+// one whose name is in the file name wins, e.g. chase-freedom-2023-01.csv.
+function inferCard(profile, bankFormat, fileName) {
+  const cards = Object.values(profile.cards);
+  let candidates = cards.filter((card) => card.bankFormat === bankFormat);
+  if (bankFormat === OFX_BANK_FORMAT && candidates.length === 0) {
+    candidates = cards;
+  }
+  if (candidates.length === 0) {
+    throw new Error(`${fileName} looks like a ${bankFormat} statement, but no card uses the ${bankFormat} format`);
+  }
+  if (candidates.length === 1) {
+    return candidates[0];
+  }
+
+  const named = candidates.filter((card) => squash(fileName).includes(squash(card.name)));
+  if (named.length === 1) {
+    return named[0];
+  }
+  throw new Error(
+    `${fileName} looks like a ${bankFormat} statement, which more than one card uses ` +
+    `(${candidates.map((card) => card.name).join(', ')}); put the card name in the file name`
+  );
+}
+
+// Wildcards are supported in the file name only, e.g. ./statements/chase-*.csv
+const GLOB_CHARACTERS = /[*?]/;
+
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map((character) => {
+      if (character === '*') return '[^/]*';
+      if (character === '?') return '[^/]';
+      return character.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+// The statement files a path stands for: the file itself, the CSV and OFX/QFX files in a
+// folder, or the CSV and OFX/QFX files a glob matches (so "january/*" leaves out retry and
+// decisions files), in name order. Fails when it stands for none.
+async function expandStatementPath(pattern, baseDir = process.cwd()) {
+  const resolved = path.resolve(baseDir, pattern);
+
+  if (GLOB_CHARACTERS.test(path.basename(resolved))) {
+    const matcher = globToRegExp(path.basename(resolved));
+    let entries = [];
+    try {
+      entries = await fs.readdir(path.dirname(resolved), { withFileTypes: true });
+    } catch (error) {
+      // A missing folder matches nothing
+    }
+    const matches = entries
+      .filter((entry) => entry.isFile() && matcher.test(entry.name) && isStatementFile(entry.name))
+      .map((entry) => path.join(path.dirname(resolved), entry.name))
+      .sort();
+    if (matches.length === 0) {
+      throw new Error(`No files match ${pattern}`);
+    }
+    return matches;
+  }
+
+  let stats;
+  try {
+    stats = await fs.stat(resolved);
+  } catch (error) {
+    throw new Error(`CSV file not found at path: ${pattern}`);
+  }
+  if (!stats.isDirectory()) {
+    return [resolved];
+  }
+
+  const entries = await fs.readdir(resolved, { withFileTypes: true });
+  const files = entries
+    .filter((entry) => entry.isFile() && isStatementFile(entry.name))
+    .map((entry) => path.join(resolved, entry.name))
+    .sort();
+  if (files.length === 0) {
+    throw new Error(`No CSV or OFX/QFX files in folder ${pattern}`);
+  }
+  return files;
+}
+
+// Check a parsed manifest against the configured cards and users and return a list of
+// readable problems
+function validateManifest(manifest, profile) {
+  if (!manifest || typeof manifest !== 'object' || !Array.isArray(manifest.files) || manifest.files.length === 0) {
+    return ['the manifest must have a "files" list, e.g. [{ "path": "chase-freedom.csv", "card": "Chase Freedom", "user": "Alli" }]'];
+  }
+
+  const errors = [];
+  const cards = Object.keys(profile.cards);
+  manifest.files.forEach((entry, index) => {
+    const where = `files[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+    if (!isNonEmptyString(entry.path)) {
+      errors.push(`${where}.path must be a file, folder or glob, relative to the manifest`);
+    }
+    if (entry.card !== undefined && !cards.includes(entry.card)) {
+      errors.push(`${where}.card must be one of: ${cards.join(', ')}`);
+    }
+    if (entry.user !== undefined && !profile.users.includes(entry.user)) {
+      errors.push(`${where}.user must be one of the users: ${profile.users.join(', ')}`);
+    }
+  });
+  return errors;
+}
+
+// Load and validate a manifest. Entry paths are resolved against the manifest's folder.
+async function loadManifest(manifestPath, profile) {
+  let contents;
+  try {
+    contents = await fs.readFile(manifestPath, 'utf8');
+  } catch (error) {
+    throw new Error(`Could not read manifest at ${manifestPath}: ${error.message}`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Manifest at ${manifestPath} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateManifest(manifest, profile);
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest at ${manifestPath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+
+  const baseDir = path.dirname(path.resolve(manifestPath));
+  return manifest.files.map((entry) => ({ ...entry, baseDir }));
+}
+
+// The statements a batch imports, each with the card and user given for it (or null to work
+// them out). Manifest entries come first, and fall back to --who-am-i for their user;
+// command-line paths use --payment-method and --who-am-i. A file listed twice is imported
+// once, the first way it was listed. A path that stands for no files becomes an entry with
+// an error, so it fails without stopping the rest.
+async function planBatch({ paths = [], manifest = [], paymentMethod = null, whoAmI = null }) {
+  const sources = [
+    ...manifest.map((entry) => ({
+      pattern: entry.path,
+      baseDir: entry.baseDir,
+      paymentMethod: entry.card || null,
+      whoAmI: entry.user || whoAmI,
+    })),
+    ...paths.map((pattern) => ({ pattern, baseDir: process.cwd(), paymentMethod, whoAmI })),
+  ];
+
+  const planned = new Map();
+  for (const source of sources) {
+    let files;
+    try {
+      files = await expandStatementPath(source.pattern, source.baseDir);
+    } catch (error) {
+      planned.set(`error:${planned.size}`, {
+        filePath: path.resolve(source.baseDir, source.pattern),
+        paymentMethod: source.paymentMethod,
+        whoAmI: source.whoAmI,
+        error: error.message,
+      });
+      continue;
+    }
+    for (const filePath of files) {
+      if (!planned.has(filePath)) {
+        planned.set(filePath, { filePath, paymentMethod: source.paymentMethod, whoAmI: source.whoAmI });
+      }
+    }
+  }
+  return [...planned.values()];
+}
+
+module.exports = {
+  STATEMENT_EXTENSIONS,
+  isStatementFile,
+  inferCard,
+  expandStatementPath,
+  validateManifest,
+  loadManifest,
+  planBatch,
+};
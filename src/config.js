@@ -0,0 +1,126 @@
+// Loading and validation of the optional JSON config file
+const fs = require('fs').promises;
+const path = require('path');
+const { BANK_MAPPINGS, validateBankFormats, mergeBankFormats } = require('./bank-formats');
+const { validateRules, compileRules } = require('./rules');
+const { validateMerchantAliases, compileMerchantAliases } = require('./merchants');
+const { getDefaultNotionProperties, validateNotionProperties } = require('./notion-properties');
+const { DEFAULT_USERS, validateProfile, resolveProfile, assignCardsToBankFormats } = require('./profiles');
+
+const DEFAULT_CONFIG_FILENAME = 'transactions-to-notion.config.json';
+
+// Resolve the config location from CLI options, env var or the default file in the working directory.
+// Only an explicitly requested config file has to exist.
+function getConfigPath(options = {}) {
+  const explicitPath = options.config || process.env.TRANSACTIONS_CONFIG;
+  return {
+    configPath: explicitPath || path.resolve(DEFAULT_CONFIG_FILENAME),
+    required: Boolean(explicitPath),
+  };
+}
+
+// Resolve the Notion API key and database ID from CLI options or env vars. The key is not
+// needed when a client is passed in, nor the database ID for commands with database: false.
+function resolveNotionTarget(options = {}, { client, database = true } = {}) {
+  const notionApiKey = options.notionApiKey || process.env.NOTION_API_KEY;
+  const notionDatabaseId = options.notionDatabaseId || process.env.NOTION_DATABASE_ID;
+  if (!notionApiKey && !client) {
+    throw new Error('Notion API key is required. Provide it via --notion-api-key option or NOTION_API_KEY env var.');
+  }
+  if (database && !notionDatabaseId) {
+    throw new Error('Notion database ID is required. Provide it via --notion-database-id option or NOTION_DATABASE_ID env var.');
+  }
+  return { notionApiKey, notionDatabaseId };
+}
+
+// Check every section of a parsed config and return a list of readable problems
+function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['the config must be a JSON object'];
+  }
+
+  if (config.bankFormats !== undefined) {
+    errors.push(...validateBankFormats(config.bankFormats, BANK_MAPPINGS, { requirePaymentMethods: config.cards === undefined }));
+  }
+
+  if (config.rules !== undefined) {
+    // A rule's split names users, so check it against the configured ones when they are valid
+    const users = Array.isArray(config.users) && config.users.length > 0 ? config.users : DEFAULT_USERS;
+    errors.push(...validateRules(config.rules, users));
+  }
+
+  if (config.merchantAliases !== undefined) {
+    errors.push(...validateMerchantAliases(config.merchantAliases));
+  }
+
+  if (config.notionProperties !== undefined) {
+    errors.push(...validateNotionProperties(config.notionProperties));
+  }
+
+  // A rate table file for converting foreign amounts, relative to the config file
+  if (config.fxRates !== undefined && (typeof config.fxRates !== 'string' || config.fxRates.trim() === '')) {
+    errors.push('fxRates must be the path of an exchange rate table, e.g. "./fx-rates.json"');
+  }
+
+  // Cards name the bank format their statements use, built-in or configured
+  const bankFormatNames = Object.keys(mergeBankFormats(config.bankFormats, BANK_MAPPINGS, { skipInvalid: true }));
+  errors.push(...validateProfile(config, bankFormatNames));
+
+  return errors;
+}
+
+// Build the effective settings from a validated config, filling in built-in defaults
+function resolveConfig(config = {}, configPath = null) {
+  const bankFormats = mergeBankFormats(config.bankFormats, BANK_MAPPINGS);
+  const profile = resolveProfile(config, bankFormats);
+  return {
+    configPath,
+    bankMappings: config.cards ? assignCardsToBankFormats(bankFormats, profile.cards) : bankFormats,
+    profile,
+    rules: compileRules(config.rules),
+    merchantAliases: compileMerchantAliases(config.merchantAliases),
+    // A config's property mapping replaces the default layout as a whole
+    notionProperties: config.notionProperties || getDefaultNotionProperties(profile.users),
+    fxRatesPath: config.fxRates ? path.resolve(configPath ? path.dirname(configPath) : '.', config.fxRates) : null,
+  };
+}
+
+// Load, validate and resolve the config. Without a config file the built-in defaults are used.
+async function loadConfig(options = {}) {
+  const { configPath, required } = getConfigPath(options);
+
+  let contents;
+  try {
+    contents = await fs.readFile(configPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT' && !required) {
+      return resolveConfig();
+    }
+    throw new Error(`Could not read config file at ${configPath}: ${error.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(contents);
+  } catch (error) {
+    throw new Error(`Config file at ${configPath} is not valid JSON: ${error.message}`);
+  }
+
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config file at ${configPath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+
+  return resolveConfig(config, configPath);
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILENAME,
+  getConfigPath,
+  resolveNotionTarget,
+  validateConfig,
+  resolveConfig,
+  loadConfig,
+};
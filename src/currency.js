@@ -0,0 +1,245 @@
+// Currencies: reading amounts the way banks write them ("1,234.56", "(45.00)", "€12.50",
+// "45.00 EUR"), and converting foreign amounts to the home currency with a local table of
+// exchange rates
+const fs = require('fs').promises;
+
+const DEFAULT_HOME_CURRENCY = 'USD';
+
+const CURRENCY_CODE = /^[A-Z]{3}$/;
+
+// Symbols that name one currency. A bare "$" says nothing about which dollar, so it is
+// dropped without setting a currency.
+const CURRENCY_SYMBOLS = {
+  'US$': 'USD',
+  'CA$': 'CAD',
+  'C$': 'CAD',
+  'AU$': 'AUD',
+  'A$': 'AUD',
+  'NZ$': 'NZD',
+  'HK$': 'HKD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '$': null,
+};
+
+// Currency names as card statements spell them out, e.g. "45.00 Euros"
+const CURRENCY_NAMES = [
+  [/\beuros?\b/i, 'EUR'],
+  [/\b(pounds?\s+sterling|british\s+pounds?)\b/i, 'GBP'],
+  [/\bjapanese\s+yen\b|\byen\b/i, 'JPY'],
+  [/\bcanadian\s+dollars?\b/i, 'CAD'],
+  [/\baustralian\s+dollars?\b/i, 'AUD'],
+  [/\bmexican\s+pesos?\b/i, 'MXN'],
+  [/\bswiss\s+francs?\b/i, 'CHF'],
+];
+
+const NUMBER = /^(\d{1,3}(,\d{3})+|\d+)?(\.\d+)?$/;
+
+const roundCents = (amount) => Math.round(amount * 100) / 100;
+
+// Read an amount and the currency it names, if any. Commas are thousands separators,
+// parentheses and a leading or trailing minus make it negative. Returns null when the text
+// is not an amount.
+function parseAmount(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { amount: value, currency: null } : null;
+  }
+
+  let text = String(value === undefined || value === null ? '' : value).trim();
+  let negative = false;
+  let currency = null;
+
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  const code = text.match(/\b([A-Z]{3})\b/);
+  if (code) {
+    currency = code[1];
+    text = text.replace(code[0], '');
+  }
+  for (const [pattern, name] of CURRENCY_NAMES) {
+    if (pattern.test(text)) {
+      currency = currency || name;
+      text = text.replace(pattern, '');
+    }
+  }
+  // Longest symbols first, so "US$" is not read as "$"
+  const symbol = Object.keys(CURRENCY_SYMBOLS)
+    .sort((a, b) => b.length - a.length)
+    .find((candidate) => text.includes(candidate));
+  if (symbol) {
+    currency = currency || CURRENCY_SYMBOLS[symbol];
+    text = text.replace(symbol, '');
+  }
+
+  text = text.replace(/\s+/g, '');
+  if (text.startsWith('-') || text.endsWith('-')) {
+    negative = !negative;
+    text = text.startsWith('-') ? text.slice(1) : text.slice(0, -1);
+  } else if (text.startsWith('+')) {
+    text = text.slice(1);
+  }
+  if (text === '' || text === '.' || !NUMBER.test(text)) {
+    return null;
+  }
+
+  const amount = parseFloat(text.replace(/,/g, ''));
+  return { amount: negative && amount !== 0 ? -amount : amount, currency };
+}
+
+// Why an amount cannot be read, or null when it can. Rows get this as their error, so an
+// empty or garbled amount is rejected rather than imported as zero.
+function checkAmount(value) {
+  if (parseAmount(value)) return null;
+  const text = value === undefined || value === null ? '' : String(value).trim();
+  return text === '' ? 'Missing amount' : `Unreadable amount "${text}"`;
+}
+
+// The foreign amount in a column of a bank export: either just an amount, or a longer note
+// such as Amex's "Foreign Spend Amount: 45.00 Euros Commission Amount: 0.00"
+function parseOriginalAmount(value) {
+  const parsed = parseAmount(value);
+  if (parsed) return parsed;
+
+  const note = String(value || '').match(/foreign\s+(?:spend\s+)?amount:?\s*(.+?)(?=\s+(?:commission|currency\s+exchange\s+rate)\b|\s*$)/i);
+  return note ? parseAmount(note[1]) : null;
+}
+
+// The currency fields of a CSV row: the currency of its amount, from the amount itself, the
+// format's currency column or the format's fixed currency; and the original amount and
+// currency of a row the bank already converted. The original amount gets the sign of the
+// (normalized) amount, since banks often write it unsigned.
+function readCurrencyFields(data, format, amount) {
+  const fields = {};
+
+  const parsed = parseAmount(data[format.amount]);
+  const rowCurrency = format.currencyColumn ? String(data[format.currencyColumn] || '').trim().toUpperCase() : '';
+  const currency = (parsed && parsed.currency) || rowCurrency || format.currency;
+  if (currency) fields.currency = currency;
+
+  if (format.originalAmountColumn) {
+    const original = parseOriginalAmount(data[format.originalAmountColumn]);
+    const originalCurrency = format.originalCurrencyColumn
+      ? String(data[format.originalCurrencyColumn] || '').trim().toUpperCase()
+      : original && original.currency;
+    if (original && original.amount !== 0 && originalCurrency) {
+      fields.originalAmount = Math.abs(original.amount) * (amount < 0 ? -1 : 1);
+      fields.originalCurrency = originalCurrency;
+    }
+  }
+
+  return fields;
+}
+
+// Check a parsed rate table and return a list of readable problems. Rates say how much one
+// unit of a currency is worth in the base (home) currency, either as one number or by date.
+function validateRateTable(table) {
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    return ['the rate table must be a JSON object with "base" and "rates"'];
+  }
+
+  const errors = [];
+  if (table.base !== undefined && !CURRENCY_CODE.test(table.base)) {
+    errors.push('base must be a three-letter currency code such as "USD"');
+  }
+  if (!table.rates || typeof table.rates !== 'object' || Array.isArray(table.rates)) {
+    errors.push('rates must map currency codes to a rate, or to rates by date, e.g. { "EUR": 1.08 }');
+    return errors;
+  }
+
+  for (const [currency, rate] of Object.entries(table.rates)) {
+    const where = `rates.${currency}`;
+    if (!CURRENCY_CODE.test(currency)) {
+      errors.push(`${where} must be keyed by a three-letter currency code`);
+    }
+    if (typeof rate === 'number') {
+      if (!(rate > 0)) errors.push(`${where} must be a positive number`);
+    } else if (rate && typeof rate === 'object' && !Array.isArray(rate) && Object.keys(rate).length > 0) {
+      for (const [date, dated] of Object.entries(rate)) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) errors.push(`${where} must be keyed by YYYY-MM-DD dates, not "${date}"`);
+        if (typeof dated !== 'number' || !(dated > 0)) errors.push(`${where}["${date}"] must be a positive number`);
+      }
+    } else {
+      errors.push(`${where} must be a positive number, or map YYYY-MM-DD dates to rates`);
+    }
+  }
+  return errors;
+}
+
+// Load and validate a rate table file. Without a file, the home currency is USD and there
+// are no rates.
+async function loadRateTable(ratesPath) {
+  if (!ratesPath) {
+    return { base: DEFAULT_HOME_CURRENCY, rates: {}, path: null };
+  }
+
+  let table;
+  try {
+    table = JSON.parse(await fs.readFile(ratesPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read exchange rates at ${ratesPath}: ${error.message}`);
+  }
+
+  const errors = validateRateTable(table);
+  if (errors.length > 0) {
+    throw new Error(`Invalid exchange rates at ${ratesPath}:\n${errors.map((error) => `  - ${error}`).join('\n')}`);
+  }
+  return { base: table.base || DEFAULT_HOME_CURRENCY, rates: table.rates, path: ratesPath };
+}
+
+// The rate for a currency on a date: its only rate, or the latest one dated on or before
+// the date. Null when the table has none.
+function findRate(table, currency, date) {
+  const rate = table.rates[currency];
+  if (rate === undefined) return null;
+  if (typeof rate === 'number') return rate;
+
+  const dates = Object.keys(rate).filter((rateDate) => rateDate <= date).sort();
+  return dates.length > 0 ? rate[dates[dates.length - 1]] : null;
+}
+
+// Convert rows in a foreign currency to the home currency. A row whose amount is in another
+// currency keeps it as originalAmount and currency, and its amount becomes the converted
+// amount (also kept as convertedAmount). A row the bank already converted keeps the bank's
+// amount. Rows in the home currency, or already converted, are left as they are. A row with
+// no rate for its currency and date gets an error, so it is rejected instead of uploaded.
+function applyCurrency(transactions, table) {
+  const home = table.base;
+  return transactions.map((transaction) => {
+    if (transaction.convertedAmount !== undefined) return transaction;
+
+    const { currency, originalAmount, originalCurrency, ...rest } = transaction;
+    if (originalAmount !== undefined && originalCurrency && originalCurrency !== home) {
+      return { ...rest, originalAmount, currency: originalCurrency, convertedAmount: rest.amount };
+    }
+    if (!currency || currency === home) {
+      return rest;
+    }
+
+    const rate = findRate(table, currency, rest.date);
+    if (rate === null) {
+      const where = table.path ? ` in ${table.path}` : '; pass an exchange rate table with --fx-rates';
+      return { ...rest, currency, originalAmount: rest.amount, error: rest.error || `No ${currency} exchange rate for ${rest.date}${where}` };
+    }
+
+    const converted = roundCents(rest.amount * rate);
+    return { ...rest, amount: converted, originalAmount: rest.amount, currency, convertedAmount: converted };
+  });
+}
+
+module.exports = {
+  DEFAULT_HOME_CURRENCY,
+  parseAmount,
+  checkAmount,
+  parseOriginalAmount,
+  readCurrencyFields,
+  validateRateTable,
+  loadRateTable,
+  findRate,
+  applyCurrency,
+};
@@ -0,0 +1,124 @@
+// Explicit, timezone-free date parsing. Dates are handled as plain calendar days and never go
+// through a Date object's local time, so the result does not depend on the machine's timezone.
+
+// Unambiguous ISO dates are accepted whatever a format declares
+const ISO_DATE_PATTERN = 'YYYY-MM-DD';
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// Tokens in the order they must be tried, longest first
+const TOKENS = {
+  YYYY: { field: 'year', source: '(\\d{4})' },
+  YY: { field: 'year2', source: '(\\d{2})' },
+  MMMM: { field: 'monthName', source: '([A-Za-z]+)' },
+  MMM: { field: 'monthShort', source: '([A-Za-z]{3})' },
+  MM: { field: 'month', source: '(\\d{2})' },
+  M: { field: 'month', source: '(\\d{1,2})' },
+  DD: { field: 'day', source: '(\\d{2})' },
+  D: { field: 'day', source: '(\\d{1,2})' },
+};
+const TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+const compiledPatterns = new Map();
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Turn a pattern such as "DD MMM YYYY" into a regular expression and the fields it captures
+function compilePattern(pattern) {
+  if (compiledPatterns.has(pattern)) return compiledPatterns.get(pattern);
+
+  const fields = [];
+  let source = '';
+  let lastIndex = 0;
+  for (const match of pattern.matchAll(TOKEN_PATTERN)) {
+    source += escapeRegExp(pattern.slice(lastIndex, match.index)).replace(/\s+/g, '\\s+');
+    source += TOKENS[match[0]].source;
+    fields.push(TOKENS[match[0]].field);
+    lastIndex = match.index + match[0].length;
+  }
+  source += escapeRegExp(pattern.slice(lastIndex)).replace(/\s+/g, '\\s+');
+
+  const compiled = { regex: new RegExp(`^${source}$`, 'i'), fields };
+  compiledPatterns.set(pattern, compiled);
+  return compiled;
+}
+
+// A usable pattern names a year, a month and a day
+function isValidDatePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') return false;
+  const { fields } = compilePattern(pattern);
+  return (fields.includes('year') || fields.includes('year2')) &&
+    (fields.includes('month') || fields.includes('monthName') || fields.includes('monthShort')) &&
+    fields.includes('day');
+}
+
+const pad = (value, length) => String(value).padStart(length, '0');
+
+// Days in a month of the proleptic Gregorian calendar
+function daysInMonth(year, month) {
+  if (month === 2) {
+    const leap = (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+    return leap ? 29 : 28;
+  }
+  return [4, 6, 9, 11].includes(month) ? 30 : 31;
+}
+
+// Parse a date string with one pattern, returning YYYY-MM-DD or null
+function parseDateWithPattern(value, pattern) {
+  const { regex, fields } = compilePattern(pattern);
+  const match = String(value).trim().match(regex);
+  if (!match) return null;
+
+  let year;
+  let month;
+  let day;
+  fields.forEach((field, index) => {
+    const part = match[index + 1];
+    switch (field) {
+      case 'year': year = parseInt(part, 10); break;
+      case 'year2': year = 2000 + parseInt(part, 10); break;
+      case 'month': month = parseInt(part, 10); break;
+      case 'monthShort': month = MONTH_NAMES.findIndex((name) => name.startsWith(part.toLowerCase())) + 1; break;
+      case 'monthName': month = MONTH_NAMES.indexOf(part.toLowerCase()) + 1; break;
+      case 'day': day = parseInt(part, 10); break;
+    }
+  });
+
+  if (!month || month < 1 || month > 12 || !day || day < 1 || day > daysInMonth(year, month)) {
+    return null;
+  }
+  return `${pad(year, 4)}-${pad(month, 2)}-${pad(day, 2)}`;
+}
+
+// Parse a date string with the first pattern that fits, returning YYYY-MM-DD or null
+function parseDate(value, patterns = ISO_DATE_PATTERN) {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  for (const pattern of [].concat(patterns)) {
+    const parsed = parseDateWithPattern(value, pattern);
+    if (parsed) return parsed;
+  }
+  return null;
+}
+
+// Read a date given on the command line, such as --since, which must be YYYY-MM-DD
+function parseDateOption(value, optionName) {
+  const date = parseDate(value);
+  if (!date) {
+    throw new Error(`${optionName} must be a date in YYYY-MM-DD format, got "${value}"`);
+  }
+  return date;
+}
+
+// Is a YYYY-MM-DD date inside an inclusive range? Either end may be left open.
+function isWithinRange(date, { since, until } = {}) {
+  return (!since || date >= since) && (!until || date <= until);
+}
+
+module.exports = {
+  ISO_DATE_PATTERN,
+  isValidDatePattern,
+  parseDate,
+  parseDateOption,
+  isWithinRange,
+};
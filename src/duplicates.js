@@ -0,0 +1,209 @@
+// Duplicate detection against transactions that already exist in Notion
+const crypto = require('crypto');
+const {
+  DEFAULT_NOTION_PROPERTIES,
+  renderPropertyValue,
+  readPropertyValue,
+  getKeyProperties
+} = require('./notion-properties');
+
+// Build a comparable key from the values that get written to Notion. The bank's raw
+// description, amount and date are used when a row keeps them, so renaming a merchant or
+// editing a row in review never breaks matching.
+function duplicateKey({ date, amount, description, rawDate, rawAmount, rawDescription, paymentMethod }) {
+  const normalizedAmount = (Number(isPresent(rawAmount) ? rawAmount : amount) || 0).toFixed(2);
+  const normalizedDescription = String(rawDescription || description || '').trim().toLowerCase();
+  return [rawDate || date, normalizedAmount, normalizedDescription, paymentMethod].join('|');
+}
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+// A key from the bank's own transaction ID (an OFX FITID), or null when there is none
+function fitidKey({ fitid, paymentMethod }) {
+  return fitid ? `fitid|${paymentMethod}|${fitid}` : null;
+}
+
+// Stable fingerprint of a transaction, used to identify rows in the local ledger. A bank's own
+// transaction ID identifies the row when there is one; otherwise the row is identified by its
+// contents.
+function transactionFingerprint(fields) {
+  const identity = fitidKey(fields) || duplicateKey(fields);
+  return crypto.createHash('sha256').update(identity).digest('hex');
+}
+
+// The duplicate-relevant values of new page fields, as they will appear in Notion
+function keyFields(fields, properties = DEFAULT_NOTION_PROPERTIES) {
+  const keys = getKeyProperties(properties);
+  const description = keys.rawDescription && fields.rawDescription
+    ? fields.rawDescription
+    : renderPropertyValue(properties[keys.title], fields);
+
+  return {
+    date: fields.date,
+    amount: keys.amount ? fields.amount : null,
+    rawDate: keys.rawDate ? fields.rawDate || null : null,
+    rawAmount: keys.rawAmount && isPresent(fields.rawAmount) ? fields.rawAmount : null,
+    description,
+    paymentMethod: keys.paymentMethod ? renderPropertyValue(properties[keys.paymentMethod], fields) : null,
+    fitid: keys.fitid ? fields.fitid || null : null,
+  };
+}
+
+// Read the duplicate-relevant fields back out of a Notion page. Pages uploaded before raw
+// descriptions were kept fall back to their title; the raw amount and date are only there on
+// pages edited in review.
+function pageToFields(page, properties = DEFAULT_NOTION_PROPERTIES) {
+  const pageProperties = page.properties || {};
+  const keys = getKeyProperties(properties);
+  const read = (name) => (name ? readPropertyValue(pageProperties[name], properties[name].type) : undefined);
+
+  return {
+    date: read(keys.date) || null,
+    amount: read(keys.amount),
+    rawDate: read(keys.rawDate) || null,
+    rawAmount: isPresent(read(keys.rawAmount)) ? read(keys.rawAmount) : null,
+    description: (keys.rawDescription && read(keys.rawDescription)) || read(keys.title) || '',
+    paymentMethod: keys.paymentMethod ? read(keys.paymentMethod) || null : null,
+    fitid: keys.fitid ? read(keys.fitid) || null : null,
+  };
+}
+
+// Query every page for a payment method within a date range, following pagination
+async function queryPages(notionClient, databaseId, paymentMethod, startDate, endDate, properties = DEFAULT_NOTION_PROPERTIES) {
+  const keys = getKeyProperties(properties);
+  const filters = [];
+  if (keys.paymentMethod && paymentMethod) {
+    const type = properties[keys.paymentMethod].type;
+    filters.push({ property: keys.paymentMethod, [type]: { equals: paymentMethod } });
+  }
+  filters.push(
+    { property: keys.date, date: { on_or_after: startDate } },
+    { property: keys.date, date: { on_or_before: endDate } }
+  );
+
+  const pages = [];
+  let cursor;
+
+  do {
+    const response = await notionClient.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      filter: {
+        and: filters,
+      },
+    });
+
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return pages;
+}
+
+// The latest date of the pages imported for a payment method, or null when there are none
+// (or the mapping has no property to tell payment methods apart)
+async function findLatestPageDate(notionClient, databaseId, paymentMethod, properties = DEFAULT_NOTION_PROPERTIES) {
+  const keys = getKeyProperties(properties);
+  if (!keys.paymentMethod) return null;
+
+  const type = properties[keys.paymentMethod].type;
+  const response = await notionClient.databases.query({
+    database_id: databaseId,
+    filter: { property: keys.paymentMethod, [type]: { equals: paymentMethod } },
+    sorts: [{ property: keys.date, direction: 'descending' }],
+    page_size: 1,
+  });
+
+  const [page] = response.results;
+  return page ? readPropertyValue(page.properties[keys.date], 'date') || null : null;
+}
+
+// The pages already in Notion that could collide with the given key fields, indexed by their
+// contents key and, for pages with one, their FITID key
+async function fetchExistingPages(notionClient, databaseId, fieldsList, properties) {
+  const byContents = new Map();
+  const byFitid = new Map();
+  const add = (map, key, entry) => map.set(key, [...(map.get(key) || []), entry]);
+
+  // Group by payment method so each card only needs one ranged query
+  const rangesByPaymentMethod = new Map();
+  for (const fields of fieldsList) {
+    const range = rangesByPaymentMethod.get(fields.paymentMethod);
+    if (!range) {
+      rangesByPaymentMethod.set(fields.paymentMethod, { start: fields.date, end: fields.date });
+    } else {
+      if (fields.date < range.start) range.start = fields.date;
+      if (fields.date > range.end) range.end = fields.date;
+    }
+  }
+
+  for (const [paymentMethod, range] of rangesByPaymentMethod) {
+    const pages = await queryPages(notionClient, databaseId, paymentMethod, range.start, range.end, properties);
+    for (const page of pages) {
+      const fields = pageToFields(page, properties);
+      const entry = { fitid: fields.fitid, matched: false };
+      add(byContents, duplicateKey(fields), entry);
+      if (fields.fitid) add(byFitid, fitidKey(fields), entry);
+    }
+  }
+
+  return { byContents, byFitid };
+}
+
+// Return the indexes of keys that match an existing entry. Matching is count based so a
+// statement with two identical charges on the same day still imports both of them
+// the first time, and skips both on a re-run.
+function matchKeyCounts(keys, existingCounts) {
+  const remainingCounts = new Map(existingCounts);
+  const matchedIndexes = new Set();
+
+  keys.forEach((key, index) => {
+    const remaining = remainingCounts.get(key) || 0;
+    if (remaining > 0) {
+      remainingCounts.set(key, remaining - 1);
+      matchedIndexes.add(index);
+    }
+  });
+
+  return matchedIndexes;
+}
+
+// Find which fields already exist as pages in the Notion database. A row and a page that both
+// have a FITID match on it alone, so a charge the bank renamed is still found and two identical
+// charges with different IDs are both new. Otherwise they match on their contents, with a row
+// that has a FITID only matching pages without one.
+async function findDuplicates(notionClient, databaseId, fieldsList, properties = DEFAULT_NOTION_PROPERTIES) {
+  if (fieldsList.length === 0) {
+    return new Set();
+  }
+
+  const keyFieldsList = fieldsList.map((fields) => keyFields(fields, properties));
+  const { byContents, byFitid } = await fetchExistingPages(notionClient, databaseId, keyFieldsList, properties);
+  // Each page matches one row at most
+  const take = (entries = [], test = () => true) => {
+    const entry = entries.find((candidate) => !candidate.matched && test(candidate));
+    if (entry) entry.matched = true;
+    return Boolean(entry);
+  };
+
+  const matchedIndexes = new Set();
+  keyFieldsList.forEach((fields, index) => {
+    const contents = byContents.get(duplicateKey(fields));
+    const matched = fields.fitid
+      ? take(byFitid.get(fitidKey(fields))) || take(contents, (page) => !page.fitid)
+      : take(contents);
+    if (matched) matchedIndexes.add(index);
+  });
+  return matchedIndexes;
+}
+
+module.exports = {
+  duplicateKey,
+  transactionFingerprint,
+  keyFields,
+  pageToFields,
+  matchKeyCounts,
+  queryPages,
+  findLatestPageDate,
+  findDuplicates,
+};
@@ -0,0 +1,102 @@
+// The importer as a library: the import command's flow for Node scripts, with the Notion
+// client and logger passed in, progress reported as events, and a structured result
+// instead of console output and exit codes.
+//
+// Events:
+//   row:parsed    (transaction, index)  a row as read from the statement or retry file
+//   run:planned   ({ transactions, duplicates, payments })  the rows about to be uploaded
+//   row:uploaded  (result)  a page was created: { transaction, fields, status, pageId }
+//   row:failed    (result)  a row could not be uploaded: { transaction, fields, status, error }
+//   run:complete  (summary)  a statement finished importing (once per file of a batch)
+const { EventEmitter } = require('events');
+const { loadConfig } = require('./config');
+const { loadRateTable, applyCurrency } = require('./currency');
+const { normalizeMerchants } = require('./merchants');
+const { resolveCardholder, applyCardProfile } = require('./profiles');
+const { applyRules } = require('./rules');
+const { applySplits } = require('./splits');
+const { getExitCode } = require('./report');
+const { parseStatement, validateAndUploadTransactions, importBatch } = require('./utils');
+
+class TransactionImporter extends EventEmitter {
+  // notionClient: a @notionhq/client Client, or anything with the same databases and pages
+  // methods; without one, a client is made from notionApiKey. logger: where progress goes,
+  // anything with log, warn and error (default: console). Any other option is a default for
+  // every run, named like the import command's options (notionDatabaseId, config, fxRates,
+  // ledgerPath, whoAmI, ...).
+  constructor({ notionClient = null, logger = console, ...defaults } = {}) {
+    super();
+    this.notionClient = notionClient;
+    this.logger = logger;
+    this.defaults = defaults;
+  }
+
+  // Read a CSV or OFX/QFX statement into rows, with foreign amounts converted to the home
+  // currency. options.paymentMethod picks the bank format.
+  async parse(filePath, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const config = await loadConfig(settings);
+    const parsed = await parseStatement(filePath, settings.paymentMethod, config.bankMappings, this.logger);
+    const transactions = applyCurrency(parsed, await loadRateTable(settings.fxRates || config.fxRatesPath));
+    transactions.forEach((transaction, index) => this.emit('row:parsed', transaction, index));
+    return transactions;
+  }
+
+  // Normalize merchant names, categorize rows with the config's rules, label them with the
+  // card's Payment Method option and work out the shares of split rows, as an import does
+  async transform(transactions, options = {}) {
+    const settings = { ...this.defaults, ...options };
+    const config = await loadConfig(settings);
+    const { card, user } = resolveCardholder(config.profile, settings.paymentMethod, settings.whoAmI, {
+      defaultUser: process.env.WHO_AM_I,
+    });
+    const categorized = applyRules(normalizeMerchants(transactions, config.merchantAliases), config.rules, { user });
+    return applySplits(applyCardProfile(categorized, card, user));
+  }
+
+  // Everything an import of options.csvFilePath does short of uploading; the result lists
+  // the rows that would be uploaded
+  preview(options = {}) {
+    return runImport(this, { ...options, dryRun: true }, validateAndUploadTransactions);
+  }
+
+  // Import options.csvFilePath (or the rows of options.retryFailed) into Notion
+  upload(options = {}) {
+    return runImport(this, { ...options, dryRun: false }, validateAndUploadTransactions);
+  }
+
+  // Import several statements, given as files, folders or globs, and the files
+  // options.manifest lists; options.dryRun previews them instead
+  importFiles(paths, options = {}) {
+    return runImport(this, options, (settings, context) => importBatch(paths, settings, context));
+  }
+}
+
+// Run an import through the importer's client, logger and events. Resolves with the run
+// summary (as the JSON report writes it), the exit code the CLI would use, the rows planned
+// for upload, the rows found already imported, and the outcome of every upload. Fatal
+// problems, such as a missing file or an invalid config, reject.
+async function runImport(importer, options, run) {
+  const transactions = [];
+  const duplicates = [];
+  const results = [];
+  const emit = (event, ...args) => {
+    if (event === 'run:planned') {
+      transactions.push(...args[0].transactions);
+      duplicates.push(...args[0].duplicates);
+    } else if (event === 'row:uploaded' || event === 'row:failed') {
+      results.push(args[0]);
+    }
+    importer.emit(event, ...args);
+  };
+
+  const summary = await run(
+    { ...importer.defaults, ...options },
+    { notion: importer.notionClient, logger: importer.logger, emit }
+  );
+  return { summary, exitCode: getExitCode(summary), transactions, duplicates, results };
+}
+
+module.exports = {
+  TransactionImporter,
+};
@@ -3,41 +3,255 @@
 const { Command } = require('commander');
 const dotenv = require('dotenv');
 
-// Import helper functions and constants from utils.js
+// Import helper functions and constants from the library entry
+const library = require('./library');
 const {
-  ALLOWED_PAYMENT_METHODS,
-  ALLOWED_USERS,
-  parseCSV,
-  uploadToNotion,
-  validateAndUploadTransactions
-} = require('./utils');
-
-// Load environment variables
-dotenv.config();
-
-(async () => {
-  console.log('IN THE FILE')
+  showImportHistory,
+  undoRun,
+  watchFolder,
+  listCards,
+  testRules,
+  initDatabase,
+  settleUp,
+  reconcileStatement,
+  printReconciliation,
+  TransactionImporter
+} = library;
+const { EXIT_CODES, printSummary, printBatchSummary, writeReport } = require('./report');
+const { isReconciled } = require('./reconcile');
+const { DEFAULT_CONFIG_FILENAME } = require('./config');
+const { DEFAULT_ARCHIVE_DIR, DEFAULT_ERROR_DIR } = require('./watch');
+
+async function main(argv) {
+  // Load environment variables; only the CLI does, never a script that requires the library
+  dotenv.config({ quiet: true });
+
   const program = new Command();
 
   program
     .name('transactions-to-notion')
     .description('Upload transactions from a CSV file to Notion')
-    .version('1.0.0')
-    .requiredOption('--csv-file-path <path>', 'Path to the CSV file containing transactions')
-    .requiredOption('--payment-method <method>', `Payment method to filter transactions (one of: ${ALLOWED_PAYMENT_METHODS.join(', ')})`)
+    .version('1.0.0');
+
+  program
+    .command('import', { isDefault: true })
+    .description('Upload transactions from a CSV file to Notion')
+    .argument('[files...]', 'Several CSV or OFX/QFX files, folders or globs to import in one run')
+    .option('--csv-file-path <path>', 'Path to the CSV file containing transactions')
+    .option('--manifest <file>', 'JSON file listing the statements to import, each with its card and user')
+    .option('--payment-method <method>', 'Card the statement is for (see "cards list")')
+    .option('--retry-failed <file>', 'Upload only the rows recorded in a failed-rows file from a previous run')
     .option('--notion-database-id <id>', 'Notion database ID (can also be set via NOTION_DATABASE_ID env var)')
     .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
-    .option('--who-am-i <name>', `Specify user identity (one of: ${ALLOWED_USERS.join(', ')})`)
+    .option('--who-am-i <name>', 'Specify user identity (defaults to the card\'s owner; can also be set via WHO_AM_I env var for shared cards)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .option('--fx-rates <file>', 'Exchange rate table for converting foreign amounts to the home currency (overrides fxRates in the config)')
+    .option('--ledger-path <path>', 'Path to the local import ledger (can also be set via LEDGER_PATH env var)')
+    .option('--concurrency <count>', 'Maximum number of pages to create in parallel (default: 3)')
+    .option('--since <date>', 'Only import transactions dated on or after this date (YYYY-MM-DD)')
+    .option('--until <date>', 'Only import transactions dated on or before this date (YYYY-MM-DD)')
+    .option('--since-last-import', 'Only import transactions from the latest date already imported for this card on')
+    .option('--include-payments', 'Also import card payments (e.g. "Payment Thank You", "AUTOPAY"), which are skipped by default')
+    .option('--report <format>', 'Write a machine-readable run summary (json)')
+    .option('--report-file <path>', 'Write the --report output to a file instead of stdout')
+    .option('--interactive', 'Review each transaction before upload: accept, skip, edit or split it')
+    .option('--decisions <file>', 'Review decisions file to reuse (default with --interactive: next to the statement)')
     .option('--dry-run', 'Show transactions that would be uploaded without actually uploading them')
-    .parse(process.argv);
-
-  const options = program.opts();
-
-  // Run the main function
-  try {
-    validateAndUploadTransactions(program.opts());
-  } catch (error) {
-    console.error('Error:', error.message);
-    process.exit(1);
-  }
-})();
+    .action(async (files, options) => {
+      // Keep stdout clean for the JSON report by sending progress output to stderr
+      const logger = options.report && !options.reportFile
+        ? { log: console.error, warn: console.warn, error: console.error }
+        : console;
+
+      // Run the importer, for every file at once when given several or a manifest
+      try {
+        const importer = new TransactionImporter({ logger });
+        const batch = files.length > 0 || options.manifest;
+        let result;
+        if (batch) {
+          result = await importer.importFiles([...(options.csvFilePath ? [options.csvFilePath] : []), ...files], options);
+        } else {
+          result = options.dryRun ? await importer.preview(options) : await importer.upload(options);
+        }
+        (batch ? printBatchSummary : printSummary)(result.summary, logger);
+        if (options.report) {
+          await writeReport(result.summary, options.report, options.reportFile);
+        }
+        process.exitCode = result.exitCode;
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('history')
+    .description('List past import runs recorded in the local ledger')
+    .option('--ledger-path <path>', 'Path to the local import ledger (can also be set via LEDGER_PATH env var)')
+    .option('--limit <count>', 'Only show the most recent runs')
+    .action(async (options) => {
+      try {
+        await showImportHistory(options);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('undo <run-id>')
+    .description('Archive the Notion pages an import run created (see "history" for run IDs)')
+    .option('--dry-run', 'List the pages that would be archived without archiving them')
+    .option('--yes', 'Archive without asking for confirmation')
+    .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
+    .option('--ledger-path <path>', 'Path to the local import ledger (can also be set via LEDGER_PATH env var)')
+    .action(async (runId, options) => {
+      try {
+        const result = await undoRun(runId, options);
+        process.exitCode = result.failed > 0 ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('watch <dir>')
+    .description('Import every CSV or OFX/QFX statement dropped into a folder, for the card its header and file name point to')
+    .option('--who-am-i <name>', 'User to import statements of shared cards for (can also be set via WHO_AM_I env var)')
+    .option('--archive-dir <path>', `Folder imported statements are moved to (default: <dir>/${DEFAULT_ARCHIVE_DIR})`)
+    .option('--error-dir <path>', `Folder statements that failed are moved to, with a log (default: <dir>/${DEFAULT_ERROR_DIR})`)
+    .option('--once', 'Import the statements already in the folder, then exit instead of watching')
+    .option('--include-payments', 'Also import card payments (e.g. "Payment Thank You", "AUTOPAY"), which are skipped by default')
+    .option('--notion-database-id <id>', 'Notion database ID (can also be set via NOTION_DATABASE_ID env var)')
+    .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .option('--fx-rates <file>', 'Exchange rate table for converting foreign amounts to the home currency (overrides fxRates in the config)')
+    .option('--ledger-path <path>', 'Path to the local import ledger (can also be set via LEDGER_PATH env var)')
+    .action(async (dir, options) => {
+      try {
+        const results = await watchFolder(dir, options);
+        process.exitCode = results.some((result) => result.status === 'failed') ? EXIT_CODES.PARTIAL_FAILURE : EXIT_CODES.SUCCESS;
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  const rules = program
+    .command('rules')
+    .description('Work with the categorization rules in the config file');
+
+  rules
+    .command('test <file>')
+    .description('Show which rule matches each row of a CSV or OFX/QFX file, without uploading anything')
+    .option('--payment-method <method>', 'Card the file is for (see "cards list")')
+    .option('--who-am-i <name>', 'User to match "user" rules against (defaults to the card\'s owner)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .option('--fx-rates <file>', 'Exchange rate table for converting foreign amounts to the home currency (overrides fxRates in the config)')
+    .action(async (file, options) => {
+      try {
+        await testRules(file, options);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  const cards = program
+    .command('cards')
+    .description('Work with the users and cards in the config file');
+
+  cards
+    .command('list')
+    .description('Show the configured users and cards')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .action(async (options) => {
+      try {
+        await listCards(options);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('init-database')
+    .description('Create a Notion database with every property the importer writes')
+    .option('--parent-page-id <id>', 'ID of the Notion page to create the database under')
+    .option('--title <title>', 'Title of the new database (default: Transactions)')
+    .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .action(async (options) => {
+      try {
+        await initDatabase(options);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('reconcile <file>')
+    .description('Compare a CSV or OFX/QFX statement with what is already in Notion for its card')
+    .option('--payment-method <method>', 'Card the statement is for (see "cards list")')
+    .option('--who-am-i <name>', 'Specify user identity (defaults to the card\'s owner; can also be set via WHO_AM_I env var for shared cards)')
+    .option('--include-payments', 'Also expect card payments in Notion, which imports skip by default')
+    .option('--upload-missing', 'Upload the statement rows that are missing from Notion')
+    .option('--format <format>', 'Output format: table or json (default: table)')
+    .option('--notion-database-id <id>', 'Notion database ID (can also be set via NOTION_DATABASE_ID env var)')
+    .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .option('--fx-rates <file>', 'Exchange rate table for converting foreign amounts to the home currency (overrides fxRates in the config)')
+    .option('--ledger-path <path>', 'Path to the local import ledger (can also be set via LEDGER_PATH env var)')
+    .action(async (file, options) => {
+      // Keep stdout clean for the JSON output by sending progress output to stderr
+      const logger = options.format === 'json'
+        ? { log: console.error, warn: console.warn, error: console.error }
+        : console;
+
+      try {
+        const reconciliation = await reconcileStatement(file, options, { logger });
+        if (options.format === 'json') {
+          process.stdout.write(`${JSON.stringify(reconciliation, null, 2)}\n`);
+        } else {
+          printReconciliation(reconciliation);
+        }
+        process.exitCode = isReconciled(reconciliation) ? EXIT_CODES.SUCCESS : EXIT_CODES.PARTIAL_FAILURE;
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  program
+    .command('settle')
+    .description('Show who owes whom for the split transactions in the Notion database')
+    .option('--since <date>', 'Only count transactions dated on or after this date (YYYY-MM-DD)')
+    .option('--until <date>', 'Only count transactions dated on or before this date (YYYY-MM-DD)')
+    .option('--audited-only', 'Only count transactions whose Status is no longer "Requires Audit"')
+    .option('--format <format>', 'Output format: table or json (default: table)')
+    .option('--notion-database-id <id>', 'Notion database ID (can also be set via NOTION_DATABASE_ID env var)')
+    .option('--notion-api-key <key>', 'Notion API key (can also be set via NOTION_API_KEY env var)')
+    .option('--config <path>', `Path to the config file (can also be set via TRANSACTIONS_CONFIG env var; default: ./${DEFAULT_CONFIG_FILENAME})`)
+    .action(async (options) => {
+      try {
+        await settleUp(options);
+      } catch (error) {
+        console.error('Error:', error.message);
+        process.exitCode = EXIT_CODES.FATAL;
+      }
+    });
+
+  await program.parseAsync(argv);
+}
+
+// Only run the CLI when executed directly, so the module can be required by tests
+if (require.main === module) {
+  main(process.argv);
+}
+
+module.exports = {
+  ...library,
+  main
+};
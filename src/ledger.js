@@ -0,0 +1,142 @@
+// Local ledger of import runs, stored as a JSON file
+const fs = require('fs').promises;
+const crypto = require('crypto');
+const os = require('os');
+const path = require('path');
+const { matchKeyCounts } = require('./duplicates');
+
+const DEFAULT_LEDGER_PATH = path.join(os.homedir(), '.transactions-to-notion', 'ledger.json');
+
+// Resolve the ledger location from CLI options, env var or the default
+function getLedgerPath(options = {}) {
+  return options.ledgerPath || process.env.LEDGER_PATH || DEFAULT_LEDGER_PATH;
+}
+
+// Load the ledger, treating a missing file as an empty ledger
+async function loadLedger(ledgerPath) {
+  let contents;
+  try {
+    contents = await fs.readFile(ledgerPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: 1, runs: [] };
+    }
+    throw error;
+  }
+
+  try {
+    const ledger = JSON.parse(contents);
+    return { version: 1, ...ledger, runs: ledger.runs || [] };
+  } catch (error) {
+    throw new Error(`Ledger file at ${ledgerPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Write the ledger through a temporary file so a crash never leaves it half written
+async function saveLedger(ledgerPath, ledger) {
+  await fs.mkdir(path.dirname(ledgerPath), { recursive: true });
+  const tempPath = `${ledgerPath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(ledger, null, 2)}\n`);
+  await fs.rename(tempPath, ledgerPath);
+}
+
+// Append a finished run to the ledger
+async function recordRun(ledgerPath, run) {
+  const ledger = await loadLedger(ledgerPath);
+  ledger.runs.push(run);
+  await saveLedger(ledgerPath, ledger);
+  return run;
+}
+
+// Mark the rows of a run whose pages were archived as undone, so they no longer count as
+// imported, and note when the run was undone
+async function markRunUndone(ledgerPath, runId, pageIds, undoneAt = new Date()) {
+  const ledger = await loadLedger(ledgerPath);
+  const run = ledger.runs.find((entry) => entry.id === runId);
+  if (!run) {
+    throw new Error(`No import run ${runId} in ${ledgerPath}`);
+  }
+
+  const archived = new Set(pageIds);
+  for (const row of run.rows || []) {
+    if (row.status === 'uploaded' && archived.has(row.pageId)) {
+      row.status = 'undone';
+    }
+  }
+  run.undoneAt = undoneAt.toISOString();
+  await saveLedger(ledgerPath, ledger);
+  return run;
+}
+
+// Run IDs sort chronologically and stay short enough to type, e.g. 20230115-093000-1a2b
+function createRunId(date = new Date()) {
+  const timestamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${timestamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+// SHA-256 of the source file, so a run can be traced back to the exact export it came from
+async function hashFile(filePath) {
+  const contents = await fs.readFile(filePath);
+  return crypto.createHash('sha256').update(contents).digest('hex');
+}
+
+// Count how many times each fingerprint was successfully uploaded across the runs into a
+// Notion database. Runs recorded before the database was kept are left out, so their rows
+// are checked against Notion instead.
+function importedFingerprintCounts(ledger, databaseId) {
+  const counts = new Map();
+  for (const run of ledger.runs) {
+    if (run.databaseId !== databaseId) continue;
+    for (const row of run.rows || []) {
+      if (row.status === 'uploaded') {
+        counts.set(row.fingerprint, (counts.get(row.fingerprint) || 0) + 1);
+      }
+    }
+  }
+  return counts;
+}
+
+// Find which fingerprints the ledger already records as uploaded to a Notion database
+function findImported(ledger, fingerprints, databaseId) {
+  return matchKeyCounts(fingerprints, importedFingerprintCounts(ledger, databaseId));
+}
+
+// The latest transaction date the ledger records as imported (uploaded, or found already in
+// Notion) for a user's card in a Notion database, or null. Rows from runs before dates or
+// the database were recorded are ignored.
+function findLastImportedDate(ledger, user, paymentMethod, databaseId) {
+  let latest = null;
+  for (const run of ledger.runs) {
+    if (run.databaseId !== databaseId || run.user !== user || run.paymentMethod !== paymentMethod) continue;
+    for (const row of run.rows || []) {
+      if ((row.status === 'uploaded' || row.status === 'duplicate') && row.date && (!latest || row.date > latest)) {
+        latest = row.date;
+      }
+    }
+  }
+  return latest;
+}
+
+// Count rows in a run by status
+function summarizeRun(run) {
+  const counts = { uploaded: 0, duplicate: 0, failed: 0 };
+  for (const row of run.rows || []) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+  return counts;
+}
+
+module.exports = {
+  DEFAULT_LEDGER_PATH,
+  getLedgerPath,
+  loadLedger,
+  saveLedger,
+  recordRun,
+  markRunUndone,
+  createRunId,
+  hashFile,
+  importedFingerprintCounts,
+  findImported,
+  findLastImportedDate,
+  summarizeRun,
+};
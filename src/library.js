@@ -0,0 +1,19 @@
+// The package's library entry, what require('transactions-to-notion-uploader') returns: the
+// importer and the helpers behind the CLI commands. Unlike the CLI it loads no .env file and
+// no command-line parser, so requiring it changes nothing in the calling process.
+const utils = require('./utils');
+const { undoRun } = require('./undo');
+const { watchFolder } = require('./watch');
+const { settleUp } = require('./settle');
+const { reconcileStatement, printReconciliation } = require('./reconcile');
+const { TransactionImporter } = require('./importer');
+
+module.exports = {
+  ...utils,
+  undoRun,
+  watchFolder,
+  settleUp,
+  reconcileStatement,
+  printReconciliation,
+  TransactionImporter,
+};
@@ -0,0 +1,120 @@
+// Merchant name normalization: turn raw bank descriptions such as
+// "SQ *BLUE BOTTLE COF 0123 SAN FRANCISCO CA" into a clean merchant name, then map known
+// variants to one canonical name with the config's alias table.
+
+// Payment processor prefixes, e.g. "SQ *", "TST* ", "PAYPAL *"
+const PROCESSOR_PREFIX = /^(?:SQ|TST|SP|PP|PAYPAL|PY|CKO|IC|BT|DD|FSP|SQU)\s*\*\s*/i;
+
+// Reference codes glued on with an asterisk, e.g. "AMZN Mktp US*2K4LL"
+const REFERENCE_CODE = /\*\s*[A-Z0-9]*\d[A-Z0-9]*\b.*$/i;
+
+// Store numbers such as "#1234" or a standalone "0123"; anything after one is location detail
+const STORE_NUMBER = /\s+#?\s*\d{3,}\b.*$|\s+#\s*\d+\b.*$/;
+
+// Phone numbers and web addresses that some processors append
+const PHONE_NUMBER = /\s+\(?\d{3}\)?[-.\s]?\d{3}[-.]\d{4}\b.*$/;
+const WEB_ADDRESS = /\s+(?:[a-z0-9-]+\.)+(?:com|net|org|co)(?:\/\S*)?\b.*$/i;
+
+// Two-letter US state and territory codes
+const STATE_CODES = new Set([
+  'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+  'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+  'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY',
+  'PR', 'VI', 'GU',
+]);
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Drop a trailing "CITY ST". Fixed-width exports pad the merchant name with several spaces
+// before the city, which tells where the city starts; otherwise only the state is dropped.
+function stripLocation(text) {
+  const match = text.match(/^(.*?)\s+([A-Z]{2})$/);
+  if (!match || !STATE_CODES.has(match[2])) return text;
+
+  const padded = match[1].split(/\s{2,}/);
+  return padded.length > 1 ? padded[0] : match[1];
+}
+
+// Title-case descriptions that are all capitals, keeping short words like "US" as they are
+function toTitleCase(text) {
+  if (text !== text.toUpperCase()) return text;
+  return text.replace(/[A-Za-z][^\s*/]*/g, (word) => (
+    word.length <= 2 ? word : word.charAt(0) + word.slice(1).toLowerCase()
+  ));
+}
+
+// Strip processor prefixes, reference codes, store numbers and location suffixes from a raw
+// bank description. Falls back to the raw description if nothing would be left.
+function cleanDescription(raw) {
+  const original = String(raw || '').trim();
+  let text = original;
+
+  text = text.replace(PROCESSOR_PREFIX, '');
+  text = text.replace(REFERENCE_CODE, '');
+  text = text.replace(PHONE_NUMBER, '');
+  text = text.replace(WEB_ADDRESS, '');
+  text = stripLocation(text.trim());
+  text = text.replace(STORE_NUMBER, '');
+  text = text.replace(/[\s*#-]+$/, '').replace(/\s+/g, ' ').trim();
+
+  return text ? toTitleCase(text) : original;
+}
+
+// Check the merchantAliases section of the config: canonical name -> list of regular
+// expressions matching its variants
+function validateMerchantAliases(aliases) {
+  if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+    return ['merchantAliases must map canonical merchant names to lists of patterns'];
+  }
+
+  const errors = [];
+  for (const [name, patterns] of Object.entries(aliases)) {
+    const where = `merchantAliases["${name}"]`;
+    if (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every(isNonEmptyString)) {
+      errors.push(`${where} must be a list of regular expressions`);
+      continue;
+    }
+    for (const pattern of patterns) {
+      try {
+        new RegExp(pattern, 'i');
+      } catch (error) {
+        errors.push(`${where} has an invalid regular expression "${pattern}": ${error.message}`);
+      }
+    }
+  }
+  return errors;
+}
+
+// Prepare validated aliases for matching, keeping their order
+function compileMerchantAliases(aliases = {}) {
+  return Object.entries(aliases || {}).map(([name, patterns]) => ({
+    name,
+    patterns: patterns.map((pattern) => new RegExp(pattern, 'i')),
+  }));
+}
+
+// The canonical merchant name for a raw description. Aliases are checked against both the
+// cleaned and the raw description, so they can be written against either.
+function normalizeMerchant(raw, aliases = []) {
+  const cleaned = cleanDescription(raw);
+  const alias = aliases.find(({ patterns }) => patterns.some((pattern) => pattern.test(cleaned) || pattern.test(raw)));
+  return alias ? alias.name : cleaned;
+}
+
+// Give every transaction a normalized description, keeping the bank's text in
+// rawDescription. Safe to run on transactions that were already normalized.
+function normalizeMerchants(transactions, aliases = []) {
+  return transactions.map((transaction) => {
+    const rawDescription = transaction.rawDescription || transaction.description;
+    if (!rawDescription || rawDescription === 'Unknown') return transaction;
+    return { ...transaction, description: normalizeMerchant(rawDescription, aliases), rawDescription };
+  });
+}
+
+module.exports = {
+  cleanDescription,
+  validateMerchantAliases,
+  compileMerchantAliases,
+  normalizeMerchant,
+  normalizeMerchants,
+};
@@ -0,0 +1,216 @@
+// Mapping of normalized transaction fields to Notion page properties. The default mapping is
+// the layout the importer has always written; a config file can replace it to fit a
+// differently shaped database.
+
+const PROPERTY_TYPES = ['title', 'rich_text', 'number', 'select', 'multi_select', 'date', 'checkbox'];
+
+// Status every imported page starts with
+const IMPORT_STATUS = 'Requires Audit';
+
+// Fields a property can take its value from. paymentMethod is the "<user>'s <card>" label;
+// extra.<name> reaches a bank format's extra columns and shares.<user> a person's share of
+// a split transaction. originalAmount and currency are what a foreign charge was in its own
+// currency, and convertedAmount the amount it came to in the home currency.
+const TRANSACTION_FIELDS = [
+  'date', 'description', 'rawDescription', 'amount', 'paymentMethod', 'user', 'card',
+  'category', 'tags', 'type', 'fitid', 'originalAmount', 'currency', 'convertedAmount',
+  'rawAmount', 'rawDate',
+];
+
+// Each property takes its value from exactly one of: a transaction field, a constant value,
+// or a template such as "{user}'s {card}"
+const VALUE_SOURCES = ['field', 'value', 'template'];
+
+const DEFAULT_NOTION_PROPERTIES = {
+  'Expense': { type: 'title', field: 'description' },
+  'Date': { type: 'date', field: 'date' },
+  'Total Amount': { type: 'number', field: 'amount', format: 'dollar' },
+  'Status': { type: 'select', value: IMPORT_STATUS },
+  'Payment Method': { type: 'select', field: 'paymentMethod' },
+  'Raw Description': { type: 'rich_text', field: 'rawDescription' },
+  'Category': { type: 'select', field: 'category' },
+  'Tags': { type: 'multi_select', field: 'tags' },
+  'Original Amount': { type: 'number', field: 'originalAmount' },
+  'Currency': { type: 'select', field: 'currency' },
+  'Converted Amount': { type: 'number', field: 'convertedAmount', format: 'dollar' },
+  'FITID': { type: 'rich_text', field: 'fitid' },
+  'Raw Amount': { type: 'number', field: 'rawAmount', format: 'dollar' },
+  'Raw Date': { type: 'date', field: 'rawDate' },
+};
+
+// The default layout for a household: a number property for each person's share of split
+// transactions, which only needs to exist once something is split
+function getDefaultNotionProperties(users) {
+  const properties = { ...DEFAULT_NOTION_PROPERTIES };
+  for (const user of users) {
+    properties[`${user}'s Share`] = { type: 'number', field: `shares.${user}`, format: 'dollar' };
+  }
+  return properties;
+}
+
+const PLACEHOLDER = /\{([A-Za-z0-9_.]+)\}/g;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isKnownField = (field) => TRANSACTION_FIELDS.includes(field) || /^(extra|shares)\.[A-Za-z0-9_]+$/.test(field);
+
+// Check the notionProperties section of the config and return a list of readable problems
+function validateNotionProperties(properties) {
+  if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+    return ['notionProperties must map Notion property names to how each is filled'];
+  }
+
+  const errors = [];
+  for (const [name, spec] of Object.entries(properties)) {
+    const where = `notionProperties["${name}"]`;
+    if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    if (!PROPERTY_TYPES.includes(spec.type)) {
+      errors.push(`${where}.type must be one of: ${PROPERTY_TYPES.join(', ')}`);
+    }
+
+    const sources = VALUE_SOURCES.filter((source) => spec[source] !== undefined);
+    if (sources.length !== 1) {
+      errors.push(`${where} must set exactly one of: ${VALUE_SOURCES.join(', ')}`);
+    } else if (spec.field !== undefined && !isKnownField(spec.field)) {
+      errors.push(`${where}.field must be one of: ${TRANSACTION_FIELDS.join(', ')}, extra.<column name> or shares.<user>`);
+    } else if (spec.template !== undefined) {
+      if (!isNonEmptyString(spec.template)) {
+        errors.push(`${where}.template must be a string such as "{user}'s {card}"`);
+      } else {
+        for (const [, field] of spec.template.matchAll(PLACEHOLDER)) {
+          if (!isKnownField(field)) errors.push(`${where}.template uses unknown field {${field}}`);
+        }
+      }
+    }
+
+    if (spec.format !== undefined && (spec.type !== 'number' || !isNonEmptyString(spec.format))) {
+      errors.push(`${where}.format is only allowed on number properties, e.g. "dollar"`);
+    }
+  }
+
+  const types = Object.values(properties).filter((spec) => spec && typeof spec === 'object').map((spec) => spec.type);
+  if (types.filter((type) => type === 'title').length !== 1) {
+    errors.push('notionProperties must have exactly one property of type title');
+  }
+  if (!Object.values(properties).some((spec) => spec && spec.field === 'date' && spec.type === 'date')) {
+    errors.push('notionProperties must have a date property filled from the date field');
+  }
+
+  return errors;
+}
+
+// Read a field, including extra.<name> and shares.<user>, from normalized page fields
+function getField(fields, field) {
+  const [group, name] = field.split(/\.(.*)/);
+  return (group === 'extra' || group === 'shares') && name !== undefined ? (fields[group] || {})[name] : fields[field];
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+// The value a property gets for some fields, or undefined when there is nothing to write.
+// A template with a placeholder that has no value renders nothing.
+function renderPropertyValue(spec, fields) {
+  if (spec.value !== undefined) return spec.value;
+  if (spec.field !== undefined) {
+    const value = getField(fields, spec.field);
+    return isEmpty(value) ? undefined : value;
+  }
+
+  let missing = false;
+  const rendered = spec.template.replace(PLACEHOLDER, (_, field) => {
+    const value = getField(fields, field);
+    if (isEmpty(value)) missing = true;
+    return Array.isArray(value) ? value.join(', ') : String(value);
+  });
+  return missing ? undefined : rendered;
+}
+
+// Turn a value into the Notion payload for a property type
+function toPropertyPayload(type, value) {
+  const text = (content) => [{ text: { content: String(content) } }];
+  switch (type) {
+    case 'title': return { title: text(value) };
+    case 'rich_text': return { rich_text: text(value) };
+    case 'number': return { number: Number(value) };
+    case 'select': return { select: { name: String(value) } };
+    case 'multi_select': return { multi_select: [].concat(value).map((name) => ({ name: String(name) })) };
+    case 'date': return { date: { start: String(value) } };
+    case 'checkbox': return { checkbox: Boolean(value) };
+    default: throw new Error(`Unsupported Notion property type: ${type}`);
+  }
+}
+
+// Build the properties of a new page. Properties with nothing to write are left out.
+function buildPageProperties(fields, properties = DEFAULT_NOTION_PROPERTIES) {
+  const page = {};
+  for (const [name, spec] of Object.entries(properties)) {
+    const value = renderPropertyValue(spec, fields);
+    if (value !== undefined) page[name] = toPropertyPayload(spec.type, value);
+  }
+  return page;
+}
+
+// Read a plain value back out of a page property, of the given type when the property
+// does not say
+function readPropertyValue(property, type = property && property.type) {
+  if (!property) return undefined;
+  const plainText = (parts) => (parts || []).map((part) => part.plain_text || (part.text && part.text.content) || '').join('');
+  switch (type) {
+    case 'title': return plainText(property.title);
+    case 'rich_text': return plainText(property.rich_text);
+    case 'number': return property.number;
+    case 'select': return property.select ? property.select.name : null;
+    case 'multi_select': return (property.multi_select || []).map((option) => option.name);
+    case 'date': return property.date ? property.date.start : null;
+    case 'checkbox': return property.checkbox;
+    default: return undefined;
+  }
+}
+
+// The properties duplicate detection compares, by role. The description is the raw bank
+// description when one is written, falling back to the title; the payment method is the
+// property built from the card, preferring a select over text that merely mentions it. The
+// status is the select every imported page starts with a fixed value in, the FITID the
+// text property the bank's transaction ID is written to, and the raw amount and date hold
+// what the bank had for a row edited in review.
+function getKeyProperties(properties = DEFAULT_NOTION_PROPERTIES) {
+  const entries = Object.entries(properties);
+  const find = (test) => {
+    const entry = entries.find(([, spec]) => test(spec));
+    return entry ? entry[0] : null;
+  };
+  const usesCard = (spec) => spec.field === 'paymentMethod' || spec.field === 'card' ||
+    (spec.template !== undefined && /\{(card|paymentMethod)\}/.test(spec.template));
+
+  return {
+    date: find((spec) => spec.field === 'date' && spec.type === 'date'),
+    amount: find((spec) => spec.field === 'amount' && spec.type === 'number'),
+    rawDescription: find((spec) => spec.field === 'rawDescription'),
+    title: find((spec) => spec.type === 'title'),
+    paymentMethod: ['select', 'rich_text', 'title']
+      .map((type) => find((spec) => usesCard(spec) && spec.type === type))
+      .find(Boolean) || null,
+    status: find((spec) => spec.type === 'select' && spec.value !== undefined),
+    fitid: find((spec) => spec.field === 'fitid' && spec.type === 'rich_text'),
+    rawAmount: find((spec) => spec.field === 'rawAmount' && spec.type === 'number'),
+    rawDate: find((spec) => spec.field === 'rawDate' && spec.type === 'date'),
+  };
+}
+
+module.exports = {
+  PROPERTY_TYPES,
+  IMPORT_STATUS,
+  TRANSACTION_FIELDS,
+  DEFAULT_NOTION_PROPERTIES,
+  getDefaultNotionProperties,
+  validateNotionProperties,
+  renderPropertyValue,
+  toPropertyPayload,
+  buildPageProperties,
+  readPropertyValue,
+  getKeyProperties,
+};
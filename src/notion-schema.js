@@ -0,0 +1,137 @@
+// The shape of the Notion database the importer writes to: checking an existing database
+// before uploading, adding missing select options, and creating a new database.
+const { DEFAULT_NOTION_PROPERTIES, renderPropertyValue } = require('./notion-properties');
+
+const unique = (values) => [...new Set(values.filter((value) => value !== undefined && value !== null && value !== ''))];
+
+// The properties a set of page fields will be written to: every mapped property that at
+// least one row has a value for
+function getRequiredProperties(fieldsList, properties = DEFAULT_NOTION_PROPERTIES) {
+  return Object.entries(properties)
+    .filter(([, spec]) => fieldsList.some((fields) => renderPropertyValue(spec, fields) !== undefined))
+    .map(([name, spec]) => ({ name, type: spec.type }));
+}
+
+// The select and multi-select options a set of page fields needs, by property name
+function getRequiredOptions(fieldsList, properties = DEFAULT_NOTION_PROPERTIES) {
+  const options = {};
+  for (const [name, spec] of Object.entries(properties)) {
+    if (spec.type !== 'select' && spec.type !== 'multi_select') continue;
+    const values = fieldsList.map((fields) => renderPropertyValue(spec, fields)).filter((value) => value !== undefined);
+    options[name] = unique(values.flat().map(String));
+  }
+  return options;
+}
+
+// Every property of a mapping, with its type
+function getAllProperties(properties = DEFAULT_NOTION_PROPERTIES) {
+  return Object.entries(properties).map(([name, spec]) => ({ name, type: spec.type }));
+}
+
+// Compare a database (from databases.retrieve) with the properties the importer writes and
+// return a list of readable problems (empty when it fits)
+function validateDatabaseSchema(database, requiredProperties = getAllProperties()) {
+  const existing = database.properties || {};
+  const errors = [];
+
+  for (const { name, type } of requiredProperties) {
+    const property = existing[name];
+    if (!property) {
+      const hint = type === 'title'
+        ? ` (the database's title property is "${Object.keys(existing).find((key) => existing[key].type === 'title')}"; rename it to "${name}")`
+        : '';
+      errors.push(`Missing property "${name}" of type ${type}${hint}`);
+    } else if (property.type !== type) {
+      errors.push(`Property "${name}" is of type ${property.type}, expected ${type}`);
+    }
+  }
+
+  return errors;
+}
+
+// Select options that are required but missing from the database, by property name
+function findMissingOptions(database, requiredOptions) {
+  const missing = {};
+  for (const [name, options] of Object.entries(requiredOptions)) {
+    const property = (database.properties || {})[name];
+    if (!property || !property[property.type] || options.length === 0) continue;
+
+    const existing = (property[property.type].options || []).map((option) => option.name);
+    const absent = options.filter((option) => !existing.includes(option));
+    if (absent.length > 0) missing[name] = absent;
+  }
+  return missing;
+}
+
+// Add missing select options to the database, keeping the existing ones
+async function addSelectOptions(notionClient, databaseId, database, missingOptions) {
+  const properties = {};
+  for (const [name, options] of Object.entries(missingOptions)) {
+    const property = database.properties[name];
+    properties[name] = {
+      [property.type]: {
+        options: [
+          ...property[property.type].options.map(({ id, name: optionName, color }) => ({ id, name: optionName, color })),
+          ...options.map((option) => ({ name: option })),
+        ],
+      },
+    };
+  }
+  await notionClient.databases.update({ database_id: databaseId, properties });
+}
+
+// Check the database before uploading. Fails with every schema problem at once; missing
+// select options are added unless this is a dry run. Returns the options that were (or,
+// in a dry run, would be) added.
+async function checkDatabase(notionClient, databaseId, fieldsList, { dryRun = false, properties = DEFAULT_NOTION_PROPERTIES } = {}) {
+  let database;
+  try {
+    database = await notionClient.databases.retrieve({ database_id: databaseId });
+  } catch (error) {
+    if (error.code === 'object_not_found') {
+      throw new Error(`Notion database ${databaseId} was not found. Check the ID and share the database with your integration.`);
+    }
+    throw error;
+  }
+
+  const errors = validateDatabaseSchema(database, getRequiredProperties(fieldsList, properties));
+  if (errors.length > 0) {
+    throw new Error(
+      `Notion database ${databaseId} does not have the expected properties:\n${errors.map((error) => `  - ${error}`).join('\n')}\n` +
+      'Fix the properties in Notion, or create a new database with the init-database command.'
+    );
+  }
+
+  const missingOptions = findMissingOptions(database, getRequiredOptions(fieldsList, properties));
+  if (!dryRun && Object.keys(missingOptions).length > 0) {
+    await addSelectOptions(notionClient, databaseId, database, missingOptions);
+  }
+  return missingOptions;
+}
+
+// Property definitions for a new database. Select options are filled in up front from
+// sample page fields, such as one per user and card; constant values are always included.
+function buildDatabaseProperties(properties = DEFAULT_NOTION_PROPERTIES, samples = []) {
+  const options = getRequiredOptions([{}, ...samples], properties);
+  const definitions = {};
+  for (const [name, spec] of Object.entries(properties)) {
+    if (spec.type === 'select' || spec.type === 'multi_select') {
+      definitions[name] = { [spec.type]: { options: options[name].map((option) => ({ name: option })) } };
+    } else if (spec.type === 'number') {
+      definitions[name] = { number: spec.format ? { format: spec.format } : {} };
+    } else {
+      definitions[name] = { [spec.type]: {} };
+    }
+  }
+  return definitions;
+}
+
+module.exports = {
+  getAllProperties,
+  getRequiredProperties,
+  getRequiredOptions,
+  validateDatabaseSchema,
+  findMissingOptions,
+  checkDatabase,
+  buildDatabaseProperties,
+};
@@ -0,0 +1,182 @@
+// OFX/QFX statement parsing. Handles both OFX 1.x (SGML, leaf elements without closing tags)
+// and OFX 2.x (XML), and produces the same normalized transactions as the CSV parser.
+const fs = require('fs').promises;
+const path = require('path');
+const { normalizeAmount, classifyTransaction } = require('./transaction-types');
+const { checkAmount } = require('./currency');
+const { parseDate } = require('./dates');
+
+const OFX_EXTENSIONS = ['.ofx', '.qfx'];
+
+// OFX amounts are signed from the account holder's side, so card charges are negative.
+// TRNTYPE values that say what a row is; DEBIT and CREDIT fall back to the usual rules.
+const OFX_FORMAT = {
+  signConvention: 'charges-negative',
+  typeMap: { PAYMENT: 'payment', FEE: 'fee', SRVCHG: 'fee' },
+};
+
+// Aggregates that identify the account a statement belongs to
+const ACCOUNT_AGGREGATES = ['BANKACCTFROM', 'CCACCTFROM'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+const decodeEntities = (text) => text.replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (_, name) => ENTITIES[name]);
+
+// Does this look like an OFX document?
+function isOfxContents(contents) {
+  const start = String(contents).slice(0, 4096);
+  return /^\s*OFXHEADER\s*:/i.test(start) || /<\?OFX\b/i.test(start) || /<OFX>/i.test(start);
+}
+
+// Pick the statement format from the file extension, or from the contents when the
+// extension does not say
+async function detectStatementFormat(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (OFX_EXTENSIONS.includes(extension)) return 'ofx';
+  if (extension === '.csv') return 'csv';
+
+  try {
+    return isOfxContents(await fs.readFile(filePath, 'latin1')) ? 'ofx' : 'csv';
+  } catch (error) {
+    return 'csv';
+  }
+}
+
+// Read the statements in an OFX document: the account each one is for and its transactions,
+// each as a map of element name to value
+function parseOfxContents(contents) {
+  const bodyStart = String(contents).search(/<OFX>/i);
+  if (bodyStart === -1) {
+    throw new Error('Not an OFX document: no <OFX> element found');
+  }
+  const body = String(contents).slice(bodyStart);
+
+  const statements = [];
+  const stack = [];
+  let statement = null;
+  let transaction = null;
+
+  const tagPattern = /<(\/?)([A-Za-z0-9.]+)>([^<]*)/g;
+  let match;
+  while ((match = tagPattern.exec(body)) !== null) {
+    const [, closing, rawName, rawValue] = match;
+    const name = rawName.toUpperCase();
+    const value = decodeEntities(rawValue.trim());
+
+    if (closing) {
+      // Close the aggregate, along with any SGML leaves that were never closed inside it
+      const index = stack.lastIndexOf(name);
+      if (index !== -1) stack.length = index;
+      if (name === 'STMTTRN' && transaction) {
+        statement.transactions.push(transaction);
+        transaction = null;
+      }
+      continue;
+    }
+
+    if (value === '') {
+      // The start of an aggregate such as <STMTTRN>
+      stack.push(name);
+      if (name === 'STMTRS' || name === 'CCSTMTRS') {
+        statement = { account: {}, transactions: [] };
+        statements.push(statement);
+      } else if (name === 'CCACCTFROM' && statement) {
+        statement.account.ACCTTYPE = 'CREDITCARD';
+      } else if (name === 'STMTTRN') {
+        if (!statement) {
+          statement = { account: {}, transactions: [] };
+          statements.push(statement);
+        }
+        transaction = {};
+      }
+      continue;
+    }
+
+    // A leaf element with a value
+    if (transaction) {
+      transaction[name] = value;
+    } else if (statement && ACCOUNT_AGGREGATES.includes(stack[stack.length - 1])) {
+      statement.account[name] = value;
+    } else if (statement && name === 'CURDEF') {
+      statement.currency = value;
+    }
+  }
+
+  return statements;
+}
+
+// OFX dates are YYYYMMDD, optionally followed by a time and timezone; only the calendar
+// day as written is kept
+function parseOfxDate(value) {
+  return value ? parseDate(String(value).slice(0, 8), 'YYYYMMDD') : null;
+}
+
+// Parse an OFX/QFX file into normalized transactions. Each transaction keeps its FITID,
+// which identifies it across downloads of overlapping statements.
+async function parseOFX(filePath, paymentMethod, logger = console) {
+  const buffer = await fs.readFile(filePath);
+  // OFX 1.x files are usually Windows-1252; latin1 is close enough for descriptions
+  const header = buffer.slice(0, 1024).toString('latin1');
+  const contents = /CHARSET\s*:\s*1252/i.test(header) ? buffer.toString('latin1') : buffer.toString('utf8');
+
+  if (!isOfxContents(contents)) {
+    throw new Error(`File ${filePath} is not an OFX/QFX statement`);
+  }
+
+  const statements = parseOfxContents(contents);
+  logger.log(`Using OFX statement for payment method: ${paymentMethod}`);
+
+  const results = [];
+  for (const statement of statements) {
+    for (const data of statement.transactions) {
+      const normalizedTransaction = {};
+
+      normalizedTransaction.description = data.NAME || data.MEMO || 'Unknown';
+      // Charges are positive and credits negative, like every other format
+      normalizedTransaction.amount = normalizeAmount(data.TRNAMT, OFX_FORMAT.signConvention);
+      if (statement.currency) normalizedTransaction.currency = statement.currency;
+
+      // Prefer the date the transaction happened over the date it posted
+      const rawDate = data.DTUSER || data.DTPOSTED;
+      const date = parseOfxDate(rawDate);
+      normalizedTransaction.date = date || rawDate || '';
+      if (!date) {
+        normalizedTransaction.error = rawDate ? `Unparseable date "${rawDate}" (expected YYYYMMDD)` : 'Missing date';
+      }
+      const amountError = checkAmount(data.TRNAMT);
+      if (amountError && !normalizedTransaction.error) normalizedTransaction.error = amountError;
+
+      normalizedTransaction.type = classifyTransaction({
+        amount: normalizedTransaction.amount,
+        description: normalizedTransaction.description,
+        rawType: data.TRNTYPE,
+      }, OFX_FORMAT);
+
+      normalizedTransaction.extra = data.NAME && data.MEMO ? { memo: data.MEMO } : {};
+      if (data.FITID) normalizedTransaction.fitid = data.FITID;
+      normalizedTransaction.account = {
+        bankId: statement.account.BANKID,
+        accountId: statement.account.ACCTID,
+        accountType: statement.account.ACCTTYPE,
+      };
+
+      normalizedTransaction.originalData = data;
+      normalizedTransaction.paymentMethod = paymentMethod;
+      // OFX has no rows; number transactions in the order they appear
+      normalizedTransaction.rowNumber = results.length + 1;
+
+      results.push(normalizedTransaction);
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  OFX_EXTENSIONS,
+  OFX_FORMAT,
+  isOfxContents,
+  detectStatementFormat,
+  parseOfxContents,
+  parseOFX,
+};
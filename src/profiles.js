@@ -0,0 +1,152 @@
+// Household profile: the people who import statements and the cards they import them for.
+// Each card has a bank format, and may have an owner, a Payment Method label and a default
+// category. Without a profile in the config file, every built-in payment method is a card
+// shared by the built-in users.
+
+const DEFAULT_USERS = ['Alli', 'Justin'];
+
+// Cards whose statements only come as OFX/QFX files do not need a CSV bank format
+const OFX_BANK_FORMAT = 'ofx';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Check the users and cards sections of the config and return a list of readable problems.
+// bankFormatNames are the built-in and configured bank formats a card may use.
+function validateProfile(config, bankFormatNames = []) {
+  const errors = [];
+
+  let users = DEFAULT_USERS;
+  if (config.users !== undefined) {
+    if (!Array.isArray(config.users) || config.users.length === 0 || !config.users.every(isNonEmptyString)) {
+      errors.push('users must list the names of the people who import statements');
+    } else {
+      users = config.users;
+      const seen = new Set();
+      for (const user of users) {
+        if (seen.has(user)) errors.push(`users lists "${user}" more than once`);
+        seen.add(user);
+      }
+    }
+  }
+
+  if (config.cards === undefined) return errors;
+  if (!config.cards || typeof config.cards !== 'object' || Array.isArray(config.cards) ||
+    Object.keys(config.cards).length === 0) {
+    errors.push('cards must map card names to their owner, bank format and label');
+    return errors;
+  }
+
+  const formats = [...bankFormatNames, OFX_BANK_FORMAT];
+  for (const [name, card] of Object.entries(config.cards)) {
+    const where = `cards["${name}"]`;
+    if (!card || typeof card !== 'object' || Array.isArray(card)) {
+      errors.push(`${where} must be an object`);
+      continue;
+    }
+
+    if (card.owner !== undefined && !users.includes(card.owner)) {
+      errors.push(`${where}.owner must be one of the users: ${users.join(', ')}`);
+    }
+    if (!formats.includes(card.bankFormat)) {
+      errors.push(`${where}.bankFormat must be one of: ${formats.join(', ')}`);
+    }
+    if (card.label !== undefined && !isNonEmptyString(card.label)) {
+      errors.push(`${where}.label must be the Payment Method option to use, e.g. "Alli's ${name}"`);
+    }
+    if (card.defaultCategory !== undefined && !isNonEmptyString(card.defaultCategory)) {
+      errors.push(`${where}.defaultCategory must be the name of a Category option`);
+    }
+  }
+
+  return errors;
+}
+
+// Build the profile from a validated config. Without a cards section, every payment method
+// of the bank formats is a shared card.
+function resolveProfile(config = {}, bankMappings = {}) {
+  const users = config.users ? [...config.users] : [...DEFAULT_USERS];
+
+  const cards = {};
+  if (config.cards) {
+    for (const [name, card] of Object.entries(config.cards)) {
+      cards[name] = {
+        name,
+        owner: card.owner || null,
+        bankFormat: card.bankFormat,
+        label: card.label || null,
+        defaultCategory: card.defaultCategory || null,
+      };
+    }
+  } else {
+    for (const [bankFormat, format] of Object.entries(bankMappings)) {
+      for (const name of format.paymentMethods || []) {
+        cards[name] = { name, owner: null, bankFormat, label: null, defaultCategory: null };
+      }
+    }
+  }
+
+  return { users, cards };
+}
+
+// Bank formats whose payment methods are exactly the configured cards that use them, so
+// CSV parsing finds each card's format and nothing else
+function assignCardsToBankFormats(bankMappings, cards) {
+  const assigned = {};
+  for (const [name, format] of Object.entries(bankMappings)) {
+    assigned[name] = { ...format, paymentMethods: [] };
+  }
+  for (const card of Object.values(cards)) {
+    if (assigned[card.bankFormat]) assigned[card.bankFormat].paymentMethods.push(card.name);
+  }
+  return assigned;
+}
+
+// The Payment Method option a user's rows on a card are labelled with
+function getCardLabel(card, user) {
+  return card.label || `${user}'s ${card.name}`;
+}
+
+// Work out the card and the user a statement is imported for. The user defaults to the
+// card's owner; defaultUser (such as WHO_AM_I from the environment) is only used for shared
+// cards. A user is required unless requireUser is false.
+function resolveCardholder(profile, paymentMethod, whoAmI, { defaultUser, requireUser = true } = {}) {
+  const card = profile.cards[paymentMethod];
+  if (!card) {
+    throw new Error(`--payment-method must be one of: ${Object.keys(profile.cards).join(', ')}`);
+  }
+
+  const user = whoAmI || card.owner || defaultUser;
+  if (!user) {
+    if (!requireUser) return { card, user: null };
+    throw new Error('WHO_AM_I is required. Provide it via --who-am-i option or WHO_AM_I env var.');
+  }
+  if (!profile.users.includes(user)) {
+    throw new Error(`--who-am-i must be one of: ${profile.users.join(', ')}`);
+  }
+  if (card.owner && user !== card.owner) {
+    throw new Error(`${card.name} belongs to ${card.owner}; leave out --who-am-i or set it to ${card.owner}`);
+  }
+
+  return { card, user };
+}
+
+// Label a card's transactions with its Payment Method option, and give rows no rule
+// categorized the card's default category
+function applyCardProfile(transactions, card, user) {
+  return transactions.map((transaction) => ({
+    ...transaction,
+    paymentMethodLabel: getCardLabel(card, user),
+    ...(card.defaultCategory && !transaction.category ? { category: card.defaultCategory } : {}),
+  }));
+}
+
+module.exports = {
+  DEFAULT_USERS,
+  OFX_BANK_FORMAT,
+  validateProfile,
+  resolveProfile,
+  assignCardsToBankFormats,
+  getCardLabel,
+  resolveCardholder,
+  applyCardProfile,
+};
@@ -0,0 +1,27 @@
+// Questions for the user at the terminal
+const readline = require('readline/promises');
+
+// Ask a yes/no question; anything but "y" or "yes" counts as no
+async function confirm(question, { input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output });
+  try {
+    const answer = await rl.question(question);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+// A prompt for asking several questions in a row over one terminal session
+function createPrompt({ input = process.stdin, output = process.stdout } = {}) {
+  const rl = readline.createInterface({ input, output });
+  return {
+    ask: (question) => rl.question(question),
+    close: () => rl.close(),
+  };
+}
+
+module.exports = {
+  confirm,
+  createPrompt,
+};
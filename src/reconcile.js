@@ -0,0 +1,271 @@
+// Reconciling a statement with the Notion database: which rows made it in, which are missing,
+// which pages have no row in the statement, and which matched with a different amount or date.
+const fs = require('fs').promises;
+const path = require('path');
+const { Client } = require('@notionhq/client');
+const { duplicateKey, keyFields, pageToFields, queryPages } = require('./duplicates');
+const { getLedgerPath, recordRun, createRunId, hashFile } = require('./ledger');
+const { loadConfig, resolveNotionTarget } = require('./config');
+const { loadRateTable, applyCurrency } = require('./currency');
+const { isWithinRange } = require('./dates');
+const { applyRules } = require('./rules');
+const { applySplits } = require('./splits');
+const { normalizeMerchants } = require('./merchants');
+const { checkDatabase } = require('./notion-schema');
+const { getCardLabel, resolveCardholder, applyCardProfile } = require('./profiles');
+const {
+  parseStatement,
+  toNotionFields,
+  buildRunRows,
+  describeRow,
+  formatAmount,
+  uploadToNotion
+} = require('./utils');
+
+const RECONCILE_FORMATS = ['table', 'json'];
+
+// How far apart the dates of a statement row and a page with the same description may be to
+// still count as the same transaction, with the date changed
+const DATE_TOLERANCE_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const normalizeDescription = (description) => String(description || '').trim().toLowerCase();
+const sameAmount = (a, b) => (Number(a) || 0).toFixed(2) === (Number(b) || 0).toFixed(2);
+const daysBetween = (a, b) => Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+
+// Move a YYYY-MM-DD date by a number of days
+function shiftDate(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Pair statement rows with pages, both given as key fields (date, amount, description and
+// payment method). Rows and pages with the same key match; a row left over is paired with a
+// page with the same description dated within the tolerance, preferring the same amount and
+// then the closest date, and reported as changed. Returns indexes into both lists.
+function reconcileRows(rowKeys, pageKeys, { toleranceDays = DATE_TOLERANCE_DAYS } = {}) {
+  const pagesByKey = new Map();
+  pageKeys.forEach((keys, index) => {
+    const key = duplicateKey(keys);
+    pagesByKey.set(key, [...(pagesByKey.get(key) || []), index]);
+  });
+
+  const unmatchedPages = new Set(pageKeys.map((_, index) => index));
+  const matched = [];
+  const leftover = [];
+  rowKeys.forEach((keys, index) => {
+    const candidates = pagesByKey.get(duplicateKey(keys)) || [];
+    if (candidates.length > 0) {
+      const page = candidates.shift();
+      unmatchedPages.delete(page);
+      matched.push({ row: index, page });
+    } else {
+      leftover.push(index);
+    }
+  });
+
+  const changed = [];
+  const missing = [];
+  for (const index of leftover) {
+    const row = rowKeys[index];
+    const [page] = [...unmatchedPages]
+      .filter((candidate) => normalizeDescription(pageKeys[candidate].description) === normalizeDescription(row.description) &&
+        daysBetween(pageKeys[candidate].date, row.date) <= toleranceDays)
+      .sort((a, b) => (sameAmount(pageKeys[b].amount, row.amount) - sameAmount(pageKeys[a].amount, row.amount)) ||
+        (daysBetween(pageKeys[a].date, row.date) - daysBetween(pageKeys[b].date, row.date)));
+
+    if (page === undefined) {
+      missing.push(index);
+      continue;
+    }
+
+    unmatchedPages.delete(page);
+    const differences = [];
+    if (!sameAmount(pageKeys[page].amount, row.amount)) {
+      differences.push({ field: 'amount', statement: row.amount, notion: pageKeys[page].amount });
+    }
+    if (pageKeys[page].date !== row.date) {
+      differences.push({ field: 'date', statement: row.date, notion: pageKeys[page].date });
+    }
+    changed.push({ row: index, page, differences });
+  }
+
+  return { matched, changed, missing, extra: [...unmatchedPages] };
+}
+
+// Does a reconciliation show the statement and Notion in agreement?
+function isReconciled(reconciliation) {
+  return reconciliation.missing.length === 0 && reconciliation.extra.length === 0 &&
+    reconciliation.changed.length === 0 && reconciliation.rejected.length === 0 && reconciliation.failed === 0;
+}
+
+// Compare a statement with what is in the Notion database for its card and user over the
+// statement's dates: rows missing from Notion, pages with no row in the statement, and rows
+// whose page has a different amount or date. With uploadMissing, the missing rows are
+// uploaded and recorded in the ledger. context.logger takes the progress output (default:
+// console).
+async function reconcileStatement(filePath, options = {}, context = {}) {
+  const { logger = console } = context;
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new Error(`CSV file not found at path: ${filePath}`);
+  }
+
+  const { notionApiKey, notionDatabaseId } = resolveNotionTarget(options);
+  if (options.format && !RECONCILE_FORMATS.includes(options.format)) {
+    throw new Error(`--format must be one of: ${RECONCILE_FORMATS.join(', ')}`);
+  }
+
+  const config = await loadConfig(options);
+  const { card, user: whoAmI } = resolveCardholder(config.profile, options.paymentMethod, options.whoAmI, {
+    defaultUser: process.env.WHO_AM_I,
+  });
+
+  // Read the statement the way an import does; card payments only count with includePayments
+  const rates = await loadRateTable(options.fxRates || config.fxRatesPath);
+  const parsed = applyCurrency(await parseStatement(filePath, options.paymentMethod, config.bankMappings, logger), rates);
+  const categorized = applyRules(normalizeMerchants(parsed, config.merchantAliases), config.rules, { user: whoAmI });
+  const transactions = applySplits(applyCardProfile(categorized, card, whoAmI));
+  const rows = transactions.filter((transaction) => !transaction.error &&
+    (options.includePayments || transaction.type !== 'payment'));
+
+  const reconciliation = {
+    sourceFile: path.resolve(filePath),
+    user: whoAmI,
+    paymentMethod: options.paymentMethod,
+    since: null,
+    until: null,
+    rows: rows.length,
+    pages: 0,
+    matched: 0,
+    missing: [],
+    extra: [],
+    changed: [],
+    rejected: transactions
+      .filter((transaction) => transaction.error)
+      .map((transaction, index) => ({ rowNumber: transaction.rowNumber, error: `${describeRow(transaction, index)}: ${transaction.error}` })),
+    uploaded: 0,
+    failed: 0,
+  };
+  if (rows.length === 0) {
+    return reconciliation;
+  }
+
+  // Query a few days either side of the statement, so rows whose page has a moved date still
+  // pair up; pages outside the statement's own dates are only used for that
+  const fieldsList = rows.map((transaction) => toNotionFields(transaction, whoAmI));
+  const dates = fieldsList.map((fields) => fields.date).sort();
+  reconciliation.since = dates[0];
+  reconciliation.until = dates[dates.length - 1];
+
+  const notion = new Client({ auth: notionApiKey });
+  const pages = await queryPages(
+    notion,
+    notionDatabaseId,
+    getCardLabel(card, whoAmI),
+    shiftDate(reconciliation.since, -DATE_TOLERANCE_DAYS),
+    shiftDate(reconciliation.until, DATE_TOLERANCE_DAYS),
+    config.notionProperties
+  );
+  const pageKeys = pages.map((page) => pageToFields(page, config.notionProperties));
+  const rowKeys = fieldsList.map((fields) => keyFields(fields, config.notionProperties));
+  const result = reconcileRows(rowKeys, pageKeys);
+
+  const describePage = (index) => ({ pageId: pages[index].id, ...pageKeys[index] });
+  const describeStatementRow = (index) => ({ rowNumber: rows[index].rowNumber, ...rowKeys[index] });
+  reconciliation.pages = pages.length;
+  reconciliation.matched = result.matched.length;
+  reconciliation.missing = result.missing.map(describeStatementRow);
+  reconciliation.extra = result.extra
+    .filter((index) => isWithinRange(pageKeys[index].date, reconciliation))
+    .map(describePage);
+  reconciliation.changed = result.changed.map(({ row, page, differences }) => ({
+    ...describeStatementRow(row),
+    pageId: pages[page].id,
+    differences,
+  }));
+
+  if (options.uploadMissing && result.missing.length > 0) {
+    const missingTransactions = result.missing.map((index) => rows[index]);
+    await checkDatabase(notion, notionDatabaseId, missingTransactions.map((transaction) => toNotionFields(transaction, whoAmI)), {
+      properties: config.notionProperties,
+    });
+
+    const startedAt = new Date();
+    const results = await uploadToNotion(notion, notionDatabaseId, missingTransactions, whoAmI, {
+      notionProperties: config.notionProperties,
+      logger,
+    });
+    const ledgerPath = getLedgerPath(options);
+    const run = await recordRun(ledgerPath, {
+      id: createRunId(startedAt),
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      sourceFile: reconciliation.sourceFile,
+      sourceFileHash: await hashFile(filePath),
+      databaseId: notionDatabaseId,
+      user: whoAmI,
+      paymentMethod: options.paymentMethod,
+      rows: buildRunRows([], results, whoAmI),
+    });
+
+    reconciliation.runId = run.id;
+    reconciliation.uploaded = results.filter((upload) => upload.status === 'uploaded').length;
+    reconciliation.failed = results.filter((upload) => upload.status === 'failed').length;
+    reconciliation.missing = reconciliation.missing.filter((_, index) => results[index].status !== 'uploaded');
+  }
+
+  return reconciliation;
+}
+
+// Print a reconciliation: what is missing from Notion, what Notion has that the statement
+// does not, and what differs
+function printReconciliation(reconciliation) {
+  const describe = (entry) => `${entry.description || 'Unknown'} | 💰 ${formatAmount(entry.amount)} | 📅 ${entry.date}`;
+  const range = reconciliation.since ? ` from ${reconciliation.since} to ${reconciliation.until}` : '';
+
+  console.log(`🧾 Reconciling ${reconciliation.rows} statement rows with ${reconciliation.pages} Notion pages${range}`);
+  console.log('------------------------------------------------');
+  console.log(`✅ Matched:           ${reconciliation.matched}`);
+  console.log(`➕ Missing in Notion: ${reconciliation.missing.length}`);
+  console.log(`❓ Only in Notion:    ${reconciliation.extra.length}`);
+  console.log(`✏️  Different:         ${reconciliation.changed.length}`);
+  if (reconciliation.uploaded > 0 || reconciliation.failed > 0) {
+    console.log(`⬆️  Uploaded:          ${reconciliation.uploaded}`);
+    console.log(`❌ Failed:            ${reconciliation.failed}`);
+  }
+  console.log('------------------------------------------------');
+
+  if (reconciliation.missing.length > 0) {
+    console.log('➕ Statement rows missing from Notion (upload them with --upload-missing):');
+    reconciliation.missing.forEach((row) => console.log(`   - row ${row.rowNumber}: ${describe(row)}`));
+  }
+  if (reconciliation.extra.length > 0) {
+    console.log('❓ Notion pages with no row in the statement:');
+    reconciliation.extra.forEach((page) => console.log(`   - ${page.pageId}: ${describe(page)}`));
+  }
+  if (reconciliation.changed.length > 0) {
+    console.log('✏️  Rows whose Notion page differs:');
+    reconciliation.changed.forEach((row) => {
+      const differences = row.differences
+        .map((difference) => `${difference.field} ${difference.statement} in the statement, ${difference.notion} in Notion`)
+        .join('; ');
+      console.log(`   - row ${row.rowNumber} (${row.description}): ${differences}`);
+    });
+  }
+  if (reconciliation.rejected.length > 0) {
+    console.log('⚠️  Statement rows that could not be read:');
+    reconciliation.rejected.forEach((rejection) => console.log(`   - ${rejection.error}`));
+  }
+}
+
+module.exports = {
+  RECONCILE_FORMATS,
+  DATE_TOLERANCE_DAYS,
+  shiftDate,
+  reconcileRows,
+  isReconciled,
+  reconcileStatement,
+  printReconciliation,
+};
@@ -0,0 +1,153 @@
+// End-of-run import summary, JSON report and process exit codes
+const fs = require('fs').promises;
+const path = require('path');
+
+// Exit codes the CLI uses so scripts can tell outcomes apart
+const EXIT_CODES = {
+  SUCCESS: 0,
+  FATAL: 1,
+  PARTIAL_FAILURE: 2,
+};
+
+const REPORT_FORMATS = ['json'];
+
+// Start an empty summary for an import run
+function createSummary(details = {}) {
+  return {
+    runId: null,
+    dryRun: false,
+    sourceFile: null,
+    user: null,
+    paymentMethod: null,
+    total: 0,
+    uploaded: 0,
+    duplicate: 0,
+    skipped: 0,
+    reviewSkipped: 0, // Rows left out in an --interactive review or by saved --decisions
+    rejected: 0, // Rows that could not be read, such as an unparseable date, or left with a broken split by review
+    outsideWindow: 0, // Rows dated outside --since/--until or before the last import
+    since: null,
+    until: null,
+    failed: 0,
+    pending: 0, // Rows a dry run would have uploaded
+    failures: [],
+    rejections: [],
+    ...details,
+  };
+}
+
+// Any failed or rejected row, or a batch file that could not be imported, makes the run a
+// partial failure
+function getExitCode(summary) {
+  return summary.failed > 0 || summary.rejected > 0 || summary.failedFiles > 0
+    ? EXIT_CODES.PARTIAL_FAILURE
+    : EXIT_CODES.SUCCESS;
+}
+
+const COUNTS = ['total', 'uploaded', 'duplicate', 'skipped', 'reviewSkipped', 'rejected', 'outsideWindow', 'failed', 'pending'];
+
+// One summary for a batch run: the counts added up across its files, every file's own
+// summary, and how many files could not be imported at all (those have an error)
+function combineSummaries(summaries, details = {}) {
+  const combined = createSummary(details);
+  for (const summary of summaries) {
+    for (const count of COUNTS) {
+      combined[count] += summary[count];
+    }
+    // Name the file each problem came from
+    const fileName = path.basename(summary.sourceFile || '');
+    combined.failures.push(...summary.failures.map((failure) => ({ ...failure, file: fileName, error: `${fileName}: ${failure.error}` })));
+    combined.rejections.push(...summary.rejections.map((rejection) => ({ ...rejection, file: fileName, error: `${fileName}: ${rejection.error}` })));
+  }
+
+  return {
+    ...combined,
+    files: summaries,
+    failedFiles: summaries.filter((summary) => summary.error).length,
+  };
+}
+
+// Print a batch run: one line per file, then the combined summary
+function printBatchSummary(batch, logger = console) {
+  logger.log(`\n📦 Batch of ${batch.files.length} files`);
+  logger.log('------------------------------------------------');
+  batch.files.forEach((summary) => {
+    const fileName = path.basename(summary.sourceFile || '');
+    const card = summary.paymentMethod ? ` | 💳 ${summary.paymentMethod}` : '';
+    const user = summary.user ? ` | 👤 ${summary.user}` : '';
+    if (summary.error) {
+      logger.log(`❌ ${fileName}${card}${user} | ${summary.error}`);
+      return;
+    }
+    const icon = getExitCode(summary) === EXIT_CODES.SUCCESS ? '✅' : '⚠️ ';
+    const uploaded = summary.dryRun ? `${summary.pending} to upload` : `${summary.uploaded} uploaded`;
+    logger.log(`${icon} ${fileName}${card}${user} | ${uploaded}, ${summary.duplicate} already imported, ` +
+      `${summary.rejected} rejected, ${summary.failed} failed`);
+  });
+
+  printSummary(batch, logger);
+}
+
+// Print a human-readable summary at the end of a run, to the console or a console-like logger
+function printSummary(summary, logger = console) {
+  logger.log('\n📊 Import summary');
+  logger.log('------------------------------------------------');
+  logger.log(`📄 Rows found:        ${summary.total}`);
+  if (summary.dryRun) {
+    logger.log(`🔍 Would upload:      ${summary.pending}`);
+  } else {
+    logger.log(`✅ Uploaded:          ${summary.uploaded}`);
+  }
+  logger.log(`⏭️  Already imported:  ${summary.duplicate}`);
+  if (summary.since || summary.until) {
+    logger.log(`📅 Outside window:    ${summary.outsideWindow}`);
+  }
+  logger.log(`🚫 Skipped:           ${summary.skipped}`);
+  if (summary.reviewSkipped > 0) {
+    logger.log(`🙅 Skipped in review: ${summary.reviewSkipped}`);
+  }
+  logger.log(`⚠️  Rejected:          ${summary.rejected}`);
+  logger.log(`❌ Failed:            ${summary.failed}`);
+  logger.log('------------------------------------------------');
+
+  if (summary.rejected > 0) {
+    logger.log(`⚠️  ${summary.rejected} rows could not be read and were not uploaded:`);
+    summary.rejections.forEach((rejection) => logger.log(`   - ${rejection.error}`));
+  }
+
+  if (summary.dryRun) {
+    logger.log('🔍 Dry run: nothing was uploaded.');
+  } else if (summary.failed > 0) {
+    logger.log(`⚠️  ${summary.failed} of ${summary.uploaded + summary.failed} uploads failed:`);
+    summary.failures.forEach((failure) => logger.log(`   - ${failure.error}`));
+  } else if (summary.uploaded > 0) {
+    logger.log(`🎉 Successfully uploaded ${summary.uploaded} transactions to Notion! 🎉`);
+  } else {
+    logger.log('✨ Nothing to upload.');
+  }
+}
+
+// Write the summary as a machine-readable report to a file, or to stdout when no file is given
+async function writeReport(summary, format, filePath) {
+  if (!REPORT_FORMATS.includes(format)) {
+    throw new Error(`--report must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const contents = `${JSON.stringify(summary, null, 2)}\n`;
+  if (filePath) {
+    await fs.writeFile(filePath, contents);
+  } else {
+    process.stdout.write(contents);
+  }
+}
+
+module.exports = {
+  EXIT_CODES,
+  REPORT_FORMATS,
+  createSummary,
+  getExitCode,
+  combineSummaries,
+  printSummary,
+  printBatchSummary,
+  writeReport,
+};
@@ -0,0 +1,71 @@
+// Sidecar file of rows that failed to upload, so a partial run can be retried
+const fs = require('fs').promises;
+const path = require('path');
+
+// statement.csv -> statement.failed.json, next to the input file
+function getRetryFilePath(sourceFilePath) {
+  const { dir, name } = path.parse(sourceFilePath);
+  return path.join(dir, `${name}.failed.json`);
+}
+
+// Write every failed upload result, keeping the original CSV row and the normalized fields
+async function writeRetryFile(retryFilePath, details, failedResults) {
+  const contents = {
+    createdAt: new Date().toISOString(),
+    ...details,
+    rows: failedResults.map(({ transaction, fields, error }) => {
+      const { originalData, ...normalized } = transaction;
+      return {
+        rowNumber: transaction.rowNumber,
+        originalData,
+        transaction: normalized,
+        fields,
+        error,
+      };
+    }),
+  };
+
+  await fs.writeFile(retryFilePath, `${JSON.stringify(contents, null, 2)}\n`);
+  return contents;
+}
+
+// Load a retry file and rebuild the transactions it holds
+async function loadRetryFile(retryFilePath) {
+  let contents;
+  try {
+    contents = JSON.parse(await fs.readFile(retryFilePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read retry file at ${retryFilePath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(contents.rows)) {
+    throw new Error(`Retry file at ${retryFilePath} has no "rows" array`);
+  }
+
+  return {
+    ...contents,
+    transactions: contents.rows.map((row) => ({
+      ...row.transaction,
+      originalData: row.originalData,
+      rowNumber: row.rowNumber,
+    })),
+  };
+}
+
+// Remove a retry file once nothing is left to retry; a missing file is fine
+async function removeRetryFile(retryFilePath) {
+  try {
+    await fs.unlink(retryFilePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'ENOENT') return false;
+    throw error;
+  }
+}
+
+module.exports = {
+  getRetryFilePath,
+  writeRetryFile,
+  loadRetryFile,
+  removeRetryFile,
+};
@@ -0,0 +1,217 @@
+// Interactive review: step through the rows an import is about to upload and accept, skip,
+// edit or split each one. Decisions are saved next to the statement, keyed by the row they
+// were made for, so a later run over the same file reuses them instead of asking again.
+const fs = require('fs').promises;
+const path = require('path');
+const { parseDateOption } = require('./dates');
+const { validateSplit, computeShares, applySplits, formatShares } = require('./splits');
+
+const REVIEW_CHOICES = '[a]ccept  [s]kip  [e]dit  s[p]lit  accept a[l]l remaining  [q]uit';
+
+// statement.csv -> statement.decisions.json, next to the input file
+function getDecisionsPath(sourceFilePath) {
+  const { dir, name } = path.parse(sourceFilePath);
+  return path.join(dir, `${name}.decisions.json`);
+}
+
+// What identifies a row across runs over the same file: where it is in the file and what the
+// bank exported for it, before any edits
+function reviewKey(transaction) {
+  return [transaction.rowNumber, transaction.date, transaction.amount, transaction.rawDescription || transaction.description].join('|');
+}
+
+// Load saved decisions, treating a missing file as none
+async function loadDecisions(decisionsPath) {
+  let contents;
+  try {
+    contents = await fs.readFile(decisionsPath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return {};
+    }
+    throw error;
+  }
+
+  try {
+    return JSON.parse(contents).decisions || {};
+  } catch (error) {
+    throw new Error(`Decisions file at ${decisionsPath} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Write the decisions, replacing any saved before
+async function saveDecisions(decisionsPath, decisions) {
+  const contents = { savedAt: new Date().toISOString(), decisions };
+  await fs.writeFile(decisionsPath, `${JSON.stringify(contents, null, 2)}\n`);
+}
+
+// A row with a decision applied: null when it is skipped, otherwise the row with its changes
+// and split. Shares are worked out again, since the amount may have changed. An edited amount
+// or date keeps the bank's as rawAmount or rawDate, so a later statement with the same row
+// still finds it already imported.
+function applyDecision(transaction, decision) {
+  if (!decision) return transaction;
+  if (decision.action === 'skip') return null;
+
+  const reviewed = { ...transaction, ...(decision.changes || {}) };
+  if (reviewed.amount !== transaction.amount && transaction.rawAmount === undefined) {
+    reviewed.rawAmount = transaction.amount;
+  }
+  if (reviewed.date !== transaction.date && !transaction.rawDate) {
+    reviewed.rawDate = transaction.date;
+  }
+  if (decision.split) reviewed.split = decision.split;
+  return applySplits([reviewed])[0];
+}
+
+// Apply saved decisions without asking; rows without one are kept as they are, and so are
+// rows in decided, which already had theirs applied. Also resolves with decided: the rows
+// that now have their decision applied.
+function applyDecisions(transactions, decisions, { decided = new Set() } = {}) {
+  const reviewed = [];
+  const applied = new Set();
+  let skipped = 0;
+  let edited = 0;
+  for (const transaction of transactions) {
+    if (decided.has(transaction)) {
+      reviewed.push(transaction);
+      applied.add(transaction);
+      continue;
+    }
+    const decision = decisions[reviewKey(transaction)];
+    const result = applyDecision(transaction, decision);
+    if (!result) {
+      skipped += 1;
+    } else {
+      if (decision && (decision.changes || decision.split)) edited += 1;
+      if (decision) applied.add(result);
+      reviewed.push(result);
+    }
+  }
+  return { transactions: reviewed, decisions, skipped, edited, decided: applied };
+}
+
+// Read a split typed as "Alli 60, Justin 40" (percentages) or "Alli $12.50, Justin $7.50"
+// (exact amounts). Throws with the problems when it does not make a valid split.
+function parseSplitAnswer(answer, users) {
+  const kind = answer.includes('$') ? 'amounts' : 'percent';
+  const shares = {};
+  for (const part of answer.split(',')) {
+    const match = part.trim().match(/^(.+?)\s+\$?(-?[\d.]+)%?$/);
+    if (!match) {
+      throw new Error(`Could not read "${part.trim()}"; use a name and a share, e.g. "${users[0]} 50"`);
+    }
+    shares[match[1]] = parseFloat(match[2]);
+  }
+
+  const split = { [kind]: shares };
+  const errors = validateSplit(split, 'split', users);
+  if (errors.length > 0) {
+    throw new Error(errors.join('; '));
+  }
+  return split;
+}
+
+// Ask for a value until parse accepts it; an empty answer keeps the current value
+async function askValue(prompt, label, current, parse, print) {
+  for (;;) {
+    const answer = (await prompt.ask(`  ${label} [${current}]: `)).trim();
+    if (answer === '') return current;
+    try {
+      return parse(answer);
+    } catch (error) {
+      print(`  ⚠️  ${error.message}`);
+    }
+  }
+}
+
+function parseAmount(answer) {
+  const amount = Number(answer.replace(/[$,]/g, ''));
+  if (!Number.isFinite(amount)) {
+    throw new Error(`"${answer}" is not an amount; charges are positive, refunds negative`);
+  }
+  return amount;
+}
+
+// Step through transactions with a prompt ({ ask(question) }), starting from saved decisions:
+// rows that already have one are not asked about again. Resolves with the rows to upload, the
+// decisions (saved and new), and how many rows were skipped and edited; stopped is set when
+// the review was quit, with nothing to upload. options.describe formats a row for display,
+// options.users are the people a split may name, and rows in options.decided already had
+// their saved decision applied, so they are kept without asking.
+async function reviewTransactions(transactions, { prompt, decisions = {}, decided = new Set(), users, describe, print = console.log }) {
+  const updated = { ...decisions };
+  let acceptAll = false;
+
+  for (const [index, transaction] of transactions.entries()) {
+    if (decided.has(transaction)) continue;
+    const key = reviewKey(transaction);
+    let decision = updated[key];
+
+    if (!decision && acceptAll) {
+      decision = { action: 'accept' };
+    }
+    if (decision) {
+      if (!acceptAll) print(`↩️  Row ${transaction.rowNumber || index + 1}: using the saved decision (${decision.action})`);
+    } else {
+      decision = { action: 'accept' };
+      let current = transaction;
+      for (let done = false; !done;) {
+        print(`\n[${index + 1}/${transactions.length}] ${describe(current, index)}`);
+        print(`  ${REVIEW_CHOICES}`);
+        const choice = (await prompt.ask('> ')).trim().toLowerCase();
+
+        if (choice === 'a' || choice === '') {
+          done = true;
+        } else if (choice === 's') {
+          decision = { action: 'skip' };
+          done = true;
+        } else if (choice === 'l') {
+          acceptAll = true;
+          done = true;
+        } else if (choice === 'q') {
+          return { transactions: [], decisions: updated, skipped: 0, edited: 0, stopped: true };
+        } else if (choice === 'e') {
+          const changes = {
+            description: await askValue(prompt, 'Description', current.description, (value) => value, print),
+            amount: await askValue(prompt, 'Amount', current.amount, parseAmount, print),
+            date: await askValue(prompt, 'Date', current.date, (value) => parseDateOption(value, 'Date'), print),
+            category: await askValue(prompt, 'Category', current.category || '', (value) => value, print) || undefined,
+          };
+          decision = { ...decision, changes: { ...decision.changes, ...changes } };
+          current = applyDecision(transaction, decision);
+          if (current.error) print(`  ⚠️  ${current.error}; split it again or the row will be rejected`);
+        } else if (choice === 'p') {
+          const example = `${users[0]} 60, ${users[1] || users[0]} 40`;
+          const answer = (await prompt.ask(`  Split, e.g. "${example}" or "${users[0]} $10, ...": `)).trim();
+          try {
+            const split = parseSplitAnswer(answer, users);
+            computeShares(current.amount, split);
+            decision = { ...decision, split };
+            current = applyDecision(transaction, decision);
+            print(`  ➗ ${formatShares(current.shares)}`);
+          } catch (error) {
+            print(`  ⚠️  ${error.message}`);
+          }
+        } else {
+          print(`  ⚠️  Pick one of: ${REVIEW_CHOICES}`);
+        }
+      }
+    }
+
+    updated[key] = decision;
+  }
+
+  return applyDecisions(transactions, updated, { decided });
+}
+
+module.exports = {
+  getDecisionsPath,
+  reviewKey,
+  loadDecisions,
+  saveDecisions,
+  applyDecision,
+  applyDecisions,
+  parseSplitAnswer,
+  reviewTransactions,
+};
@@ -0,0 +1,160 @@
+// Rule-based categorization: ordered rules from the config file set a Category and tags.
+// Rules are tried in order and the first one that matches a transaction wins. A rule can
+// also mark the transactions it matches as split between household members.
+const { DEFAULT_USERS } = require('./profiles');
+const { validateSplit } = require('./splits');
+
+const MATCH_KEYS = ['description', 'amount', 'paymentMethod', 'user'];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+const isStringOrList = (value) => isNonEmptyString(value) ||
+  (Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString));
+
+// How a rule is referred to in messages and output
+function describeRule(rule, index) {
+  return rule && isNonEmptyString(rule.name) ? rule.name : `rule #${index + 1}`;
+}
+
+// Check the rules section of the config and return a list of readable problems (empty when
+// valid). users are the people a rule's split may name.
+function validateRules(rules, users = DEFAULT_USERS) {
+  if (!Array.isArray(rules)) {
+    return ['rules must be a list of rules, tried in order'];
+  }
+
+  const errors = [];
+  rules.forEach((rule, index) => {
+    const where = `rules[${index}]`;
+
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+      errors.push(`${where} must be an object`);
+      return;
+    }
+
+    if (rule.name !== undefined && !isNonEmptyString(rule.name)) {
+      errors.push(`${where}.name must be a non-empty string`);
+    }
+
+    const match = rule.match;
+    if (!match || typeof match !== 'object' || Array.isArray(match) ||
+      !MATCH_KEYS.some((key) => match[key] !== undefined)) {
+      errors.push(`${where}.match must set at least one of: ${MATCH_KEYS.join(', ')}`);
+    } else {
+      for (const key of Object.keys(match)) {
+        if (!MATCH_KEYS.includes(key)) {
+          errors.push(`${where}.match.${key} is not a known condition (use one of: ${MATCH_KEYS.join(', ')})`);
+        }
+      }
+
+      if (match.description !== undefined) {
+        if (!isNonEmptyString(match.description)) {
+          errors.push(`${where}.match.description must be a regular expression`);
+        } else {
+          try {
+            new RegExp(match.description, 'i');
+          } catch (error) {
+            errors.push(`${where}.match.description is not a valid regular expression: ${error.message}`);
+          }
+        }
+      }
+
+      if (match.amount !== undefined) {
+        const { min, max } = match.amount || {};
+        if (!match.amount || typeof match.amount !== 'object' || (min === undefined && max === undefined)) {
+          errors.push(`${where}.match.amount must set min, max or both`);
+        } else if ((min !== undefined && !Number.isFinite(min)) || (max !== undefined && !Number.isFinite(max))) {
+          errors.push(`${where}.match.amount.min and max must be numbers`);
+        } else if (min !== undefined && max !== undefined && min > max) {
+          errors.push(`${where}.match.amount.min must not be greater than max`);
+        }
+      }
+
+      for (const key of ['paymentMethod', 'user']) {
+        if (match[key] !== undefined && !isStringOrList(match[key])) {
+          errors.push(`${where}.match.${key} must be a name or a list of names`);
+        }
+      }
+    }
+
+    if (!isNonEmptyString(rule.category)) {
+      errors.push(`${where}.category must be the name of a Category option`);
+    }
+
+    if (rule.tags !== undefined && !(Array.isArray(rule.tags) && rule.tags.every(isNonEmptyString))) {
+      errors.push(`${where}.tags must be a list of tag names`);
+    }
+
+    if (rule.split !== undefined) {
+      errors.push(...validateSplit(rule.split, `${where}.split`, users));
+    }
+  });
+
+  return errors;
+}
+
+// Prepare validated rules for matching
+function compileRules(rules = []) {
+  return rules.map((rule, index) => {
+    const match = rule.match || {};
+    const lowerList = (value) => [].concat(value).map((name) => name.toLowerCase());
+    return {
+      name: describeRule(rule, index),
+      description: match.description !== undefined ? new RegExp(match.description, 'i') : null,
+      amount: match.amount || null,
+      paymentMethods: match.paymentMethod !== undefined ? lowerList(match.paymentMethod) : null,
+      users: match.user !== undefined ? lowerList(match.user) : null,
+      category: rule.category,
+      tags: rule.tags || [],
+      split: rule.split || null,
+    };
+  });
+}
+
+// Does a compiled rule match a transaction? Every condition the rule sets must hold.
+// The description pattern may match either the merchant name or the bank's raw description.
+function ruleMatches(rule, transaction, { user } = {}) {
+  if (rule.description && ![transaction.description, transaction.rawDescription]
+    .some((text) => text && rule.description.test(String(text)))) {
+    return false;
+  }
+
+  if (rule.amount) {
+    const amount = Number(transaction.amount) || 0;
+    if (rule.amount.min !== undefined && amount < rule.amount.min) return false;
+    if (rule.amount.max !== undefined && amount > rule.amount.max) return false;
+  }
+
+  if (rule.paymentMethods && !rule.paymentMethods.includes(String(transaction.paymentMethod || '').toLowerCase())) {
+    return false;
+  }
+
+  if (rule.users && !rule.users.includes(String(user || '').toLowerCase())) return false;
+
+  return true;
+}
+
+// The first rule that matches a transaction, or null
+function findMatchingRule(transaction, rules, context = {}) {
+  return rules.find((rule) => ruleMatches(rule, transaction, context)) || null;
+}
+
+// Categorize transactions with the first matching rule, which may also mark them as split.
+// Unmatched transactions are left without a category.
+function applyRules(transactions, rules, context = {}) {
+  return transactions.map((transaction) => {
+    const { category, tags, rule, split, ...uncategorized } = transaction;
+    const match = findMatchingRule(uncategorized, rules, context);
+    if (!match) return uncategorized;
+
+    const categorized = { ...uncategorized, category: match.category, tags: [...match.tags], rule: match.name };
+    return match.split ? { ...categorized, split: match.split } : categorized;
+  });
+}
+
+module.exports = {
+  MATCH_KEYS,
+  validateRules,
+  compileRules,
+  findMatchingRule,
+  applyRules,
+};
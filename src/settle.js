@@ -0,0 +1,220 @@
+// Settling up: who owes whom for the split transactions in the Notion database. Whoever's
+// card a split transaction is on paid it; everyone else with a share owes them that share.
+const { Client } = require('@notionhq/client');
+const { DEFAULT_NOTION_PROPERTIES, readPropertyValue, getKeyProperties } = require('./notion-properties');
+const { getCardLabel } = require('./profiles');
+const { loadConfig, resolveNotionTarget } = require('./config');
+const { parseDateOption } = require('./dates');
+const { describeWindow, formatAmount } = require('./utils');
+
+const SETTLE_FORMATS = ['table', 'json'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+
+// Map every Payment Method value the uploader writes back to the user who paid
+function buildPayerLookup(profile) {
+  const payers = new Map();
+  for (const card of Object.values(profile.cards)) {
+    for (const user of card.owner ? [card.owner] : profile.users) {
+      payers.set(getCardLabel(card, user), user);
+    }
+  }
+  return payers;
+}
+
+// The user who paid for a Payment Method value: a known card label, or a "<user>'s <card>"
+// value for a card that is no longer configured
+function findPayer(paymentMethod, payers, users) {
+  if (!paymentMethod) return null;
+  if (payers.has(paymentMethod)) return payers.get(paymentMethod);
+  const user = users.find((name) => paymentMethod.startsWith(`${name}'s `));
+  return user || null;
+}
+
+// The share properties of a mapping, by user
+function getShareProperties(properties) {
+  const shares = {};
+  for (const [name, spec] of Object.entries(properties)) {
+    if (spec.type === 'number' && typeof spec.field === 'string' && spec.field.startsWith('shares.')) {
+      shares[spec.field.slice('shares.'.length)] = name;
+    }
+  }
+  return shares;
+}
+
+// Query every page dated inside a window, following pagination. With auditedOnly, pages still
+// in the status new pages are imported with are left out.
+async function querySettlementPages(notionClient, databaseId, { since, until, auditedOnly } = {}, properties = DEFAULT_NOTION_PROPERTIES) {
+  const keys = getKeyProperties(properties);
+  const filters = [];
+  if (since) filters.push({ property: keys.date, date: { on_or_after: since } });
+  if (until) filters.push({ property: keys.date, date: { on_or_before: until } });
+  if (auditedOnly) {
+    if (!keys.status) {
+      throw new Error('--audited-only needs a status property: a select filled with a fixed value in the Notion property mapping');
+    }
+    filters.push({ property: keys.status, select: { does_not_equal: properties[keys.status].value } });
+  }
+
+  const pages = [];
+  let cursor;
+  do {
+    const response = await notionClient.databases.query({
+      database_id: databaseId,
+      start_cursor: cursor,
+      ...(filters.length > 0 ? { filter: { and: filters } } : {}),
+    });
+    pages.push(...response.results);
+    cursor = response.has_more ? response.next_cursor : undefined;
+  } while (cursor);
+
+  return pages;
+}
+
+// Work out balances from pages. For each user, paid is what the split transactions they paid
+// for add up to, share is the total of their own shares, and net is the difference: positive
+// when they are owed money. Split pages whose payer cannot be told are listed as skipped.
+function computeSettlement(pages, profile, properties = DEFAULT_NOTION_PROPERTIES) {
+  const keys = getKeyProperties(properties);
+  const shareProperties = getShareProperties(properties);
+  const payers = buildPayerLookup(profile);
+  const users = [...new Set([...profile.users, ...Object.keys(shareProperties)])];
+
+  const paid = Object.fromEntries(users.map((user) => [user, 0]));
+  const owed = Object.fromEntries(users.map((user) => [user, 0]));
+  const skipped = [];
+  let splitCount = 0;
+
+  for (const page of pages) {
+    const pageProperties = page.properties || {};
+    const shares = {};
+    for (const [user, name] of Object.entries(shareProperties)) {
+      const share = readPropertyValue(pageProperties[name], 'number');
+      if (share !== undefined && share !== null) shares[user] = toCents(share);
+    }
+    if (Object.keys(shares).length === 0) continue;
+
+    const paymentMethod = keys.paymentMethod ? readPropertyValue(pageProperties[keys.paymentMethod], properties[keys.paymentMethod].type) : null;
+    const payer = findPayer(paymentMethod, payers, users);
+    if (!payer) {
+      const title = keys.title ? readPropertyValue(pageProperties[keys.title], 'title') : '';
+      skipped.push({ pageId: page.id, description: title, paymentMethod: paymentMethod || null, reason: 'unknown payer' });
+      continue;
+    }
+
+    splitCount += 1;
+    for (const [user, share] of Object.entries(shares)) {
+      paid[payer] += share;
+      owed[user] += share;
+    }
+  }
+
+  const balances = Object.fromEntries(users.map((user) => [user, {
+    paid: paid[user] / 100,
+    share: owed[user] / 100,
+    net: (paid[user] - owed[user]) / 100,
+  }]));
+
+  return {
+    transactions: pages.length,
+    splitTransactions: splitCount,
+    balances,
+    transfers: computeTransfers(balances),
+    skipped,
+  };
+}
+
+// The payments that settle the balances: whoever owes the most pays whoever is owed the
+// most, until everyone is even
+function computeTransfers(balances) {
+  const nets = Object.entries(balances).map(([user, balance]) => ({ user, cents: toCents(balance.net) }));
+  const debtors = nets.filter((entry) => entry.cents < 0).sort((a, b) => a.cents - b.cents);
+  const creditors = nets.filter((entry) => entry.cents > 0).sort((a, b) => b.cents - a.cents);
+
+  const transfers = [];
+  while (debtors.length > 0 && creditors.length > 0) {
+    const [debtor] = debtors;
+    const [creditor] = creditors;
+    const cents = Math.min(-debtor.cents, creditor.cents);
+    transfers.push({ from: debtor.user, to: creditor.user, amount: cents / 100 });
+    debtor.cents += cents;
+    creditor.cents -= cents;
+    if (debtor.cents === 0) debtors.shift();
+    if (creditor.cents === 0) creditors.shift();
+  }
+  return transfers;
+}
+
+// Work out who owes whom for the split transactions in the Notion database, optionally only
+// for a date range and for pages that have been audited, and print it as a table or JSON
+async function settleUp(options = {}) {
+  const { notionApiKey, notionDatabaseId } = resolveNotionTarget(options);
+
+  const format = options.format || 'table';
+  if (!SETTLE_FORMATS.includes(format)) {
+    throw new Error(`--format must be one of: ${SETTLE_FORMATS.join(', ')}`);
+  }
+  const window = {
+    since: options.since ? parseDateOption(options.since, '--since') : null,
+    until: options.until ? parseDateOption(options.until, '--until') : null,
+  };
+  if (window.since && window.until && window.since > window.until) {
+    throw new Error('--since must not be after --until');
+  }
+
+  const config = await loadConfig(options);
+  const notion = new Client({ auth: notionApiKey });
+  const pages = await querySettlementPages(
+    notion,
+    notionDatabaseId,
+    { ...window, auditedOnly: Boolean(options.auditedOnly) },
+    config.notionProperties
+  );
+  const settlement = {
+    ...window,
+    auditedOnly: Boolean(options.auditedOnly),
+    ...computeSettlement(pages, config.profile, config.notionProperties),
+  };
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(settlement, null, 2)}\n`);
+  } else {
+    printSettlement(settlement);
+  }
+  return settlement;
+}
+
+// Print a settlement as a table of balances followed by who owes whom
+function printSettlement(settlement) {
+  const range = settlement.since || settlement.until ? ` for ${describeWindow(settlement)}` : '';
+  const audited = settlement.auditedOnly ? ', audited only' : '';
+  console.log(`⚖️  Settle up${range}${audited}: ${settlement.splitTransactions} split of ${settlement.transactions} transactions`);
+  console.log('------------------------------------------------');
+  console.log(`${'User'.padEnd(12)}${'Paid'.padStart(12)}${'Share'.padStart(12)}${'Net'.padStart(12)}`);
+  for (const [user, balance] of Object.entries(settlement.balances)) {
+    console.log(`${user.padEnd(12)}${formatAmount(balance.paid).padStart(12)}${formatAmount(balance.share).padStart(12)}${formatAmount(balance.net).padStart(12)}`);
+  }
+  console.log('------------------------------------------------');
+
+  if (settlement.transfers.length === 0) {
+    console.log('✨ Everyone is settled up.');
+  }
+  settlement.transfers.forEach((transfer) => {
+    console.log(`💸 ${transfer.from} owes ${transfer.to} ${formatAmount(transfer.amount)}`);
+  });
+
+  if (settlement.skipped.length > 0) {
+    console.log(`⚠️  Left out ${settlement.skipped.length} split transactions whose payer is unknown:`);
+    settlement.skipped.forEach((page) => console.log(`   - ${page.description || page.pageId} (${page.paymentMethod || 'no Payment Method'})`));
+  }
+}
+
+module.exports = {
+  SETTLE_FORMATS,
+  buildPayerLookup,
+  getShareProperties,
+  querySettlementPages,
+  computeSettlement,
+  computeTransfers,
+  settleUp,
+};
@@ -0,0 +1,91 @@
+// Shared expenses: a transaction can be split between household members, either by
+// percentage or by exact amounts. The split works out each person's share of the amount.
+
+const SPLIT_KINDS = ['percent', 'amounts'];
+
+const toCents = (amount) => Math.round(Number(amount) * 100);
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// Check a split, such as a rule's, and return a list of readable problems. users are the
+// people a split may name.
+function validateSplit(split, where, users) {
+  const kinds = split && typeof split === 'object' && !Array.isArray(split)
+    ? SPLIT_KINDS.filter((kind) => split[kind] !== undefined)
+    : [];
+  if (kinds.length !== 1) {
+    return [`${where} must set either percent or amounts, e.g. { "percent": { "${users[0]}": 50, "${users[1] || users[0]}": 50 } }`];
+  }
+
+  const [kind] = kinds;
+  const shares = split[kind];
+  if (!shares || typeof shares !== 'object' || Array.isArray(shares) || Object.keys(shares).length === 0) {
+    return [`${where}.${kind} must map users to their share`];
+  }
+
+  const errors = [];
+  for (const [user, share] of Object.entries(shares)) {
+    if (!users.includes(user)) {
+      errors.push(`${where}.${kind}.${user} is not one of the users: ${users.join(', ')}`);
+    }
+    if (!Number.isFinite(share) || share <= 0) {
+      errors.push(`${where}.${kind}.${user} must be a positive number`);
+    }
+  }
+  if (errors.length === 0 && kind === 'percent' && Math.abs(sum(Object.values(shares)) - 100) > 0.001) {
+    errors.push(`${where}.percent must add up to 100, not ${sum(Object.values(shares))}`);
+  }
+  return errors;
+}
+
+// Each person's share of an amount. Percentages are rounded down to the cent, with the leftover
+// cents going to the first person so the shares always add up to the amount. Exact amounts
+// must add up to the amount; a refund's shares are negative like the refund.
+function computeShares(amount, split) {
+  const cents = toCents(amount);
+  const users = Object.keys(split.percent || split.amounts);
+  let shareCents;
+
+  if (split.amounts) {
+    shareCents = users.map((user) => toCents(split.amounts[user]) * Math.sign(cents || 1));
+    if (sum(shareCents) !== cents) {
+      throw new Error(
+        `Split amounts add up to ${(Math.abs(sum(shareCents)) / 100).toFixed(2)}, not the transaction's ${(Math.abs(cents) / 100).toFixed(2)}`
+      );
+    }
+  } else {
+    shareCents = users.map((user) => Math.trunc((cents * split.percent[user]) / 100));
+    shareCents[0] += cents - sum(shareCents);
+  }
+
+  return Object.fromEntries(users.map((user, index) => [user, shareCents[index] / 100]));
+}
+
+// Work out the shares of every transaction that is marked as split. A split that does not
+// fit the transaction leaves it with an error, so it is rejected instead of uploaded.
+function applySplits(transactions) {
+  return transactions.map((transaction) => {
+    const { shares, ...unsplit } = transaction;
+    if (!unsplit.split) return unsplit;
+
+    try {
+      return { ...unsplit, shares: computeShares(unsplit.amount, unsplit.split) };
+    } catch (error) {
+      return unsplit.error ? unsplit : { ...unsplit, error: error.message };
+    }
+  });
+}
+
+// Shares for console output, e.g. "Alli $25.50, Justin $25.49"
+function formatShares(shares) {
+  return Object.entries(shares)
+    .map(([user, share]) => `${user} ${share < 0 ? '-' : ''}$${Math.abs(share).toFixed(2)}`)
+    .join(', ');
+}
+
+module.exports = {
+  SPLIT_KINDS,
+  validateSplit,
+  computeShares,
+  applySplits,
+  formatShares,
+};
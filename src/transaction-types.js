@@ -0,0 +1,69 @@
+// Sign normalization and classification of rows into charges, refunds, payments and fees
+const { parseAmount } = require('./currency');
+
+const TRANSACTION_TYPES = ['charge', 'refund', 'payment', 'fee'];
+
+// Labels used in console output
+const TYPE_LABELS = {
+  charge: '🧾 charge',
+  refund: '↩️  refund',
+  payment: '💳 payment',
+  fee: '🏦 fee',
+};
+
+// Descriptions banks use for payments made to the card
+const PAYMENT_PATTERNS = [
+  /payment\s*(-\s*)?thank\s*you/i,
+  /autopay/i,
+  /auto\s*pay/i,
+  /online\s+payment/i,
+  /mobile\s+payment/i,
+  /ach\s+(pmt|payment|deposit)/i,
+  /^payment\b/i,
+];
+
+// Descriptions of fees and interest the issuer charges
+const FEE_PATTERNS = [
+  /\b(annual|membership|late|foreign transaction|cash advance|balance transfer|returned payment)\s+fee\b/i,
+  /\binterest\s+charge/i,
+  /^interest\b/i,
+];
+
+// Convert a raw amount to the importer's convention: charges positive, credits negative.
+// Text is read as banks write it, e.g. "1,234.56", "(45.00)" or "€12.50".
+function normalizeAmount(amount, signConvention = 'charges-positive') {
+  const parsed = parseAmount(amount);
+  const value = parsed ? parsed.amount : NaN;
+  if (!Number.isFinite(value)) return 0;
+  return signConvention === 'charges-negative' ? -value : value;
+}
+
+// Classify a row from its normalized amount, description and the bank's own type column.
+// A format's typeMap (raw type value -> transaction type) wins over the description patterns.
+function classifyTransaction({ amount, description, rawType }, format = {}) {
+  const typeMap = format.typeMap || {};
+  const mappedType = rawType !== undefined && rawType !== null
+    ? Object.entries(typeMap).find(([value]) => value.toLowerCase() === String(rawType).trim().toLowerCase())
+    : null;
+  if (mappedType) {
+    return mappedType[1];
+  }
+
+  const text = String(description || '');
+  if (amount < 0 && PAYMENT_PATTERNS.some((pattern) => pattern.test(text))) {
+    return 'payment';
+  }
+  if (amount > 0 && FEE_PATTERNS.some((pattern) => pattern.test(text))) {
+    return 'fee';
+  }
+  return amount < 0 ? 'refund' : 'charge';
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  TYPE_LABELS,
+  PAYMENT_PATTERNS,
+  FEE_PATTERNS,
+  normalizeAmount,
+  classifyTransaction,
+};
@@ -0,0 +1,112 @@
+// Undoing an import run: archiving the pages it created, as recorded in the local ledger.
+// Archived pages can still be restored from Notion's trash.
+const { Client } = require('@notionhq/client');
+const { getLedgerPath, loadLedger, markRunUndone } = require('./ledger');
+const { resolveNotionTarget } = require('./config');
+const { runUploadQueue } = require('./upload-queue');
+const { confirm } = require('./prompt');
+
+// The rows of a run whose pages are still to be archived
+function getUndoableRows(run) {
+  return (run.rows || []).filter((row) => row.status === 'uploaded' && row.pageId);
+}
+
+// Errors that mean a page is already gone: archived by an earlier undo that was cut short,
+// archived by hand, or deleted for good. Undoing those pages again is harmless.
+function isPageGoneError(error) {
+  if (!error) return false;
+  if (error.code === 'object_not_found') return true;
+  return error.code === 'validation_error' && /archived/i.test(error.message || '');
+}
+
+// Undo an import run by archiving the pages it created, as recorded in the ledger. Lists the
+// pages first, then asks before archiving unless options.yes is set; with options.dryRun it
+// stops after the list. Pages archived by an earlier undo are not touched again.
+async function undoRun(runId, options = {}) {
+  const ledgerPath = getLedgerPath(options);
+  const ledger = await loadLedger(ledgerPath);
+  const run = ledger.runs.find((entry) => entry.id === runId);
+  if (!run) {
+    throw new Error(`No import run ${runId} in ${ledgerPath}; list runs with "history"`);
+  }
+
+  const rows = getUndoableRows(run);
+  const result = { runId: run.id, pages: rows.length, archived: 0, failed: 0, failures: [] };
+
+  console.log(`↩️  Undo run ${run.id} | 📅 ${run.startedAt} | 👤 ${run.user} | 💳 ${run.paymentMethod}`);
+  if (rows.length === 0) {
+    console.log(run.undoneAt
+      ? `Nothing to undo: the run's pages were archived at ${run.undoneAt}`
+      : 'Nothing to undo: the run did not create any pages');
+    return result;
+  }
+
+  console.log(`📄 ${rows.length} pages to archive:`);
+  rows.forEach((row) => console.log(`   - ${row.pageId} | 📅 ${row.date || 'No date'}`));
+
+  if (options.dryRun) {
+    console.log('🔍 Dry run: no pages were archived');
+    return result;
+  }
+
+  const { notionApiKey } = resolveNotionTarget(options, { database: false });
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Confirm with --yes to archive pages when not running in a terminal');
+    }
+    if (!(await confirm(`Archive these ${rows.length} pages in Notion? [y/N] `))) {
+      console.log('Cancelled; no pages were archived');
+      return result;
+    }
+  }
+
+  const notion = new Client({ auth: notionApiKey });
+  const outcomes = await runUploadQueue(
+    rows,
+    async (row) => {
+      try {
+        return await notion.pages.update({ page_id: row.pageId, archived: true });
+      } catch (error) {
+        if (isPageGoneError(error)) return null;
+        throw error;
+      }
+    },
+    {
+      onRetry: (row, index, error, attempt, delayMs) => {
+        console.warn(`🔁 Retrying page ${row.pageId} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}): ${error.message}`);
+      },
+      onSettled: (row, index, outcome) => {
+        if (outcome.status === 'fulfilled') {
+          console.log(`🗑️  Archived: ${row.pageId} | 📅 ${row.date || 'No date'}`);
+        } else {
+          console.error(`❌ Failed to archive page ${row.pageId} after ${outcome.attempts} attempt(s): ${outcome.error.message}`);
+        }
+      },
+    }
+  );
+
+  // Only archived pages are marked undone, so running undo again retries the rest
+  const archived = rows.filter((_, index) => outcomes[index].status === 'fulfilled');
+  if (archived.length > 0) {
+    await markRunUndone(ledgerPath, run.id, archived.map((row) => row.pageId));
+  }
+
+  result.archived = archived.length;
+  result.failed = rows.length - archived.length;
+  result.failures = rows
+    .map((row, index) => ({ pageId: row.pageId, outcome: outcomes[index] }))
+    .filter(({ outcome }) => outcome.status === 'rejected')
+    .map(({ pageId, outcome }) => ({ pageId, error: outcome.error.message }));
+
+  console.log(`↩️  Archived ${result.archived} of ${rows.length} pages from run ${run.id}`);
+  if (result.failed > 0) {
+    console.log(`   ${result.failed} pages could not be archived; run undo again to retry them`);
+  }
+  return result;
+}
+
+module.exports = {
+  getUndoableRows,
+  isPageGoneError,
+  undoRun,
+};
@@ -0,0 +1,147 @@
+// Upload queue with bounded concurrency, Notion rate limiting and retries
+
+// Notion allows an average of three requests per second per integration
+const DEFAULT_QUEUE_OPTIONS = {
+  concurrency: 3,
+  requestsPerSecond: 3,
+  maxRetries: 5,
+  baseDelayMs: 500,
+  maxDelayMs: 30000,
+};
+
+const RETRYABLE_ERROR_CODES = [
+  'rate_limited',
+  'internal_server_error',
+  'service_unavailable',
+  'conflict_error',
+  'notionhq_client_request_timeout',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+];
+
+// Errors Notion sends back without having acted on the request
+const UNPROCESSED_ERROR_CODES = ['rate_limited', 'service_unavailable'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Rate limits, server errors and dropped connections are worth retrying; anything else
+// (validation errors, missing properties, bad credentials) will fail the same way again
+function isRetryableError(error) {
+  if (!error) return false;
+  if (error.status === 429 || (error.status >= 500 && error.status < 600)) return true;
+  return RETRYABLE_ERROR_CODES.includes(error.code);
+}
+
+// Whether a request certainly did nothing, so sending it again cannot repeat it. After a
+// timeout, a dropped connection or any other server error the request may still have gone
+// through, which matters for requests that create something.
+function isUnprocessedError(error) {
+  if (!error) return false;
+  return error.status === 429 || error.status === 503 || UNPROCESSED_ERROR_CODES.includes(error.code);
+}
+
+// Read the Retry-After header (in seconds) from a Notion API error, if there is one
+function getRetryAfterMs(error) {
+  const headers = error && error.headers;
+  if (!headers) return null;
+
+  const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+// Exponential backoff with full jitter
+function getBackoffDelayMs(attempt, options = DEFAULT_QUEUE_OPTIONS, random = Math.random) {
+  const ceiling = Math.min(options.maxDelayMs, options.baseDelayMs * 2 ** attempt);
+  return Math.round(random() * ceiling);
+}
+
+// Hands out evenly spaced request slots. A rate-limit response pushes the next slot back
+// for every worker, not just the one that hit it.
+function createRateLimiter(requestsPerSecond, { now = Date.now, wait = sleep } = {}) {
+  const interval = 1000 / requestsPerSecond;
+  let nextSlot = 0;
+
+  return {
+    async acquire() {
+      const current = now();
+      const slot = Math.max(current, nextSlot);
+      nextSlot = slot + interval;
+      if (slot > current) {
+        await wait(slot - current);
+      }
+    },
+    pauseUntil(time) {
+      nextSlot = Math.max(nextSlot, time);
+    },
+  };
+}
+
+// Run a worker over every item and resolve with one result per item, in input order.
+// Each result is { status: 'fulfilled', value, attempts } or { status: 'rejected', error, attempts }.
+// Errors are retried when options.isRetryable (isRetryableError by default) says so.
+async function runUploadQueue(items, worker, options = {}) {
+  const settings = { ...DEFAULT_QUEUE_OPTIONS };
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined) settings[key] = value;
+  }
+  const wait = settings.sleep || sleep;
+  const now = settings.now || Date.now;
+  const random = settings.random || Math.random;
+  const isRetryable = settings.isRetryable || isRetryableError;
+  const limiter = createRateLimiter(settings.requestsPerSecond, { now, wait });
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const processItem = async (item, index) => {
+    for (let attempt = 0; ; attempt++) {
+      await limiter.acquire();
+      try {
+        const value = await worker(item, index);
+        return { status: 'fulfilled', value, attempts: attempt + 1 };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= settings.maxRetries) {
+          return { status: 'rejected', error, attempts: attempt + 1 };
+        }
+
+        const retryAfterMs = getRetryAfterMs(error);
+        const delayMs = retryAfterMs !== null ? retryAfterMs : getBackoffDelayMs(attempt, settings, random);
+        if (retryAfterMs !== null) {
+          limiter.pauseUntil(now() + retryAfterMs);
+        }
+        if (settings.onRetry) {
+          settings.onRetry(item, index, error, attempt + 1, delayMs);
+        }
+        await wait(delayMs);
+      }
+    }
+  };
+
+  const runWorker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await processItem(items[index], index);
+      if (settings.onSettled) {
+        settings.onSettled(items[index], index, results[index]);
+      }
+    }
+  };
+
+  // A concurrency that is not a number falls back to the default rather than to no workers
+  const concurrency = Number.isFinite(settings.concurrency) ? Math.floor(settings.concurrency) : DEFAULT_QUEUE_OPTIONS.concurrency;
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  return results;
+}
+
+module.exports = {
+  DEFAULT_QUEUE_OPTIONS,
+  isRetryableError,
+  isUnprocessedError,
+  getRetryAfterMs,
+  getBackoffDelayMs,
+  createRateLimiter,
+  runUploadQueue,
+};
@@ -1,76 +1,139 @@
 const fs = require('fs').promises;
 const { createReadStream } = require('fs');
+const path = require('path');
 const csv = require('csv-parser');
 const { Client } = require('@notionhq/client');
+const { findDuplicates, findLatestPageDate, transactionFingerprint } = require('./duplicates');
+const { runUploadQueue, isRetryableError, isUnprocessedError } = require('./upload-queue');
+const { REPORT_FORMATS, createSummary, combineSummaries, printSummary } = require('./report');
+const { inferCard, loadManifest, planBatch } = require('./batch');
+const { getRetryFilePath, writeRetryFile, loadRetryFile, removeRetryFile } = require('./retry-file');
+const {
+  getLedgerPath,
+  loadLedger,
+  recordRun,
+  createRunId,
+  hashFile,
+  findImported,
+  findLastImportedDate,
+  summarizeRun
+} = require('./ledger');
+const {
+  BANK_MAPPINGS,
+  findBankForPaymentMethod,
+  normalizeHeader,
+  resolveBankFormat,
+  getPaymentMethods
+} = require('./bank-formats');
+const { loadConfig, resolveNotionTarget } = require('./config');
+const { TYPE_LABELS, normalizeAmount, classifyTransaction } = require('./transaction-types');
+const { readCurrencyFields, checkAmount, loadRateTable, applyCurrency } = require('./currency');
+const { ISO_DATE_PATTERN, parseDate, parseDateOption, isWithinRange } = require('./dates');
+const { detectStatementFormat, parseOFX } = require('./ofx');
+const { applyRules } = require('./rules');
+const { applySplits, formatShares } = require('./splits');
+const { createPrompt } = require('./prompt');
+const {
+  getDecisionsPath,
+  loadDecisions,
+  saveDecisions,
+  applyDecisions,
+  reviewTransactions
+} = require('./review');
+const { normalizeMerchants } = require('./merchants');
+const { checkDatabase, buildDatabaseProperties } = require('./notion-schema');
+const { DEFAULT_NOTION_PROPERTIES, buildPageProperties } = require('./notion-properties');
+const { DEFAULT_USERS, OFX_BANK_FORMAT, getCardLabel, resolveCardholder, applyCardProfile } = require('./profiles');
 
-// Constants
-const ALLOWED_PAYMENT_METHODS = ['Amex Platinum', 'Apple Card', 'Chase Freedom', 'Chase Sapphire', 'Chase Southwest'];
-const ALLOWED_USERS = ['Alli', 'Justin'];
-
-// Bank-specific CSV field mappings
-const BANK_MAPPINGS = {
-  chase: {
-    transactionDate: 'Transaction Date',
-    description: 'Description',
-    amount: 'Amount'
-  },
-  amex: {
-    // Amex-specific field mappings
-    transactionDate: 'Date',
-    description: 'Description',
-    amount: 'Amount',
-    // Add other Amex fields as needed
-  },
-  apple: {
-    // Apple Card-specific field mappings
-    transactionDate: 'Transaction Date',
-    description: 'Merchant',
-    amount: 'Amount (USD)',
-    // Add other Apple Card fields as needed
-  }
-};
+// Built-in users and payment methods, used when the config file has no users or cards
+const ALLOWED_PAYMENT_METHODS = getPaymentMethods(BANK_MAPPINGS);
+const ALLOWED_USERS = DEFAULT_USERS;
 
-// Parse CSV file based on payment method
-function parseCSV(filePath, paymentMethod) {
+// Parse CSV file based on payment method. The header row is checked against the known bank
+// formats before any row is processed, so a CSV from the wrong bank fails instead of
+// producing "Unknown" rows.
+function parseCSV(filePath, paymentMethod, bankMappings = BANK_MAPPINGS, logger = console) {
   return new Promise((resolve, reject) => {
     // Determine which bank this payment method belongs to
-    let bank = null;
-    if (paymentMethod.toLowerCase().startsWith('chase')) {
-      bank = 'chase';
-    } else if (paymentMethod.toLowerCase().startsWith('amex')) {
-      bank = 'amex';
-    } else if (paymentMethod.toLowerCase().startsWith('apple')) {
-      bank = 'apple';
-    } else {
+    const expectedBank = findBankForPaymentMethod(paymentMethod, bankMappings);
+    if (!expectedBank) {
       return reject(new Error(`Unsupported payment method: ${paymentMethod}. Cannot determine bank type.`));
     }
     
-    // Get the field mappings for this bank
-    const fieldMappings = BANK_MAPPINGS[bank];
-    
-    console.log(`Using ${bank} field mappings for payment method: ${paymentMethod}`);
-    
     const results = [];
+    let rowNumber = 1; // The header is row 1
+    let fieldMappings = null;
+    let failed = false;
+
+    const parser = createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }));
+
+    // Validate the header row and pick the field mappings
+    const checkHeaders = (headers) => {
+      try {
+        const bank = resolveBankFormat(headers, paymentMethod, bankMappings, `CSV file ${filePath}`);
+        fieldMappings = bankMappings[bank];
+        logger.log(`Using ${bank} field mappings for payment method: ${paymentMethod}`);
+      } catch (error) {
+        failed = true;
+        if (typeof parser.destroy === 'function') parser.destroy();
+        reject(error);
+      }
+    };
     
-    createReadStream(filePath)
-      .pipe(csv())
+    parser
+      .on('headers', checkHeaders)
       .on('data', (data) => {
+        // Some parsers never emit "headers"; fall back to the keys of the first row
+        if (!fieldMappings && !failed) checkHeaders(Object.keys(data));
+        if (failed) return;
+
+        rowNumber++;
+
         // Normalize the transaction data using the bank-specific field mappings
         const normalizedTransaction = {};
         
         // Map the bank-specific fields to standardized fields
         normalizedTransaction.description = data[fieldMappings.description] || 'Unknown';
-        normalizedTransaction.amount = data[fieldMappings.amount] || '0';
-        normalizedTransaction.date = data[fieldMappings.transactionDate] || new Date().toISOString().split('T')[0];
+        // Charges are positive and credits negative, whatever sign the bank uses
+        const rawAmount = data[fieldMappings.amount];
+        normalizedTransaction.amount = normalizeAmount(rawAmount, fieldMappings.signConvention);
+        // The currency of the amount, and the original amount of a row the bank converted
+        Object.assign(normalizedTransaction, readCurrencyFields(data, fieldMappings, normalizedTransaction.amount));
+        // Dates are read with the format's own patterns; a row whose date or amount cannot be
+        // read is kept with an error so it can be reported instead of being uploaded
+        const rawDate = data[fieldMappings.transactionDate];
+        const date = formatDateToISO(rawDate, fieldMappings.dateFormat);
+        normalizedTransaction.date = date || rawDate || '';
+        if (!date) {
+          normalizedTransaction.error = rawDate
+            ? `Unparseable date "${rawDate}" (expected ${[].concat(fieldMappings.dateFormat || ISO_DATE_PATTERN).join(' or ')})`
+            : 'Missing date';
+        }
+        const amountError = checkAmount(rawAmount);
+        if (amountError && !normalizedTransaction.error) normalizedTransaction.error = amountError;
+
+        normalizedTransaction.type = classifyTransaction({
+          amount: normalizedTransaction.amount,
+          description: normalizedTransaction.description,
+          rawType: fieldMappings.typeColumn ? data[fieldMappings.typeColumn] : undefined,
+        }, fieldMappings);
+
+        // Carry any extra columns the format declares
+        normalizedTransaction.extra = {};
+        for (const [field, column] of Object.entries(fieldMappings.extraColumns || {})) {
+          normalizedTransaction.extra[field] = data[column];
+        }
         
         // Add the original data and payment method
         normalizedTransaction.originalData = data;
         normalizedTransaction.paymentMethod = paymentMethod;
+        normalizedTransaction.rowNumber = rowNumber;
         
         results.push(normalizedTransaction);
       })
       .on('end', () => {
-        resolve(results);
+        if (!failed) resolve(results);
       })
       .on('error', (error) => {
         reject(error);
@@ -78,87 +141,260 @@ function parseCSV(filePath, paymentMethod) {
   });
 }
 
-// Upload transactions to Notion database
-async function uploadToNotion(notionClient, databaseId, transactions, whoAmI) {
-  console.log('Uploading transactions to Notion...');
-  
-  // Format the whoAmI prefix
-  const whoAmIPrefix = `${whoAmI}'s `;
-  
-  for (const transaction of transactions) {
-    try {
-      // Use the normalized transaction data
-      await notionClient.pages.create({
+// Read just the header row of a CSV file
+function readCsvHeaders(filePath) {
+  return new Promise((resolve, reject) => {
+    const stream = createReadStream(filePath);
+    let done = false;
+    const finish = (headers) => {
+      if (done) return;
+      done = true;
+      stream.destroy();
+      resolve(headers);
+    };
+
+    stream
+      .on('error', reject)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('headers', finish)
+      .on('end', () => finish([]))
+      .on('error', reject);
+  });
+}
+
+// Parse a statement with the parser its extension or contents call for: OFX/QFX or CSV
+async function parseStatement(filePath, paymentMethod, bankMappings = BANK_MAPPINGS, logger = console) {
+  const format = await detectStatementFormat(filePath);
+  return format === 'ofx' ? parseOFX(filePath, paymentMethod, logger) : parseCSV(filePath, paymentMethod, bankMappings, logger);
+}
+
+// Normalize a transaction into the fields Notion properties are filled from
+// (see notion-properties.js for how fields map to properties)
+function toNotionFields(transaction, whoAmI) {
+  const fields = {
+    date: formatDateToISO(transaction.date), // null when the date cannot be read
+    description: transaction.description || 'Unknown Transaction',
+    amount: Number(transaction.amount) || 0, // Refunds and credits stay negative
+    // The card's Payment Method label from the profile, or "<user>'s <card>"
+    paymentMethod: transaction.paymentMethodLabel || `${whoAmI}'s ${transaction.paymentMethod || 'Unknown Card'}`,
+    user: whoAmI,
+    card: transaction.paymentMethod || 'Unknown Card',
+  };
+  if (transaction.type) fields.type = transaction.type;
+  if (transaction.extra && Object.keys(transaction.extra).length > 0) fields.extra = transaction.extra;
+  // The bank's transaction ID identifies the row in the ledger
+  if (transaction.fitid) fields.fitid = transaction.fitid;
+  // The bank's own description, before merchant normalization
+  if (transaction.rawDescription) fields.rawDescription = transaction.rawDescription;
+  // The bank's own amount and date of a row edited in review
+  if (transaction.rawAmount !== undefined) fields.rawAmount = transaction.rawAmount;
+  if (transaction.rawDate) fields.rawDate = transaction.rawDate;
+  // Set by the categorization rules
+  if (transaction.category) fields.category = transaction.category;
+  if (transaction.tags && transaction.tags.length > 0) fields.tags = transaction.tags;
+  // Each person's share of a split transaction
+  if (transaction.shares) fields.shares = transaction.shares;
+  // A foreign charge's own amount and currency, and what it came to in the home currency
+  if (transaction.currency) {
+    fields.originalAmount = transaction.originalAmount;
+    fields.currency = transaction.currency;
+    fields.convertedAmount = transaction.convertedAmount;
+  }
+  return fields;
+}
+
+// Split transactions into new ones and ones that are already imported. Rows the local
+// ledger records as uploaded to this database are skipped without asking Notion; the rest
+// are checked against the Notion database.
+async function partitionDuplicates(
+  notionClient,
+  databaseId,
+  transactions,
+  whoAmI,
+  ledger = { runs: [] },
+  notionProperties = DEFAULT_NOTION_PROPERTIES
+) {
+  const fieldsList = transactions.map((transaction) => toNotionFields(transaction, whoAmI));
+  const importedIndexes = findImported(ledger, fieldsList.map(transactionFingerprint), databaseId);
+
+  const remainingIndexes = fieldsList.map((_, index) => index).filter((index) => !importedIndexes.has(index));
+  const notionMatches = await findDuplicates(
+    notionClient,
+    databaseId,
+    remainingIndexes.map((index) => fieldsList[index]),
+    notionProperties
+  );
+
+  const duplicateIndexes = new Set(importedIndexes);
+  notionMatches.forEach((position) => duplicateIndexes.add(remainingIndexes[position]));
+
+  return {
+    newTransactions: transactions.filter((_, index) => !duplicateIndexes.has(index)),
+    duplicates: transactions.filter((_, index) => duplicateIndexes.has(index)),
+  };
+}
+
+// Ledger rows for an upload: the rows found already imported, then the outcome of every upload
+function buildRunRows(duplicates, results, whoAmI) {
+  return [
+    ...duplicates.map((transaction) => ({
+      fingerprint: transactionFingerprint(toNotionFields(transaction, whoAmI)),
+      date: transaction.date,
+      status: 'duplicate',
+    })),
+    ...results.map((result) => ({
+      fingerprint: transactionFingerprint(result.fields),
+      date: result.fields.date,
+      pageId: result.pageId || null,
+      status: result.status,
+      error: result.error,
+    })),
+  ];
+}
+
+// The latest transaction date already imported for a user's card: the later of what the
+// local ledger records and what the Notion database holds, or null when there is neither
+async function findLastImportDate(notionClient, databaseId, ledger, user, card, notionProperties) {
+  const fromLedger = findLastImportedDate(ledger, user, card.name, databaseId);
+  const fromNotion = await findLatestPageDate(notionClient, databaseId, getCardLabel(card, user), notionProperties);
+  return [fromLedger, fromNotion].filter(Boolean).sort().pop() || null;
+}
+
+// A date window for console output, e.g. "2023-01-01 to 2023-01-31" or "2023-01-01 onwards"
+function describeWindow({ since, until }) {
+  if (since && until) return `${since} to ${until}`;
+  return since ? `${since} onwards` : `up to ${until}`;
+}
+
+// Format an amount for console output, e.g. $50.99 or -$20.00
+function formatAmount(amount) {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+// One line of dry-run output for a transaction
+function formatTransactionLine(transaction, index) {
+  const type = transaction.type ? ` | ${TYPE_LABELS[transaction.type]}` : '';
+  const category = transaction.category ? ` | 🏷️  ${formatCategory(transaction)}` : '';
+  const shares = transaction.shares ? ` | ➗ ${formatShares(transaction.shares)}` : '';
+  const original = transaction.currency ? ` | 💱 ${Number(transaction.originalAmount).toFixed(2)} ${transaction.currency}` : '';
+  return `${index + 1}. 📝 ${transaction.description || 'Unknown'} | 💰 ${formatAmount(transaction.amount)}${original} | 📅 ${transaction.date || 'No date'}${type}${category}${shares}`;
+}
+
+// A transaction's category and tags, e.g. "Groceries [Food, Weekly]"
+function formatCategory(transaction) {
+  const tags = transaction.tags && transaction.tags.length > 0 ? ` [${transaction.tags.join(', ')}]` : '';
+  return `${transaction.category}${tags}`;
+}
+
+// Identify a transaction in log and error messages, e.g. "row 12 (STARBUCKS, 2023-01-16)"
+function describeRow(transaction, index) {
+  const rowNumber = transaction.rowNumber || index + 1;
+  return `row ${rowNumber} (${transaction.description || 'Unknown'}, ${transaction.date || 'No date'})`;
+}
+
+// A failed create's message, noting when the page may have been created regardless
+function describeFailure(error) {
+  return isRetryableError(error) && !isUnprocessedError(error)
+    ? `${error.message} (the page may have been created; --retry-failed checks for it first)`
+    : error.message;
+}
+
+// Upload transactions to Notion database and return the outcome of every row.
+// Pages are created through a rate-limited queue that only retries responses Notion sent
+// without creating anything (429 and 503). After a timeout, a dropped connection or another
+// server error the page may exist already, so the row fails for --retry-failed, which checks
+// Notion for it before creating it again. Options are passed to the queue, apart
+// from notionProperties, the mapping of fields to page properties, logger, and onResult,
+// called with the outcome of each row as soon as it settles.
+async function uploadToNotion(notionClient, databaseId, transactions, whoAmI, options = {}) {
+  const { notionProperties = DEFAULT_NOTION_PROPERTIES, logger = console, onResult = () => {}, ...queueOptions } = options;
+  logger.log('Uploading transactions to Notion...');
+
+  const fieldsList = transactions.map((transaction) => toNotionFields(transaction, whoAmI));
+  const toResult = (outcome, index) => ({
+    transaction: transactions[index],
+    fields: fieldsList[index],
+    status: outcome.status === 'fulfilled' ? 'uploaded' : 'failed',
+    pageId: outcome.status === 'fulfilled' && outcome.value ? outcome.value.id : undefined,
+    error: outcome.status === 'rejected' ? `${describeRow(transactions[index], index)}: ${describeFailure(outcome.error)}` : undefined,
+  });
+
+  const outcomes = await runUploadQueue(
+    transactions,
+    async (transaction, index) => {
+      // Never guess a date; the row fails instead
+      if (!fieldsList[index].date) {
+        throw new Error(transaction.error || `Unparseable date "${transaction.date}"`);
+      }
+      return notionClient.pages.create({
         parent: {
           database_id: databaseId,
         },
-        properties: {
-          // Transaction Date -> Date (ensure ISO format)
-          'Date': {
-            date: {
-              start: formatDateToISO(transaction.date) || new Date().toISOString().split('T')[0],
-            },
-          },
-          // Description -> Expense
-          'Expense': {
-            title: [
-              {
-                text: {
-                  content: transaction.description || 'Unknown Transaction',
-                },
-              },
-            ],
-          },
-          // Amount -> Total Amount (always positive)
-          'Total Amount': {
-            number: Math.abs(parseFloat(transaction.amount || 0)), // Ensure positive value
-          },
-          // Status field set to "Requires Audit" for all imported records
-          'Status': {
-            select: {
-              name: 'Requires Audit',
-            },
-          },
-          // Payment Method field - concatenate whoAmI with payment method
-          'Payment Method': {
-            select: {
-              name: `${whoAmIPrefix}${transaction.paymentMethod || 'Unknown Card'}`,
-            },
-          },
-        }
+        properties: buildPageProperties(fieldsList[index], notionProperties),
       });
-      
-      // Print transaction details in a visually pleasing way with emojis
-      console.log(`✅ Uploaded: 💰 ${Math.abs(parseFloat(transaction.amount || 0)).toFixed(2)} | 📝 ${transaction.description || 'Unknown'} | 📅 ${transaction.date || 'No date'} | 💳 ${whoAmIPrefix}${transaction.paymentMethod}`);
-    } catch (error) {
-      console.error(`Failed to upload transaction: ${error.message}`);
-      // Continue with the next transaction
+    },
+    {
+      ...queueOptions,
+      isRetryable: isUnprocessedError,
+      onRetry: (transaction, index, error, attempt, delayMs) => {
+        logger.warn(`🔁 Retrying ${describeRow(transaction, index)} in ${(delayMs / 1000).toFixed(1)}s (attempt ${attempt}): ${error.message}`);
+      },
+      onSettled: (transaction, index, outcome) => {
+        const fields = fieldsList[index];
+        if (outcome.status === 'fulfilled') {
+          // Print transaction details in a visually pleasing way with emojis
+          logger.log(`✅ Uploaded: 💰 ${formatAmount(fields.amount)} | 📝 ${transaction.description || 'Unknown'} | 📅 ${transaction.date || 'No date'} | 💳 ${fields.paymentMethod}`);
+        } else {
+          logger.error(`❌ Failed to upload ${describeRow(transaction, index)} after ${outcome.attempts} attempt(s): ${describeFailure(outcome.error)}`);
+        }
+        onResult(toResult(outcome, index));
+      },
     }
-  }
+  );
+
+  return outcomes.map(toResult);
 }
 
-// Format date string to ISO format (YYYY-MM-DD)
-function formatDateToISO(dateString) {
-  if (!dateString) return null;
-    
-  try {
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) {
-      throw new Error(`Invalid date: ${dateString}`);
-    }
-    return date.toISOString().split('T')[0]; // Return YYYY-MM-DD format
-  } catch (error) {
-    console.warn(`Date parsing error for "${dateString}":`, error.message);
-    return null;
+// Format date string to ISO format (YYYY-MM-DD) using explicit patterns, without any
+// timezone conversion. Returns null when no pattern fits.
+function formatDateToISO(dateString, dateFormat) {
+  return parseDate(dateString, [...[].concat(dateFormat || []), ISO_DATE_PATTERN]);
+}
+
+// Read an option such as --concurrency or --limit, which must be a whole number of at least 1;
+// undefined when not given
+function parseCount(value, option) {
+  if (value === undefined || value === null) return undefined;
+  if (!/^\d+$/.test(String(value).trim()) || parseInt(value, 10) < 1) {
+    throw new Error(`${option} must be a whole number of at least 1, not "${value}"`);
   }
+  return parseInt(value, 10);
 }
 
-// Main function to validate inputs and upload transactions to Notion
-async function validateAndUploadTransactions(options) {
-  console.log('just entered MAIN')
+// Main function to validate inputs and upload transactions to Notion.
+// Resolves with the run summary; fatal problems (bad options, unreadable CSV) reject.
+// context lets a caller such as TransactionImporter pass its own Notion client (then no API
+// key is needed), a console-like logger and an emit(event, ...args) for progress events.
+async function validateAndUploadTransactions(options, context = {}) {
+  const { notion: notionClient, logger = console, emit = () => {} } = context;
   try {
+    // A retry run reads its rows (and defaults) from a previous run's failed-rows file
+    let retry = null;
+    if (options.retryFailed) {
+      try {
+        await fs.access(options.retryFailed);
+      } catch (error) {
+        throw new Error(`Retry file not found at path: ${options.retryFailed}`);
+      }
+      retry = await loadRetryFile(options.retryFailed);
+    }
+
     // Validate CSV file path
-    const csvFilePath = options.csvFilePath;
+    const csvFilePath = retry ? options.retryFailed : options.csvFilePath;
+    if (!csvFilePath) {
+      throw new Error('CSV file path is required. Provide it via --csv-file-path option, or use --retry-failed.');
+    }
     try {
       await fs.access(csvFilePath);
     } catch (error) {
@@ -166,77 +402,502 @@ async function validateAndUploadTransactions(options) {
     }
 
     // Get Notion API key and database ID
-    const notionApiKey = options.notionApiKey || process.env.NOTION_API_KEY;
-    const notionDatabaseId = options.notionDatabaseId || process.env.NOTION_DATABASE_ID;
-
-    console.log('DEBUG START')
-    console.log( {notionApiKey, notionDatabaseId})
-    console.log('DEBUG END')
+    const { notionApiKey, notionDatabaseId } = resolveNotionTarget(options, { client: notionClient });
     
-    // Get whoAmI value
-    const whoAmI = options.whoAmI || process.env.WHO_AM_I;
+    // Get payment method and user, falling back to the ones a retry file was written with
+    const paymentMethod = options.paymentMethod || (retry && retry.paymentMethod);
     
-    // Validate Notion API key
-    if (!notionApiKey) {
-      throw new Error('Notion API key is required. Provide it via --notion-api-key option or NOTION_API_KEY env var.');
+    // Validate the payment method and user against the cards and users in the config. The
+    // user defaults to the card's owner, so --who-am-i is only needed for shared cards.
+    const config = await loadConfig(options);
+    const { card, user: whoAmI } = resolveCardholder(
+      config.profile,
+      paymentMethod,
+      options.whoAmI || (retry && retry.user),
+      { defaultUser: process.env.WHO_AM_I }
+    );
+
+    if (options.report && !REPORT_FORMATS.includes(options.report)) {
+      throw new Error(`--report must be one of: ${REPORT_FORMATS.join(', ')}`);
     }
+    const concurrency = parseCount(options.concurrency, '--concurrency');
 
-    // Validate Notion database ID
-    if (!notionDatabaseId) {
-      throw new Error('Notion database ID is required. Provide it via --notion-database-id option or NOTION_DATABASE_ID env var.');
+    // Review decisions are kept per statement file, which a retry file is not
+    if (retry && (options.interactive || options.decisions)) {
+      throw new Error(`${options.interactive ? '--interactive' : '--decisions'} cannot be combined with --retry-failed`);
     }
-    
-    // Validate whoAmI
-    if (!whoAmI) {
-      throw new Error('WHO_AM_I is required. Provide it via --who-am-i option or WHO_AM_I env var.');
+    if (options.interactive && !process.stdin.isTTY) {
+      throw new Error('--interactive needs a terminal to ask in; use --decisions to apply saved decisions instead');
     }
-    
-    if (!ALLOWED_USERS.includes(whoAmI)) {
-      throw new Error(`--who-am-i must be one of: ${ALLOWED_USERS.join(', ')}`);
+    if (options.decisions && !options.interactive) {
+      try {
+        await fs.access(options.decisions);
+      } catch (error) {
+        throw new Error(`Decisions file not found at path: ${options.decisions}`);
+      }
     }
 
-    if (!ALLOWED_PAYMENT_METHODS.includes(options.paymentMethod)) {
-      throw new Error(`--payment-method must be one of: ${ALLOWED_PAYMENT_METHODS.join(', ')}`);
+    // Only rows dated inside the window are imported. --since-last-import opens it at the
+    // latest date already imported for this card, which is looked up further down.
+    const window = {
+      since: options.since ? parseDateOption(options.since, '--since') : null,
+      until: options.until ? parseDateOption(options.until, '--until') : null,
+    };
+    if (window.since && window.until && window.since > window.until) {
+      throw new Error('--since must not be after --until');
+    }
+    if (options.sinceLastImport && (options.since || retry)) {
+      throw new Error(`--since-last-import cannot be combined with ${retry ? '--retry-failed' : '--since'}`);
     }
 
     // Initialize Notion client
-    const notion = new Client({ auth: notionApiKey });
+    const notion = notionClient || new Client({ auth: notionApiKey });
+
+    const summary = createSummary({
+      dryRun: Boolean(options.dryRun),
+      sourceFile: path.resolve(csvFilePath),
+      user: whoAmI,
+      paymentMethod,
+    });
 
-    // Parse CSV and filter by payment method
-    const transactions = await parseCSV(csvFilePath, options.paymentMethod);
+    // Parse the CSV or OFX/QFX statement and convert foreign amounts to the home currency,
+    // normalize merchant names and categorize the rows with the config's rules, then label
+    // them with the card's Payment Method option and work out the shares of split rows. Rows
+    // from a retry file already went through the pipeline, edits made in review included, so
+    // they are only labelled and split again (and given merchant names when the file was
+    // written before rows had them).
+    const parsed = retry
+      ? retry.transactions
+      : applyCurrency(await parseStatement(csvFilePath, paymentMethod, config.bankMappings, logger), await loadRateTable(options.fxRates || config.fxRatesPath));
+    parsed.forEach((transaction, index) => emit('row:parsed', transaction, index));
+    const categorized = retry
+      ? parsed.map((transaction) => (transaction.rawDescription ? transaction : normalizeMerchants([transaction], config.merchantAliases)[0]))
+      : applyRules(normalizeMerchants(parsed, config.merchantAliases), config.rules, { user: whoAmI });
+    const transactions = applySplits(applyCardProfile(categorized, card, whoAmI));
+    summary.total = transactions.length;
     
     if (transactions.length === 0) {
-      console.log(`No transactions found with payment method: ${options.paymentMethod}`);
-      process.exit(0);
+      logger.log(`No transactions found with payment method: ${paymentMethod}`);
+      emit('run:complete', summary);
+      return summary;
     }
     
-    console.log(`Found ${transactions.length} transactions with payment method: ${options.paymentMethod}`);
+    if (retry) {
+      logger.log(`🔁 Retrying ${transactions.length} failed transactions from ${csvFilePath}`);
+    } else {
+      logger.log(`Found ${transactions.length} transactions with payment method: ${paymentMethod}`);
+    }
+
+    // Rows that could not be read (such as an unparseable date), or that review left with a
+    // split that no longer fits, are reported, never uploaded
+    const rejectInvalid = (rows) => {
+      const rejections = rows
+        .filter((transaction) => transaction.error)
+        .map((transaction, index) => ({
+          rowNumber: transaction.rowNumber,
+          error: `${describeRow(transaction, index)}: ${transaction.error}`,
+        }));
+      rejections.forEach((rejection) => logger.error(`⚠️  Rejected ${rejection.error}`));
+      summary.rejected += rejections.length;
+      summary.rejections.push(...rejections);
+      return rows.filter((transaction) => !transaction.error);
+    };
+    const readable = rejectInvalid(transactions);
+
+    const ledgerPath = getLedgerPath(options);
+    const ledger = await loadLedger(ledgerPath);
+
+    // Leave out rows outside the date window. After a last import, rows dated that same day are
+    // kept and left to duplicate detection, since an export made mid-day can miss some of them.
+    if (options.sinceLastImport) {
+      window.since = await findLastImportDate(notion, notionDatabaseId, ledger, whoAmI, card, config.notionProperties);
+      logger.log(window.since
+        ? `📅 Last import for ${getCardLabel(card, whoAmI)} was dated ${window.since}; importing rows from that date on`
+        : `📅 Nothing imported yet for ${getCardLabel(card, whoAmI)}; importing every row`);
+    }
+    const inWindow = readable.filter((transaction) => isWithinRange(transaction.date, window));
+    summary.since = window.since;
+    summary.until = window.until;
+    summary.outsideWindow = readable.length - inWindow.length;
+
+    if (summary.outsideWindow > 0) {
+      logger.log(`📅 Skipping ${summary.outsideWindow} transactions outside ${describeWindow(window)}`);
+    }
+
+    // Card payments are transfers, not expenses, so they are skipped unless asked for
+    const payments = options.includePayments
+      ? []
+      : inWindow.filter((transaction) => transaction.type === 'payment');
+    let importable = inWindow.filter((transaction) => !payments.includes(transaction));
+    summary.skipped += payments.length;
+
+    if (payments.length > 0) {
+      logger.log(`💳 Skipping ${payments.length} card payments (use --include-payments to import them)`);
+    }
+
+    // Review decisions saved for this file are applied before duplicate detection, so a row
+    // edited in an earlier run is compared with Notion as it was uploaded
+    const reviewing = Boolean(options.interactive || options.decisions);
+    const decisionsPath = reviewing ? options.decisions || getDecisionsPath(csvFilePath) : null;
+    const decisions = reviewing ? await loadDecisions(decisionsPath) : {};
+    let decided = new Set();
+    if (reviewing) {
+      const saved = applyDecisions(importable, decisions);
+      importable = rejectInvalid(saved.transactions);
+      decided = saved.decided;
+      summary.reviewSkipped = saved.skipped;
+    }
+
+    // Check the database has the properties and select options these rows need before
+    // anything is queried or uploaded
+    const prepareDatabase = async (rows) => {
+      const fieldsList = rows.map((transaction) => toNotionFields(transaction, whoAmI));
+      const missingOptions = await checkDatabase(notion, notionDatabaseId, fieldsList, {
+        dryRun: options.dryRun,
+        properties: config.notionProperties,
+      });
+      for (const [property, names] of Object.entries(missingOptions)) {
+        logger.log(`${options.dryRun ? '🔍 Would add' : '➕ Added'} ${property} options: ${names.join(', ')}`);
+      }
+    };
+    if (importable.length > 0) {
+      await prepareDatabase(importable);
+    }
+
+    // Skip anything that was already imported by a previous run
+    let { newTransactions, duplicates } = await partitionDuplicates(
+      notion,
+      notionDatabaseId,
+      importable,
+      whoAmI,
+      ledger,
+      config.notionProperties
+    );
+    summary.duplicate = duplicates.length;
+
+    if (duplicates.length > 0) {
+      logger.log(`⏭️  Skipping ${duplicates.length} transactions that are already imported`);
+    }
+
+    // Let the user accept, skip, edit or split each row about to be uploaded that has no
+    // saved decision yet; --decisions alone only applies the saved ones
+    if (options.interactive && newTransactions.some((transaction) => !decided.has(transaction))) {
+      const prompt = createPrompt({ output: options.report && !options.reportFile ? process.stderr : process.stdout });
+      let review;
+      try {
+        review = await reviewTransactions(newTransactions, {
+          prompt,
+          decisions,
+          decided,
+          users: config.profile.users,
+          describe: formatTransactionLine,
+          print: (message) => logger.log(message),
+        });
+      } finally {
+        prompt.close();
+      }
+      await saveDecisions(decisionsPath, review.decisions);
+      logger.log(`💾 Saved review decisions to ${decisionsPath}`);
+      if (review.stopped) {
+        throw new Error('Review stopped; nothing was uploaded. Run again to pick up where you left off.');
+      }
+
+      newTransactions = rejectInvalid(review.transactions);
+      summary.reviewSkipped += review.skipped;
+      // Edits may call for new select options, such as a new category
+      if (review.edited > 0 && newTransactions.length > 0) {
+        await prepareDatabase(newTransactions);
+      }
+    }
+    if (summary.reviewSkipped > 0) {
+      logger.log(`🙅 Skipping ${summary.reviewSkipped} transactions left out in review`);
+    }
+    emit('run:planned', { transactions: newTransactions, duplicates, payments });
     
     // Upload transactions to Notion (unless dry run)
     if (options.dryRun) {
-      console.log('🔍 DRY RUN: The following transactions would be uploaded:');
-      console.log('------------------------------------------------');
-      transactions.forEach((transaction, index) => {
-        console.log(`${index + 1}. 📝 ${transaction.description || 'Unknown'} | 💰 $${Math.abs(parseFloat(transaction.amount || 0)).toFixed(2)} | 📅 ${transaction.date || 'No date'}`);
+      logger.log('🔍 DRY RUN: The following transactions would be uploaded:');
+      logger.log('------------------------------------------------');
+      newTransactions.forEach((transaction, index) => {
+        logger.log(formatTransactionLine(transaction, index));
       });
-      console.log('------------------------------------------------');
-      console.log(`📊 Total: ${transactions.length} transactions`);
-    } else {
-      await uploadToNotion(notion, notionDatabaseId, transactions, whoAmI);
-      console.log(`\n🎉 Successfully uploaded ${transactions.length} transactions to Notion! 🎉`);
+      logger.log('------------------------------------------------');
+      if (duplicates.length > 0) {
+        logger.log('⏭️  The following transactions would be skipped as already imported:');
+        duplicates.forEach((transaction, index) => {
+          logger.log(formatTransactionLine(transaction, index));
+        });
+        logger.log('------------------------------------------------');
+      }
+      if (payments.length > 0) {
+        logger.log('💳 The following card payments would be skipped:');
+        payments.forEach((transaction, index) => {
+          logger.log(formatTransactionLine(transaction, index));
+        });
+        logger.log('------------------------------------------------');
+      }
+      summary.pending = newTransactions.length;
+    } else if (newTransactions.length > 0) {
+      const startedAt = new Date();
+      const results = await uploadToNotion(notion, notionDatabaseId, newTransactions, whoAmI, {
+        concurrency,
+        notionProperties: config.notionProperties,
+        logger,
+        onResult: (result) => emit(result.status === 'uploaded' ? 'row:uploaded' : 'row:failed', result),
+      });
+
+      // Record the run in the local ledger
+      const run = await recordRun(ledgerPath, {
+        id: createRunId(startedAt),
+        startedAt: startedAt.toISOString(),
+        finishedAt: new Date().toISOString(),
+        sourceFile: path.resolve(csvFilePath),
+        sourceFileHash: await hashFile(csvFilePath),
+        databaseId: notionDatabaseId,
+        user: whoAmI,
+        paymentMethod,
+        retryOf: retry ? retry.runId : undefined,
+        rows: buildRunRows(duplicates, results, whoAmI),
+      });
+
+      summary.runId = run.id;
+      summary.uploaded = results.filter((result) => result.status === 'uploaded').length;
+      summary.failed = results.filter((result) => result.status === 'failed').length;
+      summary.failures = results
+        .filter((result) => result.status === 'failed')
+        .map((result) => ({ rowNumber: result.transaction.rowNumber, error: result.error }));
+
+      // Keep the failed rows next to the input so they can be retried with --retry-failed
+      const retryFilePath = retry ? csvFilePath : getRetryFilePath(csvFilePath);
+      if (summary.failed > 0) {
+        await writeRetryFile(
+          retryFilePath,
+          { sourceFile: retry ? retry.sourceFile : path.resolve(csvFilePath), runId: run.id, user: whoAmI, paymentMethod },
+          results.filter((result) => result.status === 'failed')
+        );
+        summary.retryFile = retryFilePath;
+        logger.log(`📝 Wrote ${summary.failed} failed rows to ${retryFilePath}`);
+        logger.log(`   Retry them with: --retry-failed "${retryFilePath}"`);
+      } else if (await removeRetryFile(retryFilePath)) {
+        logger.log(`🧹 Removed ${retryFilePath}: no failed rows left to retry`);
+      }
+
+      logger.log(`📒 Recorded import run ${run.id} in ${ledgerPath}`);
     }
+
+    emit('run:complete', summary);
+    return summary;
   } catch (error) {
     throw error;
   }
 }
 
+// Import several statements in one run: the paths given (files, folders or globs) and the
+// files a manifest lists. Each file is imported on its own with the same flow as a single
+// import, for the card and user given for it, or else the card its header and file name
+// point to. A file that cannot be imported is recorded in the combined summary with its
+// error, and the rest carry on. context is passed on to each import (see
+// validateAndUploadTransactions).
+async function importBatch(paths, options = {}, context = {}) {
+  const { logger = console } = context;
+  if (options.retryFailed || options.decisions) {
+    throw new Error(`${options.retryFailed ? '--retry-failed' : '--decisions'} cannot be combined with several files or --manifest`);
+  }
+  resolveNotionTarget(options, { client: context.notion });
+  if (options.report && !REPORT_FORMATS.includes(options.report)) {
+    throw new Error(`--report must be one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+  parseCount(options.concurrency, '--concurrency');
+
+  const config = await loadConfig(options);
+  const items = await planBatch({
+    paths,
+    manifest: options.manifest ? await loadManifest(options.manifest, config.profile) : [],
+    paymentMethod: options.paymentMethod,
+    whoAmI: options.whoAmI,
+  });
+  if (items.length === 0) {
+    throw new Error('No statements to import. Pass files, folders or globs, or a --manifest.');
+  }
+
+  const summaries = [];
+  for (const [index, item] of items.entries()) {
+    logger.log(`\n📄 [${index + 1}/${items.length}] ${item.filePath}`);
+    let summary;
+    try {
+      if (item.error) {
+        throw new Error(item.error);
+      }
+      // A detected card that someone owns is always imported for its owner
+      const card = item.paymentMethod ? null : await detectStatementCard(item.filePath, config);
+      summary = await validateAndUploadTransactions({
+        ...options,
+        csvFilePath: item.filePath,
+        paymentMethod: item.paymentMethod || card.name,
+        whoAmI: card && card.owner ? undefined : item.whoAmI,
+      }, context);
+      printSummary(summary, logger);
+    } catch (error) {
+      logger.error(`❌ Could not import ${item.filePath}: ${error.message}`);
+      summary = createSummary({
+        dryRun: Boolean(options.dryRun),
+        sourceFile: item.filePath,
+        user: item.whoAmI,
+        paymentMethod: item.paymentMethod,
+        error: error.message,
+      });
+    }
+    summaries.push(summary);
+  }
+
+  return combineSummaries(summaries, { dryRun: Boolean(options.dryRun) });
+}
+
+// Work out which card a statement is for from its format, its header row and its file name
+async function detectStatementCard(filePath, config) {
+  const fileName = path.basename(filePath);
+  const bankFormat = await detectStatementFormat(filePath) === 'ofx'
+    ? OFX_BANK_FORMAT
+    : resolveBankFormat(await readCsvHeaders(filePath), null, config.bankMappings, `CSV file ${fileName}`);
+  return inferCard(config.profile, bankFormat, fileName);
+}
+
+// Print past import runs recorded in the local ledger, most recent first
+async function showImportHistory(options = {}) {
+  const limit = parseCount(options.limit, '--limit');
+  const ledgerPath = getLedgerPath(options);
+  const ledger = await loadLedger(ledgerPath);
+  const runs = ledger.runs.slice().reverse().slice(0, limit === undefined ? ledger.runs.length : limit);
+
+  if (runs.length === 0) {
+    console.log(`No import runs recorded in ${ledgerPath}`);
+    return runs;
+  }
+
+  console.log(`📒 Import history (${ledgerPath})`);
+  console.log('------------------------------------------------');
+  runs.forEach((run) => {
+    const counts = summarizeRun(run);
+    console.log(`🆔 ${run.id} | 📅 ${run.startedAt} | 👤 ${run.user} | 💳 ${run.paymentMethod}`);
+    console.log(`   📄 ${run.sourceFile} (sha256 ${run.sourceFileHash.slice(0, 12)})`);
+    console.log(`   ✅ ${counts.uploaded} uploaded | ⏭️  ${counts.duplicate} duplicates | ❌ ${counts.failed} failed`);
+    if (run.undoneAt) {
+      console.log(`   ↩️  ${counts.undone || 0} undone at ${run.undoneAt}`);
+    }
+  });
+  console.log('------------------------------------------------');
+
+  return runs;
+}
+
+// Print the configured users and cards: who owns each card, its bank format, the Payment
+// Method option its rows get and its default category
+async function listCards(options = {}) {
+  const config = await loadConfig(options);
+  const { users, cards } = config.profile;
+
+  console.log(`💳 Cards (${config.configPath || 'built-in defaults'})`);
+  console.log(`👥 Users: ${users.join(', ')}`);
+  console.log('------------------------------------------------');
+  Object.values(cards).forEach((card) => {
+    const owner = card.owner ? `👤 ${card.owner}` : '👥 Shared';
+    const category = card.defaultCategory ? ` | 🏷️  ${card.defaultCategory}` : '';
+    console.log(`💳 ${card.name} | ${owner} | 🏦 ${card.bankFormat} | 📋 ${getCardLabel(card, card.owner || '<user>')}${category}`);
+  });
+  console.log('------------------------------------------------');
+
+  return Object.values(cards);
+}
+
+// Show which categorization rule matches each row of a statement, without uploading anything
+async function testRules(filePath, options = {}) {
+  try {
+    await fs.access(filePath);
+  } catch (error) {
+    throw new Error(`CSV file not found at path: ${filePath}`);
+  }
+
+  const config = await loadConfig(options);
+  const { card, user: whoAmI } = resolveCardholder(config.profile, options.paymentMethod, options.whoAmI, {
+    defaultUser: process.env.WHO_AM_I,
+    requireUser: false,
+  });
+
+  if (config.rules.length === 0) {
+    console.log(`No rules defined${config.configPath ? ` in ${config.configPath}` : ''}; add a "rules" list to the config file.`);
+  }
+
+  const rates = await loadRateTable(options.fxRates || config.fxRatesPath);
+  const parsed = applyCurrency(await parseStatement(filePath, options.paymentMethod, config.bankMappings), rates);
+  const categorized = applyRules(normalizeMerchants(parsed, config.merchantAliases), config.rules, { user: whoAmI });
+  const transactions = applySplits(whoAmI ? applyCardProfile(categorized, card, whoAmI) : categorized);
+
+  console.log(`🧪 Testing ${config.rules.length} rules against ${transactions.length} rows of ${filePath}`);
+  console.log('------------------------------------------------');
+  transactions.forEach((transaction, index) => {
+    console.log(formatTransactionLine(transaction, index));
+    console.log(transaction.rule ? `   ✅ ${transaction.rule}` : '   ❔ No rule matched');
+    if (transaction.error) console.log(`   ⚠️  ${transaction.error}`);
+  });
+  console.log('------------------------------------------------');
+
+  const matched = transactions.filter((transaction) => transaction.rule).length;
+  console.log(`🏷️  ${matched} of ${transactions.length} rows matched a rule; ${transactions.length - matched} left uncategorized`);
+
+  return transactions;
+}
+
+// Create a database with every property the importer writes, under a parent page
+async function initDatabase(options = {}) {
+  const { notionApiKey } = resolveNotionTarget(options, { database: false });
+  if (!options.parentPageId) {
+    throw new Error('Parent page ID is required. Provide it via --parent-page-id option.');
+  }
+
+  // Fill in select options for every card and the users who import it, and for the
+  // categories and tags the rules and cards set
+  const config = await loadConfig(options);
+  const samples = [
+    ...Object.values(config.profile.cards).flatMap((card) => (card.owner ? [card.owner] : config.profile.users)
+      .map((user) => toNotionFields(applyCardProfile([{ paymentMethod: card.name }], card, user)[0], user))),
+    ...config.rules.map((rule) => ({ category: rule.category, tags: rule.tags })),
+  ];
+  const properties = buildDatabaseProperties(config.notionProperties, samples);
+
+  const notion = new Client({ auth: notionApiKey });
+  const database = await notion.databases.create({
+    parent: { type: 'page_id', page_id: options.parentPageId },
+    title: [{ type: 'text', text: { content: options.title || 'Transactions' } }],
+    properties,
+  });
+
+  console.log(`✅ Created Notion database ${database.id}`);
+  console.log(`   Set NOTION_DATABASE_ID=${database.id} in your .env file, or pass --notion-database-id ${database.id}`);
+  return database;
+}
+
 // Export constants and functions for testing
 module.exports = {
   ALLOWED_PAYMENT_METHODS,
   ALLOWED_USERS,
   BANK_MAPPINGS,
   parseCSV,
+  parseStatement,
+  readCsvHeaders,
+  toNotionFields,
+  partitionDuplicates,
+  buildRunRows,
+  buildPageProperties,
+  describeWindow,
+  describeRow,
+  formatAmount,
   uploadToNotion,
   formatDateToISO,
-  validateAndUploadTransactions
+  validateAndUploadTransactions,
+  importBatch,
+  detectStatementCard,
+  showImportHistory,
+  listCards,
+  testRules,
+  initDatabase
 };
\ No newline at end of file
@@ -0,0 +1,243 @@
+// Watch mode: statements dropped into an inbox folder are imported for the card their header
+// and file name point to, then moved to an archive folder, or to an error folder with a log.
+// A state file in the inbox remembers every file by its SHA-256 hash, so an export that was
+// already imported is never imported again, even after a restart.
+const fs = require('fs').promises;
+const syncFs = require('fs');
+const path = require('path');
+const { isStatementFile } = require('./batch');
+const { loadConfig, resolveNotionTarget } = require('./config');
+const { hashFile } = require('./ledger');
+const { EXIT_CODES, getExitCode, printSummary } = require('./report');
+const { detectStatementCard, validateAndUploadTransactions } = require('./utils');
+
+const WATCH_STATE_FILENAME = '.transactions-to-notion-watch.json';
+const DEFAULT_ARCHIVE_DIR = 'archive';
+const DEFAULT_ERROR_DIR = 'errors';
+
+// How long a file must go unchanged before it is picked up, so a download still being
+// written is not read half finished
+const DEFAULT_SETTLE_MS = 2000;
+
+// Load the state file, treating a missing file as an empty state
+async function loadWatchState(statePath) {
+  let contents;
+  try {
+    contents = await fs.readFile(statePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: 1, files: {} };
+    }
+    throw error;
+  }
+
+  try {
+    const state = JSON.parse(contents);
+    return { version: 1, ...state, files: state.files || {} };
+  } catch (error) {
+    throw new Error(`Watch state file at ${statePath} is not valid JSON: ${error.message}`);
+  }
+}
+
+// Remember what happened to a file, by its hash
+async function recordWatchedFile(statePath, hash, entry) {
+  const state = await loadWatchState(statePath);
+  state.files[hash] = entry;
+  const tempPath = `${statePath}.tmp`;
+  await fs.writeFile(tempPath, `${JSON.stringify(state, null, 2)}\n`);
+  await fs.rename(tempPath, statePath);
+  return state;
+}
+
+// Move a file into a folder, adding a timestamp to its name when the folder already has a
+// file by that name. Resolves with the new path.
+async function moveToFolder(filePath, folder, now = new Date()) {
+  await fs.mkdir(folder, { recursive: true });
+  const { name, ext } = path.parse(filePath);
+  let target = path.join(folder, `${name}${ext}`);
+  try {
+    await fs.access(target);
+    target = path.join(folder, `${name}-${now.toISOString().replace(/[-:.]/g, '')}${ext}`);
+  } catch (error) {
+    // No file by that name yet
+  }
+  await fs.rename(filePath, target);
+  return target;
+}
+
+// What went wrong with a watched file, for the log written next to it in the error folder
+function formatWatchErrorLog(fileName, { card, error, summary }) {
+  const lines = [`Import of ${fileName} failed at ${new Date().toISOString()}`];
+  if (card) lines.push(`Card: ${card.name}`);
+  if (error) lines.push(`Error: ${error.message}`);
+  if (summary) {
+    lines.push(`Uploaded: ${summary.uploaded}, already imported: ${summary.duplicate}, rejected: ${summary.rejected}, failed: ${summary.failed}`);
+    [...summary.rejections, ...summary.failures].forEach((problem) => lines.push(`- ${problem.error}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// Import one statement from a watched folder with the same flow as the import command, for
+// the card it is detected to be for. An imported file moves to the archive folder; a file
+// that could not be imported, or had rows rejected or failed, moves to the error folder with
+// a log (and its failed-rows file, for --retry-failed). A file the state records as imported
+// is moved to the archive folder without importing it again.
+async function importWatchedFile(filePath, options, { config, statePath, archiveDir, errorDir }) {
+  const fileName = path.basename(filePath);
+  const hash = await hashFile(filePath);
+  const previous = (await loadWatchState(statePath)).files[hash];
+  if (previous && previous.status === 'imported') {
+    const movedTo = await moveToFolder(filePath, archiveDir);
+    console.log(`⏭️  ${fileName} was already imported at ${previous.processedAt}; moved it to ${movedTo}`);
+    return { file: fileName, status: 'skipped', movedTo };
+  }
+
+  let card = null;
+  let summary = null;
+  let error = null;
+  try {
+    card = await detectStatementCard(filePath, config);
+    console.log(`📥 Importing ${fileName} for ${card.name}`);
+    summary = await validateAndUploadTransactions({
+      csvFilePath: filePath,
+      paymentMethod: card.name,
+      // Owned cards are always imported for their owner
+      whoAmI: card.owner ? undefined : options.whoAmI,
+      notionApiKey: options.notionApiKey,
+      notionDatabaseId: options.notionDatabaseId,
+      config: options.config,
+      fxRates: options.fxRates,
+      ledgerPath: options.ledgerPath,
+      includePayments: options.includePayments,
+    });
+    printSummary(summary);
+  } catch (caught) {
+    error = caught;
+    console.error(`❌ Could not import ${fileName}: ${error.message}`);
+  }
+
+  const status = !error && getExitCode(summary) === EXIT_CODES.SUCCESS ? 'imported' : 'failed';
+  const movedTo = await moveToFolder(filePath, status === 'imported' ? archiveDir : errorDir);
+  if (status === 'failed') {
+    const logPath = `${movedTo}.log`;
+    await fs.writeFile(logPath, formatWatchErrorLog(fileName, { card, error, summary }));
+    if (summary && summary.retryFile) {
+      await moveToFolder(summary.retryFile, errorDir);
+    }
+    console.log(`🗂️  Moved ${fileName} to ${movedTo}; see ${logPath}`);
+  } else {
+    console.log(`🗂️  Moved ${fileName} to ${movedTo}`);
+  }
+
+  await recordWatchedFile(statePath, hash, {
+    file: fileName,
+    status,
+    paymentMethod: card ? card.name : null,
+    runId: summary ? summary.runId : null,
+    processedAt: new Date().toISOString(),
+    movedTo,
+  });
+  return { file: fileName, status, paymentMethod: card ? card.name : null, summary, error: error ? error.message : undefined, movedTo };
+}
+
+// Import the statements in a folder, then keep watching it for new ones until interrupted
+// (or options.signal aborts). Files are imported one at a time, once they have gone
+// options.settleMs without changing. With options.once, only the files already there are
+// imported. Resolves with the outcome of every file.
+async function watchFolder(dir, options = {}) {
+  const inbox = path.resolve(dir);
+  let stats;
+  try {
+    stats = await fs.stat(inbox);
+  } catch (error) {
+    throw new Error(`Watch folder not found at path: ${dir}`);
+  }
+  if (!stats.isDirectory()) {
+    throw new Error(`Watch folder ${dir} is not a directory`);
+  }
+
+  resolveNotionTarget(options);
+
+  const context = {
+    config: await loadConfig(options),
+    statePath: path.join(inbox, WATCH_STATE_FILENAME),
+    archiveDir: path.resolve(inbox, options.archiveDir || DEFAULT_ARCHIVE_DIR),
+    errorDir: path.resolve(inbox, options.errorDir || DEFAULT_ERROR_DIR),
+  };
+
+  const results = [];
+  let queue = Promise.resolve();
+  const enqueue = (fileName) => {
+    queue = queue.then(async () => {
+      const filePath = path.join(inbox, fileName);
+      try {
+        await fs.access(filePath);
+      } catch (error) {
+        return; // Moved or deleted since it was seen
+      }
+      try {
+        results.push(await importWatchedFile(filePath, options, context));
+      } catch (error) {
+        console.error(`❌ Could not process ${fileName}: ${error.message}`);
+      }
+    });
+    return queue;
+  };
+
+  // Statements already waiting in the folder come first
+  const entries = await fs.readdir(inbox, { withFileTypes: true });
+  entries
+    .filter((entry) => entry.isFile() && isStatementFile(entry.name))
+    .map((entry) => entry.name)
+    .sort()
+    .forEach(enqueue);
+
+  if (options.once) {
+    await queue;
+    return results;
+  }
+
+  console.log(`👀 Watching ${inbox} for new statements (Ctrl+C to stop)`);
+  const settleMs = options.settleMs === undefined ? DEFAULT_SETTLE_MS : options.settleMs;
+  const timers = new Map();
+  const watcher = syncFs.watch(inbox, (eventType, fileName) => {
+    if (!fileName || !isStatementFile(fileName)) return;
+    clearTimeout(timers.get(fileName));
+    timers.set(fileName, setTimeout(() => {
+      timers.delete(fileName);
+      enqueue(fileName);
+    }, settleMs));
+  });
+
+  // Stop watching, then let the file being imported finish. A watcher that breaks (the folder
+  // was removed or unmounted) stops the watch with an error instead of crashing the process.
+  return new Promise((resolve, reject) => {
+    let stopped = false;
+    const finish = (error) => {
+      if (stopped) return;
+      stopped = true;
+      process.removeListener('SIGINT', stop);
+      watcher.close();
+      timers.forEach((timer) => clearTimeout(timer));
+      queue.then(() => (error ? reject(error) : resolve(results)));
+    };
+    const stop = () => finish();
+    watcher.on('error', (error) => finish(new Error(`Stopped watching ${inbox}: ${error.message}`)));
+    process.once('SIGINT', stop);
+    if (options.signal) {
+      if (options.signal.aborted) stop();
+      else options.signal.addEventListener('abort', stop, { once: true });
+    }
+  });
+}
+
+module.exports = {
+  WATCH_STATE_FILENAME,
+  DEFAULT_ARCHIVE_DIR,
+  DEFAULT_ERROR_DIR,
+  DEFAULT_SETTLE_MS,
+  loadWatchState,
+  recordWatchedFile,
+  moveToFolder,
+  watchFolder,
+};
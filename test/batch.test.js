@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expandStatementPath, validateManifest, planBatch } = require('../src/batch');
+const { combineSummaries, createSummary, getExitCode, EXIT_CODES } = require('../src/report');
+const { resolveConfig } = require('../src/config');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseQuery = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: mockDatabaseQuery,
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+const { importBatch } = require('../src/utils');
+
+const CHASE_CSV = [
+  'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+  '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+  '01/20/2023,01/21/2023,STARBUCKS,Food & Drink,Sale,-4.95,',
+].join('\n');
+
+const AMEX_CSV = [
+  'Date,Description,Amount',
+  '01/18/2023,SHELL OIL,30.00',
+].join('\n');
+
+describe('Batch Import', () => {
+  const { profile } = resolveConfig({});
+  let tempDir;
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-test-'));
+    fs.mkdirSync(path.join(tempDir, 'january'));
+    fs.writeFileSync(path.join(tempDir, 'january', 'amex.csv'), AMEX_CSV);
+    fs.writeFileSync(path.join(tempDir, 'january', 'chase-freedom.csv'), CHASE_CSV);
+    fs.writeFileSync(path.join(tempDir, 'january', 'notes.txt'), 'not a statement');
+    console.log = jest.fn();
+    console.error = jest.fn();
+    mockNotionCreate.mockReset().mockResolvedValue({ id: 'page-id' });
+    mockDatabaseQuery.mockReset().mockResolvedValue({ results: [], has_more: false });
+    mockDatabaseRetrieve.mockResolvedValue({
+      properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+        [name, { type: Object.keys(definition)[0], ...definition }]
+      ))),
+    });
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('expandStatementPath', () => {
+    test('should list the statements in a folder', async () => {
+      await expect(expandStatementPath('january', tempDir)).resolves.toEqual([
+        path.join(tempDir, 'january', 'amex.csv'),
+        path.join(tempDir, 'january', 'chase-freedom.csv'),
+      ]);
+    });
+
+    test('should match wildcards in the file name', async () => {
+      await expect(expandStatementPath('january/chase-*.csv', tempDir)).resolves.toEqual([
+        path.join(tempDir, 'january', 'chase-freedom.csv'),
+      ]);
+      await expect(expandStatementPath('january/apple-*.csv', tempDir)).rejects.toThrow('No files match january/apple-*.csv');
+    });
+
+    test('should leave retry and decisions files out of a wildcard match', async () => {
+      fs.writeFileSync(path.join(tempDir, 'january', 'amex.failed.json'), '{}');
+      fs.writeFileSync(path.join(tempDir, 'january', 'amex.decisions.json'), '{}');
+
+      await expect(expandStatementPath('january/*', tempDir)).resolves.toEqual([
+        path.join(tempDir, 'january', 'amex.csv'),
+        path.join(tempDir, 'january', 'chase-freedom.csv'),
+      ]);
+      await expect(expandStatementPath('january/amex.*', tempDir)).resolves.toEqual([
+        path.join(tempDir, 'january', 'amex.csv'),
+      ]);
+    });
+
+    test('should fail for a missing file', async () => {
+      await expect(expandStatementPath('february.csv', tempDir)).rejects.toThrow('CSV file not found at path: february.csv');
+    });
+  });
+
+  test('should validate manifest entries against the cards and users', () => {
+    expect(validateManifest({ files: [{ path: 'amex.csv', card: 'Amex Platinum', user: 'Alli' }] }, profile)).toEqual([]);
+    expect(validateManifest({ files: [{ card: 'Visa', user: 'Sam' }] }, profile)).toEqual([
+      'files[0].path must be a file, folder or glob, relative to the manifest',
+      expect.stringContaining('files[0].card must be one of: Chase Freedom'),
+      'files[0].user must be one of the users: Alli, Justin',
+    ]);
+    expect(validateManifest([], profile)).toEqual([expect.stringContaining('the manifest must have a "files" list')]);
+  });
+
+  test('should plan each file once, the first way it is listed', async () => {
+    const items = await planBatch({
+      manifest: [{ path: 'chase-freedom.csv', card: 'Chase Freedom', user: 'Justin', baseDir: path.join(tempDir, 'january') }],
+      paths: [path.join(tempDir, 'january'), path.join(tempDir, 'missing.csv')],
+      whoAmI: 'Alli',
+    });
+
+    expect(items.map((item) => [path.basename(item.filePath), item.paymentMethod, item.whoAmI])).toEqual([
+      ['chase-freedom.csv', 'Chase Freedom', 'Justin'],
+      ['amex.csv', null, 'Alli'],
+      ['missing.csv', null, 'Alli'],
+    ]);
+    expect(items[2].error).toContain('CSV file not found');
+  });
+
+  test('should add up the files of a batch and flag files that could not be imported', () => {
+    const batch = combineSummaries([
+      createSummary({ sourceFile: '/tmp/amex.csv', total: 2, uploaded: 1, failed: 1, failures: [{ rowNumber: 3, error: 'row 3 (SHELL OIL, 2023-01-18): Invalid' }] }),
+      createSummary({ sourceFile: '/tmp/chase.csv', error: 'CSV file not found at path: /tmp/chase.csv' }),
+    ]);
+
+    expect(batch).toMatchObject({ total: 2, uploaded: 1, failed: 1, failedFiles: 1 });
+    expect(batch.failures).toEqual([{ rowNumber: 3, file: 'amex.csv', error: 'amex.csv: row 3 (SHELL OIL, 2023-01-18): Invalid' }]);
+    expect(getExitCode({ ...batch, failed: 0 })).toBe(EXIT_CODES.PARTIAL_FAILURE);
+  });
+
+  describe('importBatch', () => {
+    const options = (extra) => ({
+      whoAmI: 'Alli',
+      notionApiKey: 'key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+      ...extra,
+    });
+
+    test('should import every file with its own format and combine the summaries', async () => {
+      const batch = await importBatch([path.join(tempDir, 'january')], options());
+
+      expect(batch.files.map((summary) => [path.basename(summary.sourceFile), summary.paymentMethod, summary.uploaded])).toEqual([
+        ['amex.csv', 'Amex Platinum', 1],
+        ['chase-freedom.csv', 'Chase Freedom', 2],
+      ]);
+      expect(batch).toMatchObject({ total: 3, uploaded: 3, failedFiles: 0 });
+      expect(getExitCode(batch)).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test('should take cards and users from a manifest and carry on past a bad file', async () => {
+      const manifestPath = path.join(tempDir, 'manifest.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({
+        files: [
+          { path: 'january/chase-freedom.csv', card: 'Chase Sapphire', user: 'Justin' },
+          { path: 'january/amex.csv', card: 'Chase Freedom' },
+          { path: 'january/amex.csv', card: 'Amex Platinum' },
+        ],
+      }));
+
+      const batch = await importBatch([], options({ manifest: manifestPath }));
+
+      expect(batch.files.map((summary) => [summary.paymentMethod, summary.user, summary.uploaded, Boolean(summary.error)])).toEqual([
+        ['Chase Sapphire', 'Justin', 2, false],
+        ['Chase Freedom', 'Alli', 0, true],
+      ]);
+      expect(batch.failedFiles).toBe(1);
+      expect(mockNotionCreate.mock.calls[0][0].properties['Payment Method']).toEqual({ select: { name: "Justin's Chase Sapphire" } });
+    });
+
+    test('should reject an invalid manifest before importing anything', async () => {
+      const manifestPath = path.join(tempDir, 'manifest.json');
+      fs.writeFileSync(manifestPath, JSON.stringify({ files: [{ path: 'january', user: 'Sam' }] }));
+
+      await expect(importBatch([], options({ manifest: manifestPath })))
+        .rejects.toThrow(`Invalid manifest at ${manifestPath}:\n  - files[0].user must be one of the users: Alli, Justin`);
+      expect(mockNotionCreate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, validateConfig, resolveNotionTarget } = require('../src/config');
+const { BANK_MAPPINGS, mergeBankFormats, findBankForPaymentMethod } = require('../src/bank-formats');
+const { parseCSV } = require('../src/utils');
+
+const capitalOne = {
+  transactionDate: 'Transaction Date',
+  description: 'Description',
+  amount: 'Debit',
+  extraColumns: { category: 'Category' },
+  dateFormat: 'YYYY-MM-DD',
+  signConvention: 'charges-positive',
+  paymentMethods: ['Capital One Venture'],
+};
+
+describe('Config File', () => {
+  let tempDir;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeConfig = (config) => {
+    const configPath = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configPath, typeof config === 'string' ? config : JSON.stringify(config));
+    return configPath;
+  };
+
+  describe('loadConfig', () => {
+    test('should use the built-in bank formats when there is no config file', async () => {
+      const config = await loadConfig({ config: undefined });
+      expect(config.bankMappings).toEqual(BANK_MAPPINGS);
+    });
+
+    test('should fail when an explicitly given config file is missing', async () => {
+      await expect(loadConfig({ config: path.join(tempDir, 'missing.json') })).rejects.toThrow('Could not read config file');
+    });
+
+    test('should fail on invalid JSON', async () => {
+      await expect(loadConfig({ config: writeConfig('{ nope') })).rejects.toThrow('is not valid JSON');
+    });
+
+    test('should list every problem with a bank format', async () => {
+      const configPath = writeConfig({
+        bankFormats: {
+          discover: { description: 'Description', signConvention: 'sideways', paymentMethods: [] },
+        },
+      });
+
+      const error = await loadConfig({ config: configPath }).catch((e) => e);
+      expect(error.message).toContain(`Invalid config file at ${configPath}`);
+      expect(error.message).toContain('bankFormats.discover.transactionDate must be the name of a CSV column');
+      expect(error.message).toContain('bankFormats.discover.amount must be the name of a CSV column');
+      expect(error.message).toContain('bankFormats.discover.signConvention must be one of: charges-positive, charges-negative');
+      expect(error.message).toContain('bankFormats.discover.paymentMethods must list at least one payment method');
+    });
+
+    test('should merge user formats with the built-in ones', async () => {
+      const config = await loadConfig({ config: writeConfig({ bankFormats: { capitalone: capitalOne } }) });
+
+      expect(Object.keys(config.bankMappings)).toEqual(['chase', 'amex', 'apple', 'capitalone']);
+      expect(findBankForPaymentMethod('Capital One Venture', config.bankMappings)).toBe('capitalone');
+      expect(findBankForPaymentMethod('Chase Sapphire', config.bankMappings)).toBe('chase');
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('should let a format override only some fields of a built-in', () => {
+      expect(validateConfig({ bankFormats: { amex: { dateFormat: 'MM/DD/YY' } } })).toEqual([]);
+      expect(mergeBankFormats({ amex: { dateFormat: 'MM/DD/YY' } }).amex).toMatchObject({
+        transactionDate: 'Date',
+        dateFormat: 'MM/DD/YY',
+      });
+    });
+
+    test('should reject a payment method claimed by two user formats', () => {
+      const errors = validateConfig({
+        bankFormats: {
+          capitalone: capitalOne,
+          creditunion: { ...capitalOne, paymentMethods: ['capital one venture'] },
+        },
+      });
+      expect(errors).toContain('Payment method "capital one venture" is used by both bankFormats.capitalone and bankFormats.creditunion');
+    });
+
+    test('should move a built-in payment method to the user format that claims it', () => {
+      const merged = mergeBankFormats({ capitalone: { ...capitalOne, paymentMethods: ['Apple Card'] } });
+      expect(findBankForPaymentMethod('Apple Card', merged)).toBe('capitalone');
+      expect(merged.apple.paymentMethods).toEqual([]);
+    });
+  });
+
+  describe('resolveNotionTarget', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    test('should prefer options to env vars and only require what the command needs', () => {
+      process.env.NOTION_API_KEY = 'env-key';
+      delete process.env.NOTION_DATABASE_ID;
+
+      expect(resolveNotionTarget({ notionDatabaseId: 'db' })).toEqual({ notionApiKey: 'env-key', notionDatabaseId: 'db' });
+      expect(resolveNotionTarget({ notionApiKey: 'key' }, { database: false })).toEqual({ notionApiKey: 'key', notionDatabaseId: undefined });
+      expect(() => resolveNotionTarget({})).toThrow('Notion database ID is required');
+
+      delete process.env.NOTION_API_KEY;
+      expect(() => resolveNotionTarget({ notionDatabaseId: 'db' })).toThrow('Notion API key is required');
+      expect(resolveNotionTarget({ notionDatabaseId: 'db' }, { client: {} })).toEqual({ notionApiKey: undefined, notionDatabaseId: 'db' });
+    });
+  });
+
+  describe('parseCSV with a user-defined format', () => {
+    test('should map the declared columns, including extra columns', async () => {
+      const csvPath = path.join(tempDir, 'capitalone.csv');
+      fs.writeFileSync(csvPath, 'Transaction Date,Description,Category,Debit\n2023-01-15,TRADER JOES,Groceries,42.10\n');
+      const config = await loadConfig({ config: writeConfig({ bankFormats: { capitalone: capitalOne } }) });
+
+      const [transaction] = await parseCSV(csvPath, 'Capital One Venture', config.bankMappings);
+
+      expect(transaction).toMatchObject({
+        description: 'TRADER JOES',
+        amount: 42.1,
+        date: '2023-01-15',
+        paymentMethod: 'Capital One Venture',
+        extra: { category: 'Groceries' },
+      });
+    });
+  });
+});
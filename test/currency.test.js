@@ -0,0 +1,211 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  parseAmount,
+  checkAmount,
+  parseOriginalAmount,
+  validateRateTable,
+  loadRateTable,
+  findRate,
+  applyCurrency,
+} = require('../src/currency');
+const { normalizeAmount } = require('../src/transaction-types');
+const { buildPageProperties } = require('../src/notion-properties');
+const { loadConfig } = require('../src/config');
+const { parseCSV, parseStatement, toNotionFields } = require('../src/utils');
+
+describe('Currencies', () => {
+  describe('parseAmount', () => {
+    test('should read thousands separators, parentheses and signs', () => {
+      expect(parseAmount('1,234.56')).toEqual({ amount: 1234.56, currency: null });
+      expect(parseAmount('(45.00)')).toEqual({ amount: -45, currency: null });
+      expect(parseAmount('-12.5')).toEqual({ amount: -12.5, currency: null });
+      expect(parseAmount('12.50-')).toEqual({ amount: -12.5, currency: null });
+      expect(parseAmount('$-4.95')).toEqual({ amount: -4.95, currency: null });
+    });
+
+    test('should read the currency from symbols, codes and names', () => {
+      expect(parseAmount('€1,200.00')).toEqual({ amount: 1200, currency: 'EUR' });
+      expect(parseAmount('(£12.00)')).toEqual({ amount: -12, currency: 'GBP' });
+      expect(parseAmount('C$ 30')).toEqual({ amount: 30, currency: 'CAD' });
+      expect(parseAmount('45.00 EUR')).toEqual({ amount: 45, currency: 'EUR' });
+      expect(parseAmount('3,000 Japanese Yen')).toEqual({ amount: 3000, currency: 'JPY' });
+    });
+
+    test('should not read text that is not an amount', () => {
+      expect(parseAmount('')).toBeNull();
+      expect(parseAmount('N/A')).toBeNull();
+      expect(parseAmount('12,34.5')).toBeNull();
+    });
+
+    test('should give normalizeAmount the same reading', () => {
+      expect(normalizeAmount('1,234.56')).toBe(1234.56);
+      expect(normalizeAmount('(45.00)', 'charges-negative')).toBe(45);
+      expect(normalizeAmount('not a number')).toBe(0);
+    });
+
+    test('should say why an amount cannot be read', () => {
+      expect(checkAmount('-4.95')).toBeNull();
+      expect(checkAmount(' N/A ')).toBe('Unreadable amount "N/A"');
+      expect(checkAmount('1.234,56')).toBe('Unreadable amount "1.234,56"');
+      expect(checkAmount('')).toBe('Missing amount');
+      expect(checkAmount(undefined)).toBe('Missing amount');
+    });
+
+    test('should find the foreign amount in an Amex note', () => {
+      expect(parseOriginalAmount('Foreign Spend Amount: 45.00 Euros Commission Amount: 0.00 Currency Exchange Rate: 1.1'))
+        .toEqual({ amount: 45, currency: 'EUR' });
+      expect(parseOriginalAmount('AMAZON MARKETPLACE SEATTLE WA')).toBeNull();
+    });
+  });
+
+  describe('rate tables', () => {
+    const table = {
+      base: 'USD',
+      rates: { EUR: 1.1, GBP: { '2023-01-01': 1.2, '2023-01-16': 1.25 } },
+    };
+
+    test('should list every problem', () => {
+      expect(validateRateTable(table)).toEqual([]);
+      expect(validateRateTable({ base: 'usd', rates: { EU: 1, GBP: { '01/01/2023': 0 }, JPY: 'cheap' } })).toEqual([
+        'base must be a three-letter currency code such as "USD"',
+        'rates.EU must be keyed by a three-letter currency code',
+        'rates.GBP must be keyed by YYYY-MM-DD dates, not "01/01/2023"',
+        'rates.GBP["01/01/2023"] must be a positive number',
+        'rates.JPY must be a positive number, or map YYYY-MM-DD dates to rates',
+      ]);
+    });
+
+    test('should use the latest dated rate on or before the transaction', () => {
+      expect(findRate(table, 'EUR', '2022-06-01')).toBe(1.1);
+      expect(findRate(table, 'GBP', '2023-01-15')).toBe(1.2);
+      expect(findRate(table, 'GBP', '2023-01-16')).toBe(1.25);
+      expect(findRate(table, 'GBP', '2022-12-31')).toBeNull();
+      expect(findRate(table, 'CHF', '2023-01-15')).toBeNull();
+    });
+
+    test('should convert foreign rows and reject rows without a rate', () => {
+      const converted = applyCurrency([
+        { date: '2023-01-15', amount: 50, currency: 'EUR' },
+        { date: '2023-01-15', amount: 20, currency: 'USD' },
+        { date: '2023-01-15', amount: 80, currency: 'CHF' },
+        { date: '2023-01-17', amount: -12.5, originalAmount: -10, originalCurrency: 'GBP' },
+      ], { ...table, path: 'fx.json' });
+
+      expect(converted).toEqual([
+        { date: '2023-01-15', amount: 55, originalAmount: 50, currency: 'EUR', convertedAmount: 55 },
+        { date: '2023-01-15', amount: 20 },
+        { date: '2023-01-15', amount: 80, originalAmount: 80, currency: 'CHF', error: 'No CHF exchange rate for 2023-01-15 in fx.json' },
+        // Already converted by the bank
+        { date: '2023-01-17', amount: -12.5, originalAmount: -10, currency: 'GBP', convertedAmount: -12.5 },
+      ]);
+      // Converting twice changes nothing
+      expect(applyCurrency(converted, table)).toEqual(converted);
+    });
+  });
+
+  describe('importing foreign statements', () => {
+    let tempDir;
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'currency-test-'));
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const write = (name, contents) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, typeof contents === 'string' ? contents : JSON.stringify(contents));
+      return filePath;
+    };
+
+    test('should convert a euro account with the configured rate table', async () => {
+      write('fx-rates.json', { base: 'USD', rates: { EUR: 1.1 } });
+      const configPath = write('config.json', {
+        fxRates: './fx-rates.json',
+        bankFormats: {
+          revolut: {
+            transactionDate: 'Date',
+            description: 'Description',
+            amount: 'Amount',
+            currency: 'EUR',
+            dateFormat: 'YYYY-MM-DD',
+            signConvention: 'charges-negative',
+            paymentMethods: ['Revolut'],
+          },
+        },
+      });
+      const csvPath = write('revolut.csv', [
+        'Date,Description,Amount',
+        '2023-01-15,CAFE DE FLORE,"(1,234.50)"',
+        '2023-01-16,REFUND,€20.00',
+      ].join('\n'));
+
+      const config = await loadConfig({ config: configPath });
+      expect(config.fxRatesPath).toBe(path.join(tempDir, 'fx-rates.json'));
+      const rates = await loadRateTable(config.fxRatesPath);
+      const [charge, refund] = applyCurrency(await parseCSV(csvPath, 'Revolut', config.bankMappings), rates);
+
+      expect(charge).toMatchObject({ amount: 1357.95, originalAmount: 1234.5, currency: 'EUR', convertedAmount: 1357.95 });
+      expect(refund).toMatchObject({ amount: -22, originalAmount: -20, currency: 'EUR', type: 'refund' });
+
+      const properties = buildPageProperties(toNotionFields(charge, 'Alli'));
+      expect(properties['Total Amount']).toEqual({ number: 1357.95 });
+      expect(properties['Original Amount']).toEqual({ number: 1234.5 });
+      expect(properties['Currency']).toEqual({ select: { name: 'EUR' } });
+      expect(properties['Converted Amount']).toEqual({ number: 1357.95 });
+    });
+
+    test('should keep the foreign amount of an Amex charge and leave home rows alone', async () => {
+      const csvPath = write('amex.csv', [
+        'Date,Description,Amount,Extended Details',
+        '01/15/2023,HOTEL LUTETIA,49.50,"Foreign Spend Amount: 45.00 Euros Commission Amount: 0.00"',
+        '01/16/2023,STARBUCKS,4.95,"STARBUCKS STORE 123"',
+      ].join('\n'));
+
+      const config = await loadConfig({ config: undefined });
+      const [hotel, coffee] = applyCurrency(await parseCSV(csvPath, 'Amex Platinum', config.bankMappings), await loadRateTable(null));
+
+      expect(hotel).toMatchObject({ amount: 49.5, originalAmount: 45, currency: 'EUR', convertedAmount: 49.5 });
+      expect(coffee).not.toHaveProperty('currency');
+      expect(buildPageProperties(toNotionFields(coffee, 'Alli'))).not.toHaveProperty('Currency');
+    });
+
+    test('should reject rows whose amount cannot be read instead of importing them as zero', async () => {
+      const csvPath = write('chase.csv', [
+        'Transaction Date,Description,Amount,Type',
+        '01/15/2023,AMAZON.COM,-50.99,Sale',
+        '01/16/2023,STARBUCKS,N/A,Sale',
+        '01/17/2023,NETFLIX,"1.234,56",Sale',
+        '01/18/2023,SHELL,,Sale',
+      ].join('\n'));
+      const ofxPath = write('statement.ofx', [
+        '<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20230115<TRNAMT>-50.99<FITID>A1<NAME>AMAZON.COM</STMTTRN>',
+        '<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20230116<TRNAMT>N/A<FITID>A2<NAME>STARBUCKS</STMTTRN>',
+        '</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>',
+      ].join('\n'));
+
+      const config = await loadConfig({ config: undefined });
+      const rows = await parseCSV(csvPath, 'Chase Freedom', config.bankMappings);
+      const statement = await parseStatement(ofxPath, 'Chase Sapphire', config.bankMappings);
+
+      expect(rows.map((row) => row.error)).toEqual([undefined, 'Unreadable amount "N/A"', 'Unreadable amount "1.234,56"', 'Missing amount']);
+      expect(statement.map((row) => row.error)).toEqual([undefined, 'Unreadable amount "N/A"']);
+    });
+
+    test('should fail loudly on an invalid rate table', async () => {
+      const ratesPath = write('fx-rates.json', { rates: { EUR: -1 } });
+
+      await expect(loadRateTable(ratesPath)).rejects.toThrow(`Invalid exchange rates at ${ratesPath}:\n  - rates.EUR must be a positive number`);
+      await expect(loadConfig({ config: write('config.json', { fxRates: 42 }) }))
+        .rejects.toThrow('fxRates must be the path of an exchange rate table');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDateOption, isWithinRange } = require('../src/dates');
+const { findLastImportedDate, loadLedger } = require('../src/ledger');
+const { validateAndUploadTransactions } = require('../src/utils');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseQuery = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: mockDatabaseQuery,
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+const CHASE_CSV = [
+  'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+  '01/05/2023,01/06/2023,SAFEWAY #123,Groceries,Sale,-40.00,',
+  '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+  '01/20/2023,01/21/2023,STARBUCKS,Food & Drink,Sale,-4.95,',
+  '01/31/2023,02/01/2023,SHELL OIL,Gas,Sale,-30.00,',
+].join('\n');
+
+describe('Date Window', () => {
+  let tempDir;
+  let csvPath;
+  let ledgerPath;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'window-test-'));
+    csvPath = path.join(tempDir, 'chase.csv');
+    ledgerPath = path.join(tempDir, 'ledger.json');
+    fs.writeFileSync(csvPath, CHASE_CSV);
+    console.log = jest.fn();
+    mockNotionCreate.mockReset().mockResolvedValue({ id: 'page-id' });
+    mockDatabaseQuery.mockReset().mockResolvedValue({ results: [], has_more: false });
+    mockDatabaseRetrieve.mockResolvedValue({
+      properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+        [name, { type: Object.keys(definition)[0], ...definition }]
+      ))),
+    });
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const importOptions = (options) => ({
+    csvFilePath: csvPath,
+    paymentMethod: 'Chase Freedom',
+    whoAmI: 'Alli',
+    notionApiKey: 'test-key',
+    notionDatabaseId: 'test-db',
+    ledgerPath,
+    ...options,
+  });
+
+  test('should read window dates and compare them inclusively', () => {
+    expect(parseDateOption('2023-01-15', '--since')).toBe('2023-01-15');
+    expect(() => parseDateOption('01/15/2023', '--since')).toThrow('--since must be a date in YYYY-MM-DD format, got "01/15/2023"');
+
+    expect(isWithinRange('2023-01-15', { since: '2023-01-15', until: '2023-01-15' })).toBe(true);
+    expect(isWithinRange('2023-01-14', { since: '2023-01-15' })).toBe(false);
+    expect(isWithinRange('2023-01-16', { until: '2023-01-15' })).toBe(false);
+    expect(isWithinRange('2023-01-16', {})).toBe(true);
+  });
+
+  test('should only import rows between --since and --until and report the rest', async () => {
+    const summary = await validateAndUploadTransactions(importOptions({ since: '2023-01-10', until: '2023-01-25', dryRun: true }));
+
+    expect(summary).toMatchObject({ total: 4, outsideWindow: 2, pending: 2, since: '2023-01-10', until: '2023-01-25' });
+    const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+    expect(output).toContain('📅 Skipping 2 transactions outside 2023-01-10 to 2023-01-25');
+  });
+
+  test('should reject a window that ends before it starts, or a watermark on top of --since', async () => {
+    await expect(validateAndUploadTransactions(importOptions({ since: '2023-02-01', until: '2023-01-01' })))
+      .rejects.toThrow('--since must not be after --until');
+    await expect(validateAndUploadTransactions(importOptions({ since: '2023-01-01', sinceLastImport: true })))
+      .rejects.toThrow('--since-last-import cannot be combined with --since');
+  });
+
+  describe('--since-last-import', () => {
+    test('should find the latest imported date for the user and card in the ledger', () => {
+      const ledger = {
+        runs: [
+          { databaseId: 'test-db', user: 'Alli', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-15', status: 'uploaded' }, { date: '2023-01-31', status: 'failed' }] },
+          { databaseId: 'test-db', user: 'Alli', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-10', status: 'duplicate' }, { status: 'uploaded' }] },
+          { databaseId: 'test-db', user: 'Justin', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-25', status: 'uploaded' }] },
+          { databaseId: 'other-db', user: 'Alli', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-28', status: 'uploaded' }] },
+          { user: 'Alli', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-29', status: 'uploaded' }] },
+        ],
+      };
+
+      expect(findLastImportedDate(ledger, 'Alli', 'Chase Freedom', 'test-db')).toBe('2023-01-15');
+      expect(findLastImportedDate(ledger, 'Alli', 'Chase Freedom', 'new-db')).toBeNull();
+      expect(findLastImportedDate(ledger, 'Alli', 'Apple Card', 'test-db')).toBeNull();
+    });
+
+    test('should import from the later of the ledger and Notion watermarks', async () => {
+      fs.writeFileSync(ledgerPath, JSON.stringify({
+        runs: [{ databaseId: 'test-db', user: 'Alli', paymentMethod: 'Chase Freedom', rows: [{ date: '2023-01-05', status: 'uploaded' }] }],
+      }));
+      mockDatabaseQuery.mockImplementation(async (query) => (query.sorts
+        ? { results: [{ properties: { Date: { type: 'date', date: { start: '2023-01-20' } } } }], has_more: false }
+        : { results: [], has_more: false }));
+
+      const summary = await validateAndUploadTransactions(importOptions({ sinceLastImport: true }));
+
+      expect(mockDatabaseQuery).toHaveBeenCalledWith(expect.objectContaining({
+        filter: { property: 'Payment Method', select: { equals: "Alli's Chase Freedom" } },
+        sorts: [{ property: 'Date', direction: 'descending' }],
+      }));
+      // Rows on the watermark's own date are kept for duplicate detection to sort out
+      expect(summary).toMatchObject({ since: '2023-01-20', outsideWindow: 2, uploaded: 2 });
+
+      const { runs } = await loadLedger(ledgerPath);
+      expect(runs[1].rows.map((row) => row.date)).toEqual(['2023-01-20', '2023-01-31']);
+    });
+
+    test('should import every row when nothing was imported yet', async () => {
+      const summary = await validateAndUploadTransactions(importOptions({ sinceLastImport: true, dryRun: true }));
+
+      expect(summary).toMatchObject({ since: null, outsideWindow: 0, pending: 4 });
+    });
+  });
+});
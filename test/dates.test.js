@@ -0,0 +1,117 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDate, isValidDatePattern } = require('../src/dates');
+const { validateBankFormats } = require('../src/bank-formats');
+const { parseCSV, toNotionFields, uploadToNotion } = require('../src/utils');
+
+describe('Date Parsing', () => {
+  describe('parseDate', () => {
+    test('should read the common bank export patterns', () => {
+      expect(parseDate('01/15/2023', 'MM/DD/YYYY')).toBe('2023-01-15');
+      expect(parseDate('1/5/2023', 'M/D/YYYY')).toBe('2023-01-05');
+      expect(parseDate('2023-01-15', 'YYYY-MM-DD')).toBe('2023-01-15');
+      expect(parseDate('15 Jan 2023', 'DD MMM YYYY')).toBe('2023-01-15');
+      expect(parseDate('15 January 2023', 'DD MMMM YYYY')).toBe('2023-01-15');
+      expect(parseDate('15/01/23', 'DD/MM/YY')).toBe('2023-01-15');
+    });
+
+    test('should try each pattern in order', () => {
+      expect(parseDate('2023-01-15', ['MM/DD/YYYY', 'YYYY-MM-DD'])).toBe('2023-01-15');
+    });
+
+    test('should not shift the day whatever the timezone', () => {
+      const originalTz = process.env.TZ;
+      try {
+        process.env.TZ = 'Pacific/Honolulu';
+        expect(parseDate('12/31/2023', 'MM/DD/YYYY')).toBe('2023-12-31');
+        process.env.TZ = 'Pacific/Kiritimati';
+        expect(parseDate('2024-01-01', 'YYYY-MM-DD')).toBe('2024-01-01');
+      } finally {
+        process.env.TZ = originalTz;
+      }
+    });
+
+    test('should reject dates that do not fit the pattern or the calendar', () => {
+      expect(parseDate('01/15/2023', 'YYYY-MM-DD')).toBeNull();
+      expect(parseDate('15/01/2023', 'MM/DD/YYYY')).toBeNull();
+      expect(parseDate('02/30/2023', 'MM/DD/YYYY')).toBeNull();
+      expect(parseDate('02/29/2023', 'MM/DD/YYYY')).toBeNull();
+      expect(parseDate('02/29/2024', 'MM/DD/YYYY')).toBe('2024-02-29');
+      expect(parseDate('15 Foo 2023', 'DD MMM YYYY')).toBeNull();
+      expect(parseDate('', 'MM/DD/YYYY')).toBeNull();
+    });
+  });
+
+  describe('isValidDatePattern', () => {
+    test('should require a year, a month and a day', () => {
+      expect(isValidDatePattern('DD MMM YYYY')).toBe(true);
+      expect(isValidDatePattern('MM/YYYY')).toBe(false);
+      expect(isValidDatePattern('')).toBe(false);
+    });
+
+    test('should be enforced for config bank formats', () => {
+      expect(validateBankFormats({ amex: { dateFormat: ['DD/MM/YYYY', 'YYYY-MM-DD'] } })).toEqual([]);
+      expect(validateBankFormats({ amex: { dateFormat: 'MM/YYYY' } })).toEqual([
+        'bankFormats.amex.dateFormat must be a date pattern such as "MM/DD/YYYY" or "DD MMM YYYY", or a list of them',
+      ]);
+    });
+  });
+
+  describe('parseCSV', () => {
+    let tempDir;
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dates-test-'));
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should mark rows with unreadable dates instead of backdating them to today', async () => {
+      const filePath = path.join(tempDir, 'amex.csv');
+      fs.writeFileSync(filePath, [
+        'Date,Description,Amount',
+        '01/15/2023,UBER,22.50',
+        '13/45/2023,LYFT,18.00',
+        ',TAXI,12.00',
+      ].join('\n'));
+
+      const transactions = await parseCSV(filePath, 'Amex Platinum');
+
+      expect(transactions.map(({ date, error }) => ({ date, error }))).toEqual([
+        { date: '2023-01-15', error: undefined },
+        { date: '13/45/2023', error: 'Unparseable date "13/45/2023" (expected MM/DD/YYYY)' },
+        { date: '', error: 'Missing date' },
+      ]);
+    });
+  });
+
+  describe('uploadToNotion', () => {
+    test('should fail a row with an unreadable date without calling Notion', async () => {
+      const originalConsoleError = console.error;
+      const originalConsoleLog = console.log;
+      console.error = jest.fn();
+      console.log = jest.fn();
+      const notionClient = { pages: { create: jest.fn().mockResolvedValue({ id: 'page-1' }) } };
+
+      try {
+        const transaction = { date: 'yesterday', description: 'UBER', amount: 22.5, paymentMethod: 'Amex Platinum', rowNumber: 2 };
+        expect(toNotionFields(transaction, 'Alli').date).toBeNull();
+
+        const [result] = await uploadToNotion(notionClient, 'test-db', [transaction], 'Alli');
+
+        expect(notionClient.pages.create).not.toHaveBeenCalled();
+        expect(result.status).toBe('failed');
+        expect(result.error).toBe('row 2 (UBER, yesterday): Unparseable date "yesterday"');
+      } finally {
+        console.error = originalConsoleError;
+        console.log = originalConsoleLog;
+      }
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { duplicateKey, pageToFields, findDuplicates } = require('../src/duplicates');
+const { partitionDuplicates } = require('../src/utils');
+
+// Build a Notion page the way the uploader writes it
+const makePage = ({ date, amount, description, paymentMethod, fitid }) => ({
+  properties: {
+    'Date': { date: { start: date } },
+    'Expense': { title: [{ plain_text: description }] },
+    'Total Amount': { number: amount },
+    'Payment Method': { select: { name: paymentMethod } },
+    ...(fitid ? { 'FITID': { rich_text: [{ plain_text: fitid }] } } : {}),
+  },
+});
+
+describe('Duplicate Detection', () => {
+  let notionClient;
+
+  beforeEach(() => {
+    notionClient = {
+      databases: {
+        query: jest.fn().mockResolvedValue({ results: [], has_more: false }),
+      },
+    };
+  });
+
+  describe('duplicateKey', () => {
+    test('should ignore amount formatting and description case', () => {
+      const a = duplicateKey({ date: '2023-01-15', amount: '50.9', description: 'Amazon.com ', paymentMethod: "Alli's Chase Freedom" });
+      const b = duplicateKey({ date: '2023-01-15', amount: 50.90, description: 'AMAZON.COM', paymentMethod: "Alli's Chase Freedom" });
+      expect(a).toBe(b);
+    });
+
+    test('should tell a refund apart from a charge of the same amount', () => {
+      const charge = duplicateKey({ date: '2023-01-15', amount: 20, description: 'TARGET', paymentMethod: "Alli's Apple Card" });
+      const refund = duplicateKey({ date: '2023-01-15', amount: -20, description: 'TARGET', paymentMethod: "Alli's Apple Card" });
+      expect(charge).not.toBe(refund);
+    });
+
+    test('should round-trip through a Notion page', () => {
+      const fields = { date: '2023-01-15', amount: 4.95, description: 'STARBUCKS', paymentMethod: "Alli's Amex Platinum" };
+      expect(duplicateKey(pageToFields(makePage(fields)))).toBe(duplicateKey(fields));
+    });
+  });
+
+  describe('findDuplicates', () => {
+    test('should query each payment method once over the full date range', async () => {
+      await findDuplicates(notionClient, 'test-db', [
+        { date: '2023-01-20', amount: 1, description: 'A', paymentMethod: "Alli's Apple Card" },
+        { date: '2023-01-05', amount: 2, description: 'B', paymentMethod: "Alli's Apple Card" },
+        { date: '2023-01-10', amount: 3, description: 'C', paymentMethod: "Alli's Apple Card" },
+      ]);
+
+      expect(notionClient.databases.query).toHaveBeenCalledTimes(1);
+      const { filter } = notionClient.databases.query.mock.calls[0][0];
+      expect(filter.and).toEqual([
+        { property: 'Payment Method', select: { equals: "Alli's Apple Card" } },
+        { property: 'Date', date: { on_or_after: '2023-01-05' } },
+        { property: 'Date', date: { on_or_before: '2023-01-20' } },
+      ]);
+    });
+
+    test('should follow pagination', async () => {
+      const existing = { date: '2023-01-15', amount: 10, description: 'LUNCH', paymentMethod: "Alli's Apple Card" };
+      notionClient.databases.query
+        .mockResolvedValueOnce({ results: [], has_more: true, next_cursor: 'cursor-2' })
+        .mockResolvedValueOnce({ results: [makePage(existing)], has_more: false });
+
+      const duplicates = await findDuplicates(notionClient, 'test-db', [existing]);
+
+      expect(notionClient.databases.query).toHaveBeenCalledTimes(2);
+      expect(notionClient.databases.query.mock.calls[1][0].start_cursor).toBe('cursor-2');
+      expect([...duplicates]).toEqual([0]);
+    });
+
+    test('should only skip as many identical rows as already exist', async () => {
+      const coffee = { date: '2023-01-15', amount: 4.95, description: 'STARBUCKS', paymentMethod: "Alli's Apple Card" };
+      notionClient.databases.query.mockResolvedValue({ results: [makePage(coffee)], has_more: false });
+
+      const duplicates = await findDuplicates(notionClient, 'test-db', [coffee, coffee]);
+
+      expect([...duplicates]).toEqual([0]);
+    });
+
+    test('should match on the FITID when the row and the page both have one', async () => {
+      const coffee = { date: '2023-01-15', amount: 4.95, description: 'STARBUCKS', paymentMethod: "Alli's Apple Card" };
+      notionClient.databases.query.mockResolvedValue({
+        results: [makePage({ ...coffee, fitid: 'A1' }), makePage({ ...coffee, description: 'LUNCH' })],
+        has_more: false,
+      });
+
+      const duplicates = await findDuplicates(notionClient, 'test-db', [
+        { ...coffee, description: 'STARBUCKS #123', fitid: 'A1' }, // Renamed by the bank
+        { ...coffee, fitid: 'A2' }, // Same contents, another charge
+        { ...coffee, description: 'LUNCH', fitid: 'A3' }, // Uploaded from a CSV, without a FITID
+        { ...coffee, description: 'LUNCH' }, // Its page was matched by the row above
+        coffee, // Its page was matched by the first row
+      ]);
+
+      expect([...duplicates]).toEqual([0, 2]);
+    });
+  });
+
+  describe('partitionDuplicates', () => {
+    test('should split parsed transactions into new and already imported', async () => {
+      notionClient.databases.query.mockResolvedValue({
+        results: [makePage({ date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: "Alli's Chase Freedom" })],
+        has_more: false,
+      });
+
+      const transactions = [
+        { date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: 'Chase Freedom' },
+        { date: '2023-01-16', amount: 4.95, description: 'STARBUCKS', paymentMethod: 'Chase Freedom' },
+      ];
+
+      const { newTransactions, duplicates } = await partitionDuplicates(notionClient, 'test-db', transactions, 'Alli');
+
+      expect(duplicates).toEqual([transactions[0]]);
+      expect(newTransactions).toEqual([transactions[1]]);
+    });
+  });
+});
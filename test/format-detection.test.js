@@ -0,0 +1,89 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { detectBankFormats, resolveBankFormat } = require('../src/bank-formats');
+const { parseCSV } = require('../src/utils');
+
+// Header rows as the banks export them
+const CHASE_HEADER = ['Transaction Date', 'Post Date', 'Description', 'Category', 'Type', 'Amount', 'Memo'];
+const AMEX_HEADER = ['Date', 'Description', 'Amount', 'Extended Details', 'Appears On Your Statement As', 'Category'];
+const APPLE_HEADER = ['Transaction Date', 'Clearing Date', 'Description', 'Merchant', 'Category', 'Type', 'Amount (USD)', 'Purchased By'];
+
+describe('Bank Format Detection', () => {
+  describe('detectBankFormats', () => {
+    test('should recognise each built-in export from its header', () => {
+      expect(detectBankFormats(CHASE_HEADER).map((c) => c.bank)).toEqual(['chase']);
+      expect(detectBankFormats(AMEX_HEADER).map((c) => c.bank)).toEqual(['amex']);
+      expect(detectBankFormats(APPLE_HEADER).map((c) => c.bank)).toEqual(['apple']);
+    });
+
+    test('should ignore a byte order mark and stray whitespace', () => {
+      expect(detectBankFormats(['﻿Date ', ' Description', 'Amount']).map((c) => c.bank)).toEqual(['amex']);
+    });
+  });
+
+  describe('resolveBankFormat', () => {
+    test('should fail when the header matches no known bank', () => {
+      expect(() => resolveBankFormat(['When', 'What', 'How Much'], 'Chase Sapphire'))
+        .toThrow('does not match any known bank format. Found columns: When, What, How Much');
+    });
+
+    test('should fail when the header contradicts the payment method', () => {
+      expect(() => resolveBankFormat(APPLE_HEADER, 'Chase Sapphire'))
+        .toThrow('matches the apple format, but payment method "Chase Sapphire" uses the chase (Transaction Date, Description, Amount) format. Missing columns: Amount');
+    });
+
+    test('should pick the best match when no payment method is given', () => {
+      expect(resolveBankFormat(AMEX_HEADER)).toBe('amex');
+    });
+
+    test('should refuse to guess between equally good matches', () => {
+      const lookalikes = {
+        one: { transactionDate: 'Date', description: 'Description', amount: 'Amount', paymentMethods: ['One'] },
+        two: { transactionDate: 'Date', description: 'Description', amount: 'Amount', paymentMethods: ['Two'] },
+      };
+      expect(() => resolveBankFormat(['Date', 'Description', 'Amount'], null, lookalikes))
+        .toThrow('matches more than one bank format (one, two)');
+      expect(resolveBankFormat(['Date', 'Description', 'Amount'], 'Two', lookalikes)).toBe('two');
+    });
+  });
+
+  describe('parseCSV', () => {
+    let tempDir;
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'detect-test-'));
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const writeCSV = (name, header, rows) => {
+      const filePath = path.join(tempDir, name);
+      fs.writeFileSync(filePath, [header.join(','), ...rows].join('\n'));
+      return filePath;
+    };
+
+    test('should reject the wrong CSV before producing any rows', async () => {
+      const filePath = writeCSV('apple.csv', APPLE_HEADER, [
+        '01/15/2023,01/16/2023,NETFLIX.COM,Netflix,Other,Purchase,15.99,Alli',
+      ]);
+
+      await expect(parseCSV(filePath, 'Chase Freedom')).rejects.toThrow(`CSV file ${filePath} matches the apple format`);
+    });
+
+    test('should parse a matching CSV with a byte order mark', async () => {
+      const filePath = writeCSV('chase.csv', ['﻿Transaction Date', ...CHASE_HEADER.slice(1)], [
+        '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+      ]);
+
+      const transactions = await parseCSV(filePath, 'Chase Freedom');
+      expect(transactions).toHaveLength(1);
+      expect(transactions[0]).toMatchObject({ description: 'AMAZON.COM', amount: 50.99, date: '2023-01-15', type: 'charge' });
+    });
+  });
+});
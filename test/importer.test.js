@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TransactionImporter } = require('../src/library');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+const { loadLedger } = require('../src/ledger');
+const { EXIT_CODES } = require('../src/report');
+
+// No client should be made from an API key when one is passed in
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn(() => {
+    throw new Error('The importer made its own Notion client');
+  }),
+}));
+
+const CHASE_CSV = [
+  'Transaction Date,Description,Amount,Type',
+  '01/15/2023,AMAZON.COM,-50.99,Sale',
+  '01/16/2023,STARBUCKS,-4.95,Sale',
+  '01/17/2023,NETFLIX,-15.99,Sale',
+].join('\n');
+
+// A Notion client with an up-to-date database, no pages yet, and a create that fails for Netflix
+const createNotionClient = () => ({
+  databases: {
+    retrieve: jest.fn().mockResolvedValue({
+      properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+        [name, { type: Object.keys(definition)[0], ...definition }]
+      ))),
+    }),
+    update: jest.fn().mockResolvedValue({}),
+    query: jest.fn().mockResolvedValue({ results: [], has_more: false }),
+  },
+  pages: {
+    create: jest.fn(({ properties }) => (
+      properties['Expense'].title[0].text.content === 'Netflix'
+        ? Promise.reject(Object.assign(new Error('Invalid request'), { status: 400 }))
+        : Promise.resolve({ id: `page-${properties['Expense'].title[0].text.content}` })
+    )),
+  },
+});
+
+const createLogger = () => ({ log: jest.fn(), warn: jest.fn(), error: jest.fn() });
+
+describe('TransactionImporter', () => {
+  let tempDir;
+  let csvPath;
+  let notionClient;
+  let logger;
+  let importer;
+  const originalConsole = { log: console.log, warn: console.warn, error: console.error };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'importer-test-'));
+    csvPath = path.join(tempDir, 'chase-freedom.csv');
+    fs.writeFileSync(csvPath, CHASE_CSV);
+    console.log = jest.fn();
+    console.warn = jest.fn();
+    console.error = jest.fn();
+
+    notionClient = createNotionClient();
+    logger = createLogger();
+    importer = new TransactionImporter({
+      notionClient,
+      logger,
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+      whoAmI: 'Alli',
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(console, originalConsole);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should load no .env file or command-line parser when the package is required', () => {
+    const { main } = require('../package.json');
+    jest.isolateModules(() => {
+      jest.doMock('commander', () => {
+        throw new Error('The library loaded the command-line parser');
+      });
+      const config = jest.spyOn(require('dotenv'), 'config');
+
+      expect(typeof require(path.join('..', main)).TransactionImporter).toBe('function');
+      expect(config).not.toHaveBeenCalled();
+    });
+  });
+
+  test('should parse and transform a statement step by step', async () => {
+    const parsedRows = [];
+    importer.on('row:parsed', (transaction) => parsedRows.push(transaction.description));
+
+    const parsed = await importer.parse(csvPath, { paymentMethod: 'Chase Freedom' });
+    const transactions = await importer.transform(parsed, { paymentMethod: 'Chase Freedom' });
+
+    expect(parsedRows).toEqual(['AMAZON.COM', 'STARBUCKS', 'NETFLIX']);
+    expect(transactions[0]).toMatchObject({ description: 'Amazon.com', rawDescription: 'AMAZON.COM', amount: 50.99, type: 'charge' });
+    expect(logger.log).toHaveBeenCalledWith('Using chase field mappings for payment method: Chase Freedom');
+  });
+
+  test('should preview the rows it would upload without creating pages', async () => {
+    const result = await importer.preview({ csvFilePath: csvPath, paymentMethod: 'Chase Freedom' });
+
+    expect(result.exitCode).toBe(EXIT_CODES.SUCCESS);
+    expect(result.summary).toMatchObject({ dryRun: true, total: 3, pending: 3 });
+    expect(result.transactions.map((transaction) => transaction.rawDescription)).toEqual(['AMAZON.COM', 'STARBUCKS', 'NETFLIX']);
+    expect(result.results).toEqual([]);
+    expect(notionClient.pages.create).not.toHaveBeenCalled();
+  });
+
+  test('should upload through the injected client, emit events and return the outcome', async () => {
+    const events = [];
+    importer.on('row:uploaded', (result) => events.push(['row:uploaded', result.pageId]));
+    importer.on('row:failed', (result) => events.push(['row:failed', result.error]));
+    importer.on('run:complete', (summary) => events.push(['run:complete', summary.uploaded, summary.failed]));
+
+    const result = await importer.upload({ csvFilePath: csvPath, paymentMethod: 'Chase Freedom', concurrency: '1' });
+
+    expect(events).toEqual([
+      ['row:uploaded', 'page-Amazon.com'],
+      ['row:uploaded', 'page-Starbucks'],
+      ['row:failed', 'row 4 (Netflix, 2023-01-17): Invalid request'],
+      ['run:complete', 2, 1],
+    ]);
+    expect(result.exitCode).toBe(EXIT_CODES.PARTIAL_FAILURE);
+    expect(result.results.map((outcome) => outcome.status)).toEqual(['uploaded', 'uploaded', 'failed']);
+    expect(result.summary.retryFile).toBe(path.join(tempDir, 'chase-freedom.failed.json'));
+
+    const { runs } = await loadLedger(path.join(tempDir, 'ledger.json'));
+    expect(runs[0].id).toBe(result.summary.runId);
+
+    // Progress goes to the logger only
+    expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('✅ Uploaded: 💰 $50.99 | 📝 Amazon.com'));
+    expect(console.log).not.toHaveBeenCalled();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  test('should reject instead of exiting on a fatal problem', async () => {
+    await expect(importer.upload({ csvFilePath: path.join(tempDir, 'missing.csv'), paymentMethod: 'Chase Freedom' }))
+      .rejects.toThrow(`CSV file not found at path: ${path.join(tempDir, 'missing.csv')}`);
+    expect(process.exitCode).toBeUndefined();
+  });
+
+  test('should import several files with events for each', async () => {
+    fs.writeFileSync(path.join(tempDir, 'chase-sapphire.csv'), CHASE_CSV.split('\n').slice(0, 2).join('\n'));
+    const completed = [];
+    importer.on('run:complete', (summary) => completed.push(path.basename(summary.sourceFile)));
+
+    const result = await importer.importFiles([path.join(tempDir, '*.csv')], { dryRun: true });
+
+    expect(completed).toEqual(['chase-freedom.csv', 'chase-sapphire.csv']);
+    expect(result.summary).toMatchObject({ total: 4, pending: 4, failedFiles: 0 });
+    expect(result.transactions).toHaveLength(4);
+  });
+});
@@ -10,11 +10,19 @@ jest.mock('fs', () => {
   return {
     promises: {
       access: jest.fn(),
+      // No config file in the working directory
+      readFile: jest.fn(() => Promise.reject(Object.assign(new Error('ENOENT'), { code: 'ENOENT' }))),
     },
-    createReadStream: jest.fn(() => ({
-      pipe: jest.fn().mockReturnThis(),
-      on: jest.fn().mockReturnThis()
-    })),
+    // Simulate an empty CSV file: the parser ends without emitting any rows
+    createReadStream: jest.fn(() => {
+      const parser = {
+        on: jest.fn(function(event, callback) {
+          if (event === 'end') setImmediate(callback);
+          return this;
+        })
+      };
+      return { pipe: jest.fn(() => parser) };
+    }),
   };
 });
 
@@ -104,15 +112,6 @@ describe('Input Validation Tests', () => {
         dryRun: true
       };
       
-      // Mock parseCSV to return empty array
-      const mockParseCSV = jest.fn().mockResolvedValue([]);
-      jest.spyOn(global, 'Promise').mockImplementationOnce(() => ({
-        then: (callback) => {
-          callback([]);
-          return { catch: jest.fn() };
-        }
-      }));
-      
       // This should not throw an error related to API key
       await expect(validateAndUploadTransactions(options)).resolves.not.toThrow('Notion API key is required');
     });
@@ -147,14 +146,6 @@ describe('Input Validation Tests', () => {
         dryRun: true
       };
       
-      // Mock parseCSV to return empty array
-      jest.spyOn(global, 'Promise').mockImplementationOnce(() => ({
-        then: (callback) => {
-          callback([]);
-          return { catch: jest.fn() };
-        }
-      }));
-      
       // This should not throw an error related to database ID
       await expect(validateAndUploadTransactions(options)).resolves.not.toThrow('Notion database ID is required');
     });
@@ -194,14 +185,6 @@ describe('Input Validation Tests', () => {
       // Mock fs.access to succeed
       fs.promises.access.mockResolvedValue(undefined);
       
-      // Mock parseCSV to return empty array
-      jest.spyOn(global, 'Promise').mockImplementation(() => ({
-        then: (callback) => {
-          callback([]);
-          return { catch: jest.fn() };
-        }
-      }));
-      
       for (const user of ALLOWED_USERS) {
         const options = {
           csvFilePath: 'sample-transactions.csv',
@@ -232,14 +215,6 @@ describe('Input Validation Tests', () => {
         dryRun: true
       };
       
-      // Mock parseCSV to return empty array
-      jest.spyOn(global, 'Promise').mockImplementationOnce(() => ({
-        then: (callback) => {
-          callback([]);
-          return { catch: jest.fn() };
-        }
-      }));
-      
       // This should not throw an error related to WHO_AM_I
       await expect(validateAndUploadTransactions(options)).resolves.not.toThrow('WHO_AM_I is required');
     });
@@ -272,14 +247,6 @@ describe('Input Validation Tests', () => {
       // Mock fs.access to succeed
       fs.promises.access.mockResolvedValue(undefined);
       
-      // Mock parseCSV to return empty array
-      jest.spyOn(global, 'Promise').mockImplementation(() => ({
-        then: (callback) => {
-          callback([]);
-          return { catch: jest.fn() };
-        }
-      }));
-      
       for (const method of ALLOWED_PAYMENT_METHODS) {
         const options = {
           csvFilePath: 'sample-transactions.csv',
@@ -292,4 +259,18 @@ describe('Input Validation Tests', () => {
       }
     });
   });
+
+  describe('Concurrency Validation', () => {
+    test('should error when --concurrency is not a positive whole number', async () => {
+      process.env.NOTION_API_KEY = 'test-key-from-env';
+      process.env.NOTION_DATABASE_ID = 'test-db-from-env';
+      process.env.WHO_AM_I = 'Alli';
+
+      for (const concurrency of ['abc', '0', '-2', '1.5']) {
+        const options = { csvFilePath: 'sample-transactions.csv', paymentMethod: 'Amex Platinum', concurrency };
+        await expect(validateAndUploadTransactions(options))
+          .rejects.toThrow(`--concurrency must be a whole number of at least 1, not "${concurrency}"`);
+      }
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  getLedgerPath,
+  loadLedger,
+  recordRun,
+  createRunId,
+  hashFile,
+  findImported,
+  summarizeRun
+} = require('../src/ledger');
+const { partitionDuplicates, showImportHistory } = require('../src/utils');
+const { transactionFingerprint } = require('../src/duplicates');
+
+describe('Import Ledger', () => {
+  let tempDir;
+  let ledgerPath;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ledger-test-'));
+    ledgerPath = path.join(tempDir, 'nested', 'ledger.json');
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should resolve the ledger path from options before the env var', () => {
+    process.env.LEDGER_PATH = '/from/env.json';
+    expect(getLedgerPath({ ledgerPath: '/from/option.json' })).toBe('/from/option.json');
+    expect(getLedgerPath({})).toBe('/from/env.json');
+    delete process.env.LEDGER_PATH;
+  });
+
+  test('should treat a missing ledger file as empty', async () => {
+    await expect(loadLedger(ledgerPath)).resolves.toEqual({ version: 1, runs: [] });
+  });
+
+  test('should report a corrupt ledger file clearly', async () => {
+    fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+    fs.writeFileSync(ledgerPath, '{ not json');
+    await expect(loadLedger(ledgerPath)).rejects.toThrow('is not valid JSON');
+  });
+
+  test('should append runs and read them back', async () => {
+    await recordRun(ledgerPath, { id: 'run-1', rows: [] });
+    await recordRun(ledgerPath, { id: 'run-2', rows: [] });
+
+    const ledger = await loadLedger(ledgerPath);
+    expect(ledger.runs.map((run) => run.id)).toEqual(['run-1', 'run-2']);
+  });
+
+  test('should create sortable run IDs', () => {
+    const id = createRunId(new Date('2023-01-15T09:30:00Z'));
+    expect(id).toMatch(/^20230115-093000-[0-9a-f]{4}$/);
+  });
+
+  test('should hash the source file', async () => {
+    const filePath = path.join(tempDir, 'statement.csv');
+    fs.writeFileSync(filePath, 'Date,Description,Amount\n');
+    const expected = crypto.createHash('sha256').update('Date,Description,Amount\n').digest('hex');
+    await expect(hashFile(filePath)).resolves.toBe(expected);
+  });
+
+  test('should only count uploaded rows as imported', () => {
+    const ledger = {
+      runs: [
+        { databaseId: 'test-db', rows: [{ fingerprint: 'a', status: 'uploaded' }, { fingerprint: 'b', status: 'failed' }] },
+      ],
+    };
+
+    expect([...findImported(ledger, ['a', 'b', 'a'], 'test-db')]).toEqual([0]);
+    expect(summarizeRun(ledger.runs[0])).toEqual({ uploaded: 1, duplicate: 0, failed: 1 });
+  });
+
+  test('should skip ledger matches without querying Notion for them', async () => {
+    const transactions = [
+      { date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: 'Chase Freedom' },
+      { date: '2023-01-16', amount: 4.95, description: 'STARBUCKS', paymentMethod: 'Chase Freedom' },
+    ];
+    const fingerprint = transactionFingerprint({
+      date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: "Alli's Chase Freedom",
+    });
+    const notionClient = {
+      databases: { query: jest.fn().mockResolvedValue({ results: [], has_more: false }) },
+    };
+
+    const { newTransactions, duplicates } = await partitionDuplicates(
+      notionClient,
+      'test-db',
+      transactions,
+      'Alli',
+      { runs: [{ databaseId: 'test-db', rows: [{ fingerprint, status: 'uploaded' }] }] }
+    );
+
+    expect(duplicates).toEqual([transactions[0]]);
+    expect(newTransactions).toEqual([transactions[1]]);
+    expect(notionClient.databases.query.mock.calls[0][0].filter.and[1]).toEqual({
+      property: 'Date', date: { on_or_after: '2023-01-16' },
+    });
+  });
+
+  test('should only trust ledger rows imported into the same database', async () => {
+    const transactions = [{ date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: 'Chase Freedom' }];
+    const fingerprint = transactionFingerprint({
+      date: '2023-01-15', amount: 50.99, description: 'AMAZON.COM', paymentMethod: "Alli's Chase Freedom",
+    });
+    const notionClient = {
+      databases: { query: jest.fn().mockResolvedValue({ results: [], has_more: false }) },
+    };
+    const ledger = {
+      runs: [
+        { databaseId: 'db1', rows: [{ fingerprint, status: 'uploaded' }] },
+        // Recorded before runs kept their database
+        { rows: [{ fingerprint, status: 'uploaded' }] },
+      ],
+    };
+
+    const { newTransactions } = await partitionDuplicates(notionClient, 'db2', transactions, 'Alli', ledger);
+
+    expect(newTransactions).toEqual(transactions);
+    expect(notionClient.databases.query.mock.calls[0][0].database_id).toBe('db2');
+  });
+
+  test('should list runs most recent first', async () => {
+    const run = (id) => ({
+      id,
+      startedAt: '2023-01-15T09:30:00.000Z',
+      user: 'Alli',
+      paymentMethod: 'Amex Platinum',
+      sourceFile: '/tmp/amex.csv',
+      sourceFileHash: 'abcdef0123456789',
+      rows: [],
+    });
+    await recordRun(ledgerPath, run('run-1'));
+    await recordRun(ledgerPath, run('run-2'));
+
+    const runs = await showImportHistory({ ledgerPath, limit: '1' });
+    expect(runs.map((r) => r.id)).toEqual(['run-2']);
+  });
+
+  test('should reject a --limit that is not a positive whole number', async () => {
+    await recordRun(ledgerPath, { id: 'run-1', rows: [] });
+
+    await expect(showImportHistory({ ledgerPath, limit: 'abc' }))
+      .rejects.toThrow('--limit must be a whole number of at least 1, not "abc"');
+    await expect(showImportHistory({ ledgerPath, limit: '0' })).rejects.toThrow('--limit must be');
+  });
+});
@@ -0,0 +1,81 @@
+const { cleanDescription, compileMerchantAliases, normalizeMerchant, normalizeMerchants, validateMerchantAliases } = require('../src/merchants');
+const { duplicateKey, pageToFields } = require('../src/duplicates');
+const { toNotionFields, buildPageProperties } = require('../src/utils');
+
+describe('Merchant Normalization', () => {
+  describe('cleanDescription', () => {
+    test('should strip processor prefixes, store numbers and locations', () => {
+      expect(cleanDescription('SQ *BLUE BOTTLE COF 0123 SAN FRANCISCO CA')).toBe('Blue Bottle Cof');
+      expect(cleanDescription('TST* JOES PIZZA')).toBe('Joes Pizza');
+      expect(cleanDescription('STARBUCKS STORE #12345 SEATTLE WA')).toBe('Starbucks Store');
+      expect(cleanDescription('PAYPAL *SPOTIFY 4029357733')).toBe('Spotify');
+    });
+
+    test('should strip reference codes, phone numbers and web addresses', () => {
+      expect(cleanDescription('AMZN Mktp US*2K4LL')).toBe('AMZN Mktp US');
+      expect(cleanDescription('NETFLIX.COM 866-579-7172 CA')).toBe('Netflix.com');
+      expect(cleanDescription('UBER *TRIP HELP.UBER.COM')).toBe('Uber *Trip');
+    });
+
+    test('should use the padding of fixed-width exports to drop the city', () => {
+      expect(cleanDescription('WHOLE FOODS MARKET    AUSTIN       TX')).toBe('Whole Foods Market');
+    });
+
+    test('should keep descriptions that are already clean', () => {
+      expect(cleanDescription('Apple Music')).toBe('Apple Music');
+      expect(cleanDescription('#1234')).toBe('#1234');
+    });
+  });
+
+  describe('merchant aliases', () => {
+    const aliases = compileMerchantAliases({
+      'Amazon': ['^amzn', 'amazon\\.com'],
+      'Blue Bottle Coffee': ['^blue bottle'],
+    });
+
+    test('should map variants to one canonical name', () => {
+      expect(normalizeMerchant('AMZN Mktp US*2K4LL', aliases)).toBe('Amazon');
+      expect(normalizeMerchant('AMAZON.COM', aliases)).toBe('Amazon');
+      expect(normalizeMerchant('SQ *BLUE BOTTLE COF 0123 SAN FRANCISCO CA', aliases)).toBe('Blue Bottle Coffee');
+      expect(normalizeMerchant('TST* JOES PIZZA', aliases)).toBe('Joes Pizza');
+    });
+
+    test('should report invalid alias tables', () => {
+      expect(validateMerchantAliases({ Amazon: ['^amzn'] })).toEqual([]);
+      expect(validateMerchantAliases({ Amazon: 'amzn', Target: ['(t'] })).toEqual([
+        'merchantAliases["Amazon"] must be a list of regular expressions',
+        expect.stringContaining('merchantAliases["Target"] has an invalid regular expression "(t"'),
+      ]);
+    });
+
+    test('should keep the raw description and be safe to run twice', () => {
+      const once = normalizeMerchants([{ description: 'AMZN Mktp US*2K4LL', amount: 12 }], aliases);
+      const twice = normalizeMerchants(once, aliases);
+
+      expect(once).toEqual([{ description: 'Amazon', rawDescription: 'AMZN Mktp US*2K4LL', amount: 12 }]);
+      expect(twice).toEqual(once);
+    });
+  });
+
+  describe('Notion pages', () => {
+    const [transaction] = normalizeMerchants([
+      { date: '2023-01-15', description: 'TST* JOES PIZZA', amount: 18.5, paymentMethod: 'Apple Card' },
+    ]);
+    const fields = toNotionFields(transaction, 'Alli');
+
+    test('should write the merchant as the title and keep the raw description', () => {
+      const properties = buildPageProperties(fields);
+
+      expect(properties['Expense'].title[0].text.content).toBe('Joes Pizza');
+      expect(properties['Raw Description'].rich_text[0].text.content).toBe('TST* JOES PIZZA');
+    });
+
+    test('should match pages by raw description, including pages uploaded before normalization', () => {
+      const normalizedPage = { properties: buildPageProperties(fields) };
+      const legacyPage = { properties: buildPageProperties({ ...fields, description: 'TST* JOES PIZZA', rawDescription: undefined }) };
+
+      expect(duplicateKey(pageToFields(normalizedPage))).toBe(duplicateKey(fields));
+      expect(duplicateKey(pageToFields(legacyPage))).toBe(duplicateKey(fields));
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { buildPageProperties, validateNotionProperties, DEFAULT_NOTION_PROPERTIES } = require('../src/notion-properties');
+const { findDuplicates } = require('../src/duplicates');
+const { toNotionFields } = require('../src/utils');
+
+// A differently shaped database
+const HOUSEHOLD_PROPERTIES = {
+  'Name': { type: 'title', template: '{description} ({card})' },
+  'When': { type: 'date', field: 'date' },
+  'Cost': { type: 'number', field: 'amount' },
+  'Card': { type: 'select', template: '{user} - {card}' },
+  'Bank Category': { type: 'rich_text', field: 'extra.category' },
+  'Labels': { type: 'multi_select', field: 'tags' },
+  'Reviewed': { type: 'checkbox', value: false },
+};
+
+const transaction = {
+  date: '2023-01-15',
+  description: 'Trader Joes',
+  rawDescription: 'TRADER JOE S #552',
+  amount: 42.1,
+  paymentMethod: 'Apple Card',
+  extra: { category: 'Groceries' },
+  tags: ['Food'],
+};
+
+// A page as the Notion API returns it, built from a create payload
+const toPage = (properties) => ({
+  properties: Object.fromEntries(Object.entries(properties).map(([name, value]) => (
+    [name, { type: Object.keys(value)[0], ...value }]
+  ))),
+});
+
+describe('Notion Property Mapping', () => {
+  describe('buildPageProperties', () => {
+    test('should keep the original layout by default', () => {
+      const properties = buildPageProperties(toNotionFields(transaction, 'Alli'));
+
+      expect(Object.keys(properties)).toEqual(['Expense', 'Date', 'Total Amount', 'Status', 'Payment Method', 'Raw Description', 'Tags']);
+      expect(properties['Expense']).toEqual({ title: [{ text: { content: 'Trader Joes' } }] });
+      expect(properties['Status']).toEqual({ select: { name: 'Requires Audit' } });
+      expect(properties['Payment Method']).toEqual({ select: { name: "Alli's Apple Card" } });
+    });
+
+    test('should fill a custom layout from fields, constants and templates', () => {
+      const properties = buildPageProperties(toNotionFields(transaction, 'Justin'), HOUSEHOLD_PROPERTIES);
+
+      expect(properties).toEqual({
+        'Name': { title: [{ text: { content: 'Trader Joes (Apple Card)' } }] },
+        'When': { date: { start: '2023-01-15' } },
+        'Cost': { number: 42.1 },
+        'Card': { select: { name: 'Justin - Apple Card' } },
+        'Bank Category': { rich_text: [{ text: { content: 'Groceries' } }] },
+        'Labels': { multi_select: [{ name: 'Food' }] },
+        'Reviewed': { checkbox: false },
+      });
+    });
+
+    test('should leave out properties with nothing to write', () => {
+      const properties = buildPageProperties(toNotionFields({ ...transaction, extra: {}, tags: [] }, 'Justin'), HOUSEHOLD_PROPERTIES);
+
+      expect(properties).not.toHaveProperty('Bank Category');
+      expect(properties).not.toHaveProperty('Labels');
+    });
+  });
+
+  describe('validateNotionProperties', () => {
+    test('should accept the default and a custom layout', () => {
+      expect(validateNotionProperties(DEFAULT_NOTION_PROPERTIES)).toEqual([]);
+      expect(validateNotionProperties(HOUSEHOLD_PROPERTIES)).toEqual([]);
+    });
+
+    test('should list every problem', () => {
+      expect(validateNotionProperties({
+        'Name': { type: 'text', field: 'description' },
+        'Amount': { type: 'number', field: 'amount', value: 1 },
+        'Card': { type: 'select', template: '{owner} {card}' },
+        'Memo': { type: 'rich_text', field: 'notes' },
+      })).toEqual([
+        'notionProperties["Name"].type must be one of: title, rich_text, number, select, multi_select, date, checkbox',
+        'notionProperties["Amount"] must set exactly one of: field, value, template',
+        'notionProperties["Card"].template uses unknown field {owner}',
+        'notionProperties["Memo"].field must be one of: date, description, rawDescription, amount, paymentMethod, user, card, category, tags, type, fitid, originalAmount, currency, convertedAmount, rawAmount, rawDate, extra.<column name> or shares.<user>',
+        'notionProperties must have exactly one property of type title',
+        'notionProperties must have a date property filled from the date field',
+      ]);
+    });
+  });
+
+  describe('duplicate detection with a custom layout', () => {
+    test('should query and compare the mapped properties', async () => {
+      const fields = toNotionFields(transaction, 'Justin');
+      const notionClient = {
+        databases: {
+          query: jest.fn().mockResolvedValue({
+            results: [toPage(buildPageProperties(fields, HOUSEHOLD_PROPERTIES))],
+            has_more: false,
+          }),
+        },
+      };
+
+      const duplicates = await findDuplicates(notionClient, 'test-db', [fields], HOUSEHOLD_PROPERTIES);
+
+      expect([...duplicates]).toEqual([0]);
+      expect(notionClient.databases.query.mock.calls[0][0].filter.and).toEqual([
+        { property: 'Card', select: { equals: 'Justin - Apple Card' } },
+        { property: 'When', date: { on_or_after: '2023-01-15' } },
+        { property: 'When', date: { on_or_before: '2023-01-15' } },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+const { checkDatabase, buildDatabaseProperties, validateDatabaseSchema, getRequiredProperties } = require('../src/notion-schema');
+
+const mockDatabasesCreate = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: { create: mockDatabasesCreate },
+  })),
+}));
+
+const { initDatabase } = require('../src/utils');
+
+// A database as databases.retrieve returns it
+const makeDatabase = (definitions = buildDatabaseProperties()) => ({
+  properties: Object.fromEntries(Object.entries(definitions).map(([name, definition]) => (
+    [name, { id: name, type: Object.keys(definition)[0], ...definition }]
+  ))),
+});
+
+const FIELDS = { date: '2023-01-15', description: 'Amazon', amount: 50.99, paymentMethod: "Alli's Chase Freedom" };
+
+describe('Notion Database Schema', () => {
+  let notionClient;
+
+  beforeEach(() => {
+    notionClient = {
+      databases: {
+        retrieve: jest.fn().mockResolvedValue(makeDatabase()),
+        update: jest.fn().mockResolvedValue({}),
+      },
+    };
+  });
+
+  describe('validateDatabaseSchema', () => {
+    test('should accept a database created by init-database', () => {
+      expect(validateDatabaseSchema(makeDatabase())).toEqual([]);
+    });
+
+    test('should report missing and mistyped properties', () => {
+      const { ['Total Amount']: removed, ...definitions } = buildDatabaseProperties();
+      const database = makeDatabase({ ...definitions, 'Date': { rich_text: {} } });
+
+      expect(validateDatabaseSchema(database)).toEqual([
+        'Property "Date" is of type rich_text, expected date',
+        'Missing property "Total Amount" of type number',
+      ]);
+    });
+
+    test('should point at a renamed title property', () => {
+      const { Expense, ...definitions } = buildDatabaseProperties();
+      const database = makeDatabase({ Name: Expense, ...definitions });
+
+      expect(validateDatabaseSchema(database)).toEqual([
+        'Missing property "Expense" of type title (the database\'s title property is "Name"; rename it to "Expense")',
+      ]);
+    });
+  });
+
+  describe('getRequiredProperties', () => {
+    test('should only require optional properties the rows use', () => {
+      const names = (fieldsList) => getRequiredProperties(fieldsList).map((property) => property.name);
+
+      expect(names([FIELDS])).toEqual(['Expense', 'Date', 'Total Amount', 'Status', 'Payment Method']);
+      expect(names([{ ...FIELDS, rawDescription: 'AMAZON.COM', category: 'Shopping' }])).toEqual([
+        'Expense', 'Date', 'Total Amount', 'Status', 'Payment Method', 'Raw Description', 'Category',
+      ]);
+    });
+  });
+
+  describe('checkDatabase', () => {
+    test('should fail with every problem before anything is uploaded', async () => {
+      const { Status, ['Payment Method']: paymentMethod, ...definitions } = buildDatabaseProperties();
+      notionClient.databases.retrieve.mockResolvedValue(makeDatabase(definitions));
+
+      const error = await checkDatabase(notionClient, 'test-db', [FIELDS]).catch((e) => e);
+
+      expect(error.message).toContain('Notion database test-db does not have the expected properties');
+      expect(error.message).toContain('Missing property "Status" of type select');
+      expect(error.message).toContain('Missing property "Payment Method" of type select');
+    });
+
+    test('should explain a database the integration cannot see', async () => {
+      notionClient.databases.retrieve.mockRejectedValue(Object.assign(new Error('Could not find database'), { code: 'object_not_found' }));
+
+      await expect(checkDatabase(notionClient, 'test-db', [FIELDS])).rejects.toThrow('share the database with your integration');
+    });
+
+    test('should add missing select options and keep the existing ones', async () => {
+      const definitions = buildDatabaseProperties(undefined, [{ paymentMethod: "Justin's Apple Card" }]);
+      definitions['Payment Method'].select.options[0].id = 'opt-1';
+      notionClient.databases.retrieve.mockResolvedValue(makeDatabase(definitions));
+
+      const added = await checkDatabase(notionClient, 'test-db', [{ ...FIELDS, category: 'Shopping', tags: ['Online'] }]);
+
+      expect(added).toEqual({ 'Payment Method': ["Alli's Chase Freedom"], 'Category': ['Shopping'], 'Tags': ['Online'] });
+      expect(notionClient.databases.update).toHaveBeenCalledTimes(1);
+      const { properties } = notionClient.databases.update.mock.calls[0][0];
+      expect(properties['Payment Method'].select.options).toEqual([
+        { id: 'opt-1', name: "Justin's Apple Card", color: undefined },
+        { name: "Alli's Chase Freedom" },
+      ]);
+      expect(properties['Tags'].multi_select.options).toEqual([{ name: 'Online' }]);
+    });
+
+    test('should not change the database in a dry run', async () => {
+      const added = await checkDatabase(notionClient, 'test-db', [FIELDS], { dryRun: true });
+
+      expect(added).toEqual({ 'Payment Method': ["Alli's Chase Freedom"] });
+      expect(notionClient.databases.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('initDatabase', () => {
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      console.log = jest.fn();
+      mockDatabasesCreate.mockReset().mockResolvedValue({ id: 'new-db' });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+    });
+
+    test('should require a parent page', async () => {
+      await expect(initDatabase({ notionApiKey: 'key' })).rejects.toThrow('Parent page ID is required');
+    });
+
+    test('should create a database that passes the schema check', async () => {
+      await initDatabase({ notionApiKey: 'key', parentPageId: 'parent-page', title: 'Expenses' });
+
+      const request = mockDatabasesCreate.mock.calls[0][0];
+      expect(request.parent).toEqual({ type: 'page_id', page_id: 'parent-page' });
+      expect(request.title[0].text.content).toBe('Expenses');
+      expect(validateDatabaseSchema(makeDatabase(request.properties))).toEqual([]);
+      expect(request.properties['Status'].select.options).toEqual([{ name: 'Requires Audit' }]);
+      expect(request.properties['Payment Method'].select.options).toContainEqual({ name: "Alli's Amex Platinum" });
+    });
+  });
+});
@@ -0,0 +1,192 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOfxContents, detectStatementFormat } = require('../src/ofx');
+const { transactionFingerprint, pageToFields } = require('../src/duplicates');
+const { buildPageProperties } = require('../src/notion-properties');
+const { parseStatement, toNotionFields, partitionDuplicates } = require('../src/utils');
+
+// OFX 1.x: SGML with unclosed leaf elements
+const SGML_STATEMENT = `OFXHEADER:100
+DATA:OFXSGML
+VERSION:102
+ENCODING:USASCII
+CHARSET:1252
+
+<OFX>
+<CREDITCARDMSGSRSV1>
+<CCSTMTTRNRS>
+<CCSTMTRS>
+<CURDEF>USD
+<CCACCTFROM>
+<ACCTID>4111111111111111
+</CCACCTFROM>
+<BANKTRANLIST>
+<DTSTART>20230101
+<DTEND>20230131
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20230116120000.000[-5:EST]
+<DTUSER>20230115
+<TRNAMT>-50.99
+<FITID>2023011524692163
+<NAME>AMAZON.COM
+<MEMO>AMZN Mktp US
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20230117
+<TRNAMT>20.00
+<FITID>2023011724692164
+<NAME>TARGET &amp; CO
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>PAYMENT
+<DTPOSTED>20230120
+<TRNAMT>500.00
+<FITID>2023012024692165
+<NAME>PAYMENT RECEIVED
+</STMTTRN>
+</BANKTRANLIST>
+</CCSTMTRS>
+</CCSTMTTRNRS>
+</CREDITCARDMSGSRSV1>
+</OFX>
+`;
+
+// OFX 2.x: XML with closed leaf elements
+const XML_STATEMENT = `<?xml version="1.0" encoding="UTF-8"?>
+<?OFX OFXHEADER="200" VERSION="220" SECURITY="NONE"?>
+<OFX>
+  <BANKMSGSRSV1><STMTTRNRS><STMTRS>
+    <CURDEF>USD</CURDEF>
+    <BANKACCTFROM><BANKID>121000248</BANKID><ACCTID>000123</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>
+    <BANKTRANLIST>
+      <STMTTRN>
+        <TRNTYPE>FEE</TRNTYPE>
+        <DTPOSTED>20230131</DTPOSTED>
+        <TRNAMT>-12.00</TRNAMT>
+        <FITID>FEE-0131</FITID>
+        <NAME>MONTHLY SERVICE FEE</NAME>
+      </STMTTRN>
+    </BANKTRANLIST>
+  </STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>
+`;
+
+describe('OFX/QFX Import', () => {
+  let tempDir;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ofx-test-'));
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeFile = (name, contents) => {
+    const filePath = path.join(tempDir, name);
+    fs.writeFileSync(filePath, contents);
+    return filePath;
+  };
+
+  describe('parseOfxContents', () => {
+    test('should read SGML statements with unclosed elements', () => {
+      const [statement] = parseOfxContents(SGML_STATEMENT);
+
+      expect(statement.account).toEqual({ ACCTID: '4111111111111111', ACCTTYPE: 'CREDITCARD' });
+      expect(statement.currency).toBe('USD');
+      expect(statement.transactions).toHaveLength(3);
+      expect(statement.transactions[0]).toMatchObject({ TRNTYPE: 'DEBIT', TRNAMT: '-50.99', FITID: '2023011524692163' });
+      expect(statement.transactions[1].NAME).toBe('TARGET & CO');
+    });
+
+    test('should read XML statements', () => {
+      const [statement] = parseOfxContents(XML_STATEMENT);
+
+      expect(statement.account).toEqual({ BANKID: '121000248', ACCTID: '000123', ACCTTYPE: 'CHECKING' });
+      expect(statement.transactions).toEqual([
+        { TRNTYPE: 'FEE', DTPOSTED: '20230131', TRNAMT: '-12.00', FITID: 'FEE-0131', NAME: 'MONTHLY SERVICE FEE' },
+      ]);
+    });
+  });
+
+  describe('detectStatementFormat', () => {
+    test('should go by the extension, then by the contents', async () => {
+      expect(await detectStatementFormat(writeFile('statement.qfx', SGML_STATEMENT))).toBe('ofx');
+      expect(await detectStatementFormat(writeFile('statement.csv', 'Date,Description,Amount\n'))).toBe('csv');
+      expect(await detectStatementFormat(writeFile('download.txt', XML_STATEMENT))).toBe('ofx');
+      expect(await detectStatementFormat(writeFile('download.txt', 'Date,Description,Amount\n'))).toBe('csv');
+    });
+  });
+
+  describe('parseStatement', () => {
+    test('should normalize OFX transactions like CSV rows', async () => {
+      const transactions = await parseStatement(writeFile('statement.ofx', SGML_STATEMENT), 'Chase Sapphire');
+
+      expect(transactions).toHaveLength(3);
+      expect(transactions[0]).toMatchObject({
+        description: 'AMAZON.COM',
+        amount: 50.99,
+        date: '2023-01-15',
+        type: 'charge',
+        fitid: '2023011524692163',
+        paymentMethod: 'Chase Sapphire',
+        rowNumber: 1,
+        extra: { memo: 'AMZN Mktp US' },
+        account: { accountId: '4111111111111111', accountType: 'CREDITCARD' },
+        originalData: expect.objectContaining({ DTPOSTED: '20230116120000.000[-5:EST]' }),
+      });
+      expect(transactions.map(({ amount, date, type }) => ({ amount, date, type }))).toEqual([
+        { amount: 50.99, date: '2023-01-15', type: 'charge' },
+        { amount: -20, date: '2023-01-17', type: 'refund' },
+        { amount: -500, date: '2023-01-20', type: 'payment' },
+      ]);
+    });
+
+    test('should classify OFX fees from the transaction type', async () => {
+      const [fee] = await parseStatement(writeFile('statement.ofx', XML_STATEMENT), 'Chase Sapphire');
+      expect(fee).toMatchObject({ amount: 12, type: 'fee', date: '2023-01-31' });
+    });
+  });
+
+  describe('FITID identity', () => {
+    test('should identify a row by its FITID rather than its contents', () => {
+      const base = { date: '2023-01-15', description: 'AMAZON.COM', amount: 50.99, paymentMethod: 'Chase Sapphire' };
+      const first = toNotionFields({ ...base, fitid: 'A1' }, 'Alli');
+      const renamed = toNotionFields({ ...base, description: 'AMAZON MKTPLACE', fitid: 'A1' }, 'Alli');
+      const other = toNotionFields({ ...base, fitid: 'A2' }, 'Alli');
+
+      expect(transactionFingerprint(renamed)).toBe(transactionFingerprint(first));
+      expect(transactionFingerprint(other)).not.toBe(transactionFingerprint(first));
+    });
+
+    test('should write the FITID to its property and read it back from the page', () => {
+      const fields = toNotionFields({ date: '2023-01-15', description: 'AMAZON.COM', amount: 50.99, paymentMethod: 'Chase Sapphire', fitid: 'A1' }, 'Alli');
+      const page = { properties: { 'Date': { date: { start: '2023-01-15' } }, 'FITID': { rich_text: [{ plain_text: 'A1' }] } } };
+
+      expect(buildPageProperties(fields)['FITID']).toEqual({ rich_text: [{ text: { content: 'A1' } }] });
+      expect(pageToFields(page)).toMatchObject({ date: '2023-01-15', fitid: 'A1' });
+    });
+
+    test('should skip rows whose FITID the ledger has already imported', async () => {
+      const notionClient = { databases: { query: jest.fn().mockResolvedValue({ results: [], has_more: false }) } };
+      const transactions = await parseStatement(writeFile('statement.ofx', SGML_STATEMENT), 'Chase Sapphire');
+      const ledger = {
+        runs: [{
+          databaseId: 'test-db',
+          rows: [{ fingerprint: transactionFingerprint(toNotionFields(transactions[0], 'Alli')), status: 'uploaded' }],
+        }],
+      };
+
+      const { newTransactions, duplicates } = await partitionDuplicates(notionClient, 'test-db', transactions, 'Alli', ledger);
+
+      expect(duplicates).toEqual([transactions[0]]);
+      expect(newTransactions).toEqual(transactions.slice(1));
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateConfig, loadConfig } = require('../src/config');
+const { findBankForPaymentMethod } = require('../src/bank-formats');
+const { resolveCardholder, applyCardProfile } = require('../src/profiles');
+const { toNotionFields, listCards, testRules } = require('../src/utils');
+
+const HOUSEHOLD = {
+  users: ['Alli', 'Justin', 'Sam'],
+  bankFormats: {
+    capitalone: { transactionDate: 'Transaction Date', description: 'Description', amount: 'Debit', dateFormat: 'YYYY-MM-DD' },
+  },
+  cards: {
+    'Apple Card': { owner: 'Alli', bankFormat: 'apple', label: 'Alli (Apple)' },
+    'Chase Sapphire': { bankFormat: 'chase', defaultCategory: 'Travel' },
+    'Venture': { owner: 'Sam', bankFormat: 'capitalone' },
+  },
+};
+
+describe('Users and Cards', () => {
+  let tempDir;
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profiles-test-'));
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const writeConfig = (config) => {
+    const configPath = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return configPath;
+  };
+
+  describe('config', () => {
+    test('should list every problem with users and cards', () => {
+      expect(validateConfig({
+        users: ['Alli', 'Alli'],
+        cards: {
+          'Apple Card': { owner: 'Sam', bankFormat: 'discover', label: '' },
+          'Chase Freedom': { bankFormat: 'chase', defaultCategory: 7 },
+        },
+      })).toEqual([
+        'users lists "Alli" more than once',
+        'cards["Apple Card"].owner must be one of the users: Alli, Alli',
+        'cards["Apple Card"].bankFormat must be one of: chase, amex, apple, ofx',
+        'cards["Apple Card"].label must be the Payment Method option to use, e.g. "Alli\'s Apple Card"',
+        'cards["Chase Freedom"].defaultCategory must be the name of a Category option',
+      ]);
+    });
+
+    test('should share the built-in payment methods between the built-in users by default', async () => {
+      const { profile } = await loadConfig({ config: writeConfig({}) });
+
+      expect(profile.users).toEqual(['Alli', 'Justin']);
+      expect(profile.cards['Chase Freedom']).toEqual({
+        name: 'Chase Freedom', owner: null, bankFormat: 'chase', label: null, defaultCategory: null,
+      });
+    });
+
+    test('should only know the configured cards and move them to their bank format', async () => {
+      const config = await loadConfig({ config: writeConfig(HOUSEHOLD) });
+
+      expect(Object.keys(config.profile.cards)).toEqual(['Apple Card', 'Chase Sapphire', 'Venture']);
+      expect(findBankForPaymentMethod('Venture', config.bankMappings)).toBe('capitalone');
+      expect(findBankForPaymentMethod('Chase Freedom', config.bankMappings)).toBeNull();
+    });
+  });
+
+  describe('resolveCardholder', () => {
+    let profile;
+
+    beforeEach(async () => {
+      ({ profile } = await loadConfig({ config: writeConfig(HOUSEHOLD) }));
+    });
+
+    test('should default the user to the card owner, over WHO_AM_I', () => {
+      expect(resolveCardholder(profile, 'Venture', undefined, { defaultUser: 'Justin' }).user).toBe('Sam');
+    });
+
+    test('should require a user for a shared card', () => {
+      expect(() => resolveCardholder(profile, 'Chase Sapphire')).toThrow('WHO_AM_I is required');
+      expect(resolveCardholder(profile, 'Chase Sapphire', undefined, { defaultUser: 'Justin' }).user).toBe('Justin');
+      expect(resolveCardholder(profile, 'Chase Sapphire', undefined, { requireUser: false }).user).toBeNull();
+    });
+
+    test('should reject unknown cards and users, and someone else\'s card', () => {
+      expect(() => resolveCardholder(profile, 'Chase Freedom', 'Alli'))
+        .toThrow('--payment-method must be one of: Apple Card, Chase Sapphire, Venture');
+      expect(() => resolveCardholder(profile, 'Chase Sapphire', 'Pat')).toThrow('--who-am-i must be one of: Alli, Justin, Sam');
+      expect(() => resolveCardholder(profile, 'Apple Card', 'Justin')).toThrow('Apple Card belongs to Alli');
+    });
+  });
+
+  describe('applyCardProfile', () => {
+    test('should label rows and fill in the default category', async () => {
+      const { profile } = await loadConfig({ config: writeConfig(HOUSEHOLD) });
+      const transactions = [
+        { description: 'Delta', amount: 300, paymentMethod: 'Chase Sapphire' },
+        { description: 'Uber', amount: 20, paymentMethod: 'Chase Sapphire', category: 'Transport' },
+      ];
+
+      const labelled = applyCardProfile(transactions, profile.cards['Chase Sapphire'], 'Justin');
+
+      expect(labelled.map((transaction) => transaction.category)).toEqual(['Travel', 'Transport']);
+      expect(toNotionFields(labelled[0], 'Justin').paymentMethod).toBe("Justin's Chase Sapphire");
+      expect(toNotionFields(applyCardProfile(transactions, profile.cards['Apple Card'], 'Alli')[0], 'Alli').paymentMethod)
+        .toBe('Alli (Apple)');
+    });
+  });
+
+  describe('listCards', () => {
+    test('should show each card with its owner, format and label', async () => {
+      await listCards({ config: writeConfig(HOUSEHOLD) });
+
+      const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+      expect(output).toContain('👥 Users: Alli, Justin, Sam');
+      expect(output).toContain('💳 Apple Card | 👤 Alli | 🏦 apple | 📋 Alli (Apple)');
+      expect(output).toContain("💳 Chase Sapphire | 👥 Shared | 🏦 chase | 📋 <user>'s Chase Sapphire | 🏷️  Travel");
+    });
+  });
+
+  describe('testRules', () => {
+    test('should infer the user from the card owner', async () => {
+      const csvPath = path.join(tempDir, 'venture.csv');
+      fs.writeFileSync(csvPath, 'Transaction Date,Description,Debit\n2023-01-15,SAFEWAY #123,40.00\n');
+      const configPath = writeConfig({
+        ...HOUSEHOLD,
+        rules: [{ match: { description: 'safeway', user: 'Sam' }, category: 'Groceries' }],
+      });
+
+      const [transaction] = await testRules(csvPath, { paymentMethod: 'Venture', config: configPath });
+
+      expect(transaction.category).toBe('Groceries');
+      expect(transaction.paymentMethodLabel).toBe("Sam's Venture");
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLedger } = require('../src/ledger');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseQuery = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: mockDatabaseQuery,
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+const { reconcileRows, isReconciled, shiftDate, reconcileStatement, printReconciliation } = require('../src/reconcile');
+const { main } = require('../src/index');
+
+const AMEX_CSV = [
+  'Date,Description,Amount',
+  '01/15/2023,AMAZON.COM,50.99',
+  '01/16/2023,STARBUCKS,4.95',
+  '01/18/2023,SHELL OIL,30.00',
+  '01/20/2023,WHOLE FOODS,82.10',
+].join('\n');
+
+// A page as the Notion API returns it
+const page = (id, date, rawDescription, amount, paymentMethod = "Alli's Amex Platinum") => ({
+  id,
+  properties: {
+    'Expense': { type: 'title', title: [{ plain_text: rawDescription }] },
+    'Date': { type: 'date', date: { start: date } },
+    'Total Amount': { type: 'number', number: amount },
+    'Payment Method': { type: 'select', select: { name: paymentMethod } },
+    'Raw Description': { type: 'rich_text', rich_text: [{ plain_text: rawDescription }] },
+  },
+});
+
+describe('Reconcile', () => {
+  describe('reconcileRows', () => {
+    const key = (date, description, amount) => ({ date, description, amount, paymentMethod: "Alli's Amex Platinum" });
+
+    test('should pair exact matches, then same descriptions with a different amount or date', () => {
+      const result = reconcileRows(
+        [key('2023-01-15', 'AMAZON', 50.99), key('2023-01-16', 'STARBUCKS', 4.95), key('2023-01-18', 'SHELL', 30), key('2023-01-20', 'UBER', 12)],
+        [key('2023-01-17', 'STARBUCKS', 4.95), key('2023-01-15', 'AMAZON', 50.99), key('2023-01-18', 'SHELL', 35), key('2023-01-19', 'NETFLIX', 15.99)]
+      );
+
+      expect(result.matched).toEqual([{ row: 0, page: 1 }]);
+      expect(result.changed).toEqual([
+        { row: 1, page: 0, differences: [{ field: 'date', statement: '2023-01-16', notion: '2023-01-17' }] },
+        { row: 2, page: 2, differences: [{ field: 'amount', statement: 30, notion: 35 }] },
+      ]);
+      expect(result.missing).toEqual([3]);
+      expect(result.extra).toEqual([3]);
+    });
+
+    test('should treat dates further apart than the tolerance as different transactions', () => {
+      const result = reconcileRows([key('2023-01-01', 'RENT', 2000)], [key('2023-01-31', 'RENT', 2000)]);
+
+      expect(result.missing).toEqual([0]);
+      expect(result.extra).toEqual([0]);
+    });
+
+    test('should move dates across month ends', () => {
+      expect(shiftDate('2023-01-30', 3)).toBe('2023-02-02');
+      expect(shiftDate('2023-03-01', -1)).toBe('2023-02-28');
+    });
+  });
+
+  describe('reconcileStatement', () => {
+    let tempDir;
+    let csvPath;
+    const originalConsoleLog = console.log;
+    const originalConsoleError = console.error;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'reconcile-test-'));
+      csvPath = path.join(tempDir, 'amex.csv');
+      fs.writeFileSync(csvPath, AMEX_CSV);
+      console.log = jest.fn();
+      console.error = jest.fn();
+      mockNotionCreate.mockReset().mockResolvedValue({ id: 'new-page' });
+      mockDatabaseRetrieve.mockResolvedValue({
+        properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+          [name, { type: Object.keys(definition)[0], ...definition }]
+        ))),
+      });
+      mockDatabaseQuery.mockReset().mockResolvedValue({
+        results: [
+          page('page-amazon', '2023-01-15', 'AMAZON.COM', 50.99),
+          page('page-starbucks', '2023-01-16', 'STARBUCKS', 5.95),
+          page('page-netflix', '2023-01-17', 'NETFLIX', 15.99),
+          // Dated after the statement; only queried to catch moved dates
+          page('page-rent', '2023-01-22', 'RENT', 2000),
+        ],
+        has_more: false,
+      });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      console.error = originalConsoleError;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const options = (extra) => ({
+      paymentMethod: 'Amex Platinum',
+      whoAmI: 'Alli',
+      notionApiKey: 'key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+      ...extra,
+    });
+
+    test('should list missing rows, extra pages and differences for the card and statement dates', async () => {
+      const reconciliation = await reconcileStatement(csvPath, options());
+
+      expect(mockDatabaseQuery.mock.calls[0][0].filter.and).toEqual([
+        { property: 'Payment Method', select: { equals: "Alli's Amex Platinum" } },
+        { property: 'Date', date: { on_or_after: '2023-01-12' } },
+        { property: 'Date', date: { on_or_before: '2023-01-23' } },
+      ]);
+      expect(reconciliation).toMatchObject({ since: '2023-01-15', until: '2023-01-20', rows: 4, pages: 4, matched: 1 });
+      expect(reconciliation.missing.map((row) => row.rowNumber)).toEqual([4, 5]);
+      expect(reconciliation.extra.map((entry) => entry.pageId)).toEqual(['page-netflix']);
+      expect(reconciliation.changed).toEqual([expect.objectContaining({
+        rowNumber: 3,
+        pageId: 'page-starbucks',
+        differences: [{ field: 'amount', statement: 4.95, notion: 5.95 }],
+      })]);
+      expect(isReconciled(reconciliation)).toBe(false);
+      expect(mockNotionCreate).not.toHaveBeenCalled();
+
+      printReconciliation(reconciliation);
+      const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+      expect(output).toContain('➕ Missing in Notion: 2');
+      expect(output).toContain('row 3 (STARBUCKS): amount 4.95 in the statement, 5.95 in Notion');
+    });
+
+    test('should upload only the missing rows and record them in the ledger', async () => {
+      const reconciliation = await reconcileStatement(csvPath, options({ uploadMissing: true }));
+
+      expect(mockNotionCreate).toHaveBeenCalledTimes(2);
+      expect(reconciliation).toMatchObject({ uploaded: 2, failed: 0, missing: [] });
+      const { runs } = await loadLedger(path.join(tempDir, 'ledger.json'));
+      expect(runs[0].rows.map((row) => row.date)).toEqual(['2023-01-18', '2023-01-20']);
+    });
+
+    test('should send progress to stderr without touching the console when printing JSON', async () => {
+      const log = console.log;
+      let stdout = '';
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+        stdout += chunk;
+        return true;
+      });
+      try {
+        await main([
+          'node', 'transactions-to-notion', 'reconcile', csvPath, '--payment-method', 'Amex Platinum', '--who-am-i', 'Alli',
+          '--notion-api-key', 'key', '--notion-database-id', 'test-db', '--format', 'json',
+        ]);
+      } finally {
+        write.mockRestore();
+      }
+
+      expect(JSON.parse(stdout)).toMatchObject({ rows: 4, matched: 1 });
+      expect(console.log).toBe(log);
+      expect(console.log).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith('Using amex field mappings for payment method: Amex Platinum');
+      process.exitCode = undefined;
+    });
+  });
+});
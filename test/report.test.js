@@ -0,0 +1,76 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EXIT_CODES, createSummary, getExitCode, printSummary, writeReport } = require('../src/report');
+
+describe('Import Report', () => {
+  const originalConsoleLog = console.log;
+
+  beforeEach(() => {
+    console.log = jest.fn();
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+  });
+
+  describe('getExitCode', () => {
+    test('should succeed when nothing failed', () => {
+      expect(getExitCode(createSummary({ total: 3, uploaded: 2, duplicate: 1 }))).toBe(EXIT_CODES.SUCCESS);
+    });
+
+    test('should report a partial failure when any row failed', () => {
+      expect(getExitCode(createSummary({ total: 3, uploaded: 2, failed: 1 }))).toBe(EXIT_CODES.PARTIAL_FAILURE);
+      expect(getExitCode(createSummary({ total: 3, failed: 3 }))).toBe(EXIT_CODES.PARTIAL_FAILURE);
+    });
+
+    test('should report a partial failure when rows were rejected', () => {
+      expect(getExitCode(createSummary({ total: 3, uploaded: 2, rejected: 1 }))).toBe(EXIT_CODES.PARTIAL_FAILURE);
+    });
+
+    test('should use distinct codes for every outcome', () => {
+      expect(new Set(Object.values(EXIT_CODES)).size).toBe(3);
+    });
+  });
+
+  describe('printSummary', () => {
+    test('should not claim success when uploads failed', () => {
+      printSummary(createSummary({
+        total: 2,
+        failed: 2,
+        failures: [{ rowNumber: 2, error: 'row 2 (AMAZON.COM, 2023-01-15): validation_error' }],
+      }));
+
+      const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+      expect(output).not.toContain('Successfully uploaded');
+      expect(output).toContain('2 of 2 uploads failed');
+      expect(output).toContain('row 2 (AMAZON.COM, 2023-01-15)');
+    });
+  });
+
+  describe('writeReport', () => {
+    test('should write the summary as JSON to a file', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-test-'));
+      const reportPath = path.join(tempDir, 'report.json');
+      const summary = createSummary({ total: 1, uploaded: 1, runId: 'run-1' });
+
+      await writeReport(summary, 'json', reportPath);
+
+      expect(JSON.parse(fs.readFileSync(reportPath, 'utf8'))).toEqual(summary);
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should write to stdout when no file is given', async () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      await writeReport(createSummary({ total: 0 }), 'json');
+
+      expect(JSON.parse(write.mock.calls[0][0])).toMatchObject({ total: 0 });
+      write.mockRestore();
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(writeReport(createSummary(), 'xml')).rejects.toThrow('--report must be one of: json');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getRetryFilePath, writeRetryFile, loadRetryFile, removeRetryFile } = require('../src/retry-file');
+const { validateAndUploadTransactions } = require('../src/utils');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+const { getDefaultNotionProperties } = require('../src/notion-properties');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: jest.fn().mockResolvedValue({ results: [], has_more: false }),
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+describe('Failed Rows Retry File', () => {
+  let tempDir;
+  const originalConsoleLog = console.log;
+  const originalConsoleError = console.error;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-test-'));
+    console.log = jest.fn();
+    console.error = jest.fn();
+    // A database as databases.retrieve returns it, with every property the importer writes
+    mockDatabaseRetrieve.mockResolvedValue({
+      properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+        [name, { type: Object.keys(definition)[0], ...definition }]
+      ))),
+    });
+  });
+
+  afterEach(() => {
+    console.log = originalConsoleLog;
+    console.error = originalConsoleError;
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const failedResult = {
+    transaction: {
+      description: 'STARBUCKS',
+      amount: 4.95,
+      date: '2023-01-16',
+      paymentMethod: 'Chase Freedom',
+      rowNumber: 3,
+      originalData: { 'Transaction Date': '2023-01-16', 'Description': 'STARBUCKS', 'Amount': '-4.95' },
+    },
+    fields: { date: '2023-01-16', description: 'STARBUCKS', amount: 4.95, paymentMethod: "Alli's Chase Freedom" },
+    error: 'row 3 (STARBUCKS, 2023-01-16): validation_error',
+  };
+
+  test('should place the retry file next to the input CSV', () => {
+    expect(getRetryFilePath('/statements/chase-jan.csv')).toBe('/statements/chase-jan.failed.json');
+  });
+
+  test('should keep the original row, normalized fields and error', async () => {
+    const retryFilePath = path.join(tempDir, 'chase.failed.json');
+    await writeRetryFile(retryFilePath, { runId: 'run-1', user: 'Alli', paymentMethod: 'Chase Freedom' }, [failedResult]);
+
+    const contents = JSON.parse(fs.readFileSync(retryFilePath, 'utf8'));
+    expect(contents).toMatchObject({ runId: 'run-1', user: 'Alli', paymentMethod: 'Chase Freedom' });
+    expect(contents.rows[0]).toEqual({
+      rowNumber: 3,
+      originalData: failedResult.transaction.originalData,
+      transaction: {
+        description: 'STARBUCKS',
+        amount: 4.95,
+        date: '2023-01-16',
+        paymentMethod: 'Chase Freedom',
+        rowNumber: 3,
+      },
+      fields: failedResult.fields,
+      error: failedResult.error,
+    });
+  });
+
+  test('should rebuild the failed transactions when loaded', async () => {
+    const retryFilePath = path.join(tempDir, 'chase.failed.json');
+    await writeRetryFile(retryFilePath, { runId: 'run-1' }, [failedResult]);
+
+    const retry = await loadRetryFile(retryFilePath);
+    expect(retry.transactions).toEqual([failedResult.transaction]);
+  });
+
+  test('should explain an unreadable retry file', async () => {
+    const retryFilePath = path.join(tempDir, 'broken.failed.json');
+    fs.writeFileSync(retryFilePath, '{}');
+    await expect(loadRetryFile(retryFilePath)).rejects.toThrow('has no "rows" array');
+  });
+
+  test('should ignore removing a retry file that does not exist', async () => {
+    await expect(removeRetryFile(path.join(tempDir, 'missing.failed.json'))).resolves.toBe(false);
+  });
+
+  test('should upload only the rows in the retry file and remove it once they succeed', async () => {
+    const retryFilePath = path.join(tempDir, 'chase.failed.json');
+    await writeRetryFile(retryFilePath, { runId: 'run-1', user: 'Alli', paymentMethod: 'Chase Freedom' }, [failedResult]);
+
+    mockNotionCreate.mockResolvedValue({ id: 'page-1' });
+
+    const summary = await validateAndUploadTransactions({
+      retryFailed: retryFilePath,
+      notionApiKey: 'test-key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+    });
+
+    expect(summary).toMatchObject({ total: 1, uploaded: 1, failed: 0, user: 'Alli', paymentMethod: 'Chase Freedom' });
+    expect(mockNotionCreate).toHaveBeenCalledTimes(1);
+    const { properties } = mockNotionCreate.mock.calls[0][0];
+    expect(properties['Expense'].title[0].text.content).toBe('Starbucks');
+    expect(properties['Raw Description'].rich_text[0].text.content).toBe('STARBUCKS');
+    expect(fs.existsSync(retryFilePath)).toBe(false);
+  });
+
+  test('should upload retried rows as they were stored, keeping edits made in review', async () => {
+    const retryFilePath = path.join(tempDir, 'chase.failed.json');
+    const edited = {
+      ...failedResult,
+      transaction: {
+        ...failedResult.transaction,
+        description: 'Team Coffee',
+        rawDescription: 'STARBUCKS',
+        category: 'Travel',
+        split: { percent: { Alli: 50, Justin: 50 } },
+      },
+    };
+    await writeRetryFile(retryFilePath, { runId: 'run-1', user: 'Alli', paymentMethod: 'Chase Freedom' }, [edited]);
+    mockNotionCreate.mockReset().mockResolvedValue({ id: 'page-1' });
+    mockDatabaseRetrieve.mockResolvedValue({
+      properties: Object.fromEntries(Object.entries(buildDatabaseProperties(getDefaultNotionProperties(['Alli', 'Justin'])))
+        .map(([name, definition]) => [name, { type: Object.keys(definition)[0], ...definition }])),
+    });
+
+    await validateAndUploadTransactions({
+      retryFailed: retryFilePath,
+      notionApiKey: 'test-key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+    });
+
+    const { properties } = mockNotionCreate.mock.calls[0][0];
+    expect(properties['Expense'].title[0].text.content).toBe('Team Coffee');
+    expect(properties['Category'].select.name).toBe('Travel');
+    expect(properties["Justin's Share"].number).toBe(2.47);
+  });
+});
@@ -0,0 +1,270 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyDecision, parseSplitAnswer, reviewTransactions, reviewKey, getDecisionsPath } = require('../src/review');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseQuery = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: mockDatabaseQuery,
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+// Answer review questions from a script instead of the terminal
+const mockAnswers = [];
+jest.mock('../src/prompt', () => ({
+  confirm: jest.fn(),
+  createPrompt: jest.fn(() => ({
+    ask: jest.fn(async () => mockAnswers.shift()),
+    close: jest.fn(),
+  })),
+}));
+
+const { validateAndUploadTransactions } = require('../src/utils');
+const { main } = require('../src/index');
+
+const row = (rowNumber, description, amount, date = '2023-01-15') => ({
+  rowNumber, description, rawDescription: description.toUpperCase(), amount, date, paymentMethod: 'Chase Freedom',
+});
+
+describe('Interactive Review', () => {
+  const users = ['Alli', 'Justin'];
+  const print = jest.fn();
+  const review = (transactions, answers, decisions) => reviewTransactions(transactions, {
+    prompt: { ask: jest.fn(async () => answers.shift()) },
+    decisions,
+    users,
+    describe: (transaction) => `${transaction.description} ${transaction.amount}`,
+    print,
+  });
+
+  test('should read percentage and exact-amount splits', () => {
+    expect(parseSplitAnswer('Alli 60, Justin 40', users)).toEqual({ percent: { Alli: 60, Justin: 40 } });
+    expect(parseSplitAnswer('Alli $12.50, Justin $7.50', users)).toEqual({ amounts: { Alli: 12.5, Justin: 7.5 } });
+    expect(() => parseSplitAnswer('Alli 60, Sam 40', users)).toThrow('split.percent.Sam is not one of the users: Alli, Justin');
+    expect(() => parseSplitAnswer('half', users)).toThrow('Could not read "half"');
+  });
+
+  test('should apply edits and splits, working out shares from the edited amount', () => {
+    const reviewed = applyDecision(row(2, 'Safeway', 40), {
+      action: 'accept',
+      changes: { amount: 50, category: 'Groceries' },
+      split: { percent: { Alli: 50, Justin: 50 } },
+    });
+
+    expect(reviewed).toMatchObject({ amount: 50, category: 'Groceries', shares: { Alli: 25, Justin: 25 } });
+    expect(applyDecision(row(2, 'Safeway', 40), { action: 'skip' })).toBeNull();
+  });
+
+  test('should accept, skip, edit and split rows as answered', async () => {
+    const result = await review(
+      [row(2, 'Safeway', 40), row(3, 'Netflix', 15.99), row(4, 'Dinner', 60), row(5, 'Shell', 30)],
+      [
+        'e', 'Safeway Groceries', '42', '', 'Groceries', 'a',
+        's',
+        'p', 'Alli 50, Justin 50', 'a',
+        'x', 'a',
+      ]
+    );
+
+    expect(result.transactions.map((transaction) => [transaction.description, transaction.amount, transaction.shares])).toEqual([
+      ['Safeway Groceries', 42, undefined],
+      ['Dinner', 60, { Alli: 30, Justin: 30 }],
+      ['Shell', 30, undefined],
+    ]);
+    expect(result).toMatchObject({ skipped: 1, edited: 2 });
+    expect(result.decisions[reviewKey(row(3, 'Netflix', 15.99))]).toEqual({ action: 'skip' });
+    expect(print).toHaveBeenCalledWith(expect.stringContaining('Pick one of'));
+  });
+
+  test('should ask again for a value it cannot read', async () => {
+    const result = await review([row(2, 'Safeway', 40)], ['e', '', 'forty', '41', '01/20/2023', '2023-01-20', '', 'a']);
+
+    expect(result.transactions[0]).toMatchObject({ amount: 41, date: '2023-01-20' });
+    expect(print).toHaveBeenCalledWith('  ⚠️  Date must be a date in YYYY-MM-DD format, got "01/20/2023"');
+  });
+
+  test('should reuse saved decisions and accept the rest in one go', async () => {
+    const saved = { [reviewKey(row(2, 'Safeway', 40))]: { action: 'skip' } };
+
+    const result = await review([row(2, 'Safeway', 40), row(3, 'Netflix', 15.99), row(4, 'Shell', 30)], ['l'], saved);
+
+    expect(result.transactions.map((transaction) => transaction.description)).toEqual(['Netflix', 'Shell']);
+    expect(Object.values(result.decisions)).toEqual([{ action: 'skip' }, { action: 'accept' }, { action: 'accept' }]);
+  });
+
+  test('should stop with nothing to upload when quit', async () => {
+    const result = await review([row(2, 'Safeway', 40), row(3, 'Netflix', 15.99)], ['s', 'q']);
+
+    expect(result).toMatchObject({ stopped: true, transactions: [] });
+    expect(Object.keys(result.decisions)).toHaveLength(1);
+  });
+
+  describe('validateAndUploadTransactions', () => {
+    let tempDir;
+    let csvPath;
+    const originalConsoleLog = console.log;
+    const originalConsoleError = console.error;
+    const originalIsTTY = process.stdin.isTTY;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-test-'));
+      csvPath = path.join(tempDir, 'chase.csv');
+      fs.writeFileSync(csvPath, [
+        'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+        '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+        '01/20/2023,01/21/2023,STARBUCKS,Food & Drink,Sale,-4.95,',
+      ].join('\n'));
+      console.log = jest.fn();
+      console.error = jest.fn();
+      process.stdin.isTTY = true;
+      mockNotionCreate.mockReset().mockResolvedValue({ id: 'page-id' });
+      mockDatabaseQuery.mockReset().mockResolvedValue({ results: [], has_more: false });
+      mockDatabaseRetrieve.mockResolvedValue({
+        properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+          [name, { type: Object.keys(definition)[0], ...definition }]
+        ))),
+      });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      console.error = originalConsoleError;
+      process.stdin.isTTY = originalIsTTY;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const options = (extra) => ({
+      csvFilePath: csvPath,
+      paymentMethod: 'Chase Freedom',
+      whoAmI: 'Alli',
+      notionApiKey: 'key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+      ...extra,
+    });
+
+    test('should upload only the rows accepted in review and save the decisions', async () => {
+      mockAnswers.push('s', 'a');
+
+      const summary = await validateAndUploadTransactions(options({ interactive: true }));
+
+      expect(summary).toMatchObject({ uploaded: 1, reviewSkipped: 1 });
+      expect(mockNotionCreate).toHaveBeenCalledTimes(1);
+      const saved = JSON.parse(fs.readFileSync(getDecisionsPath(csvPath), 'utf8'));
+      expect(Object.values(saved.decisions)).toEqual([{ action: 'skip' }, { action: 'accept' }]);
+    });
+
+    test('should apply saved decisions without asking', async () => {
+      mockAnswers.push('s', 'a');
+      await validateAndUploadTransactions(options({ interactive: true, dryRun: true }));
+
+      const summary = await validateAndUploadTransactions(options({ decisions: getDecisionsPath(csvPath), dryRun: true }));
+
+      expect(summary).toMatchObject({ pending: 1, reviewSkipped: 1 });
+      expect(mockAnswers).toEqual([]);
+    });
+
+    test('should find rows edited in an earlier run already imported', async () => {
+      mockAnswers.push('e', '', '40', '', '', 'a', 'a');
+      await validateAndUploadTransactions(options({ interactive: true }));
+      expect(mockNotionCreate.mock.calls[0][0].properties['Total Amount']).toEqual({ number: 40 });
+
+      const summary = await validateAndUploadTransactions(options({ decisions: getDecisionsPath(csvPath) }));
+
+      expect(summary).toMatchObject({ uploaded: 0, duplicate: 2 });
+      expect(mockNotionCreate).toHaveBeenCalledTimes(2);
+    });
+
+    test('should find a row edited in review in the next overlapping statement', async () => {
+      mockAnswers.push('e', '', '25.50', '', '', 'a', 'a');
+      await validateAndUploadTransactions(options({ interactive: true }));
+      const created = mockNotionCreate.mock.calls.map(([args]) => args.properties);
+      expect(created[0]).toMatchObject({ 'Total Amount': { number: 25.5 }, 'Raw Amount': { number: 50.99 } });
+
+      const febPath = path.join(tempDir, 'feb.csv');
+      fs.writeFileSync(febPath, [
+        'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+        '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+        '02/01/2023,02/02/2023,SHELL,Gas,Sale,-30.00,',
+      ].join('\n'));
+
+      // Found through the ledger
+      await expect(validateAndUploadTransactions(options({ csvFilePath: febPath, dryRun: true })))
+        .resolves.toMatchObject({ duplicate: 1, pending: 1 });
+
+      // And through Notion, with a ledger that knows nothing of the first run
+      mockDatabaseQuery.mockResolvedValue({
+        results: created.map((properties) => ({
+          properties: Object.fromEntries(Object.entries(properties).map(([name, value]) => [name, { type: Object.keys(value)[0], ...value }])),
+        })),
+        has_more: false,
+      });
+      await expect(validateAndUploadTransactions(options({ csvFilePath: febPath, dryRun: true, ledgerPath: path.join(tempDir, 'new-ledger.json') })))
+        .resolves.toMatchObject({ duplicate: 1, pending: 1 });
+    });
+
+    test('should reject a row whose split no longer fits after an edit', async () => {
+      mockAnswers.push('p', 'Alli $25, Justin $25.99', 'e', '', '40', '', '', 'a', 'a');
+
+      const summary = await validateAndUploadTransactions(options({ interactive: true }));
+
+      expect(summary).toMatchObject({ uploaded: 1, rejected: 1 });
+      expect(summary.rejections[0].error).toContain("Split amounts add up to 50.99, not the transaction's 40.00");
+      expect(mockNotionCreate).toHaveBeenCalledTimes(1);
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining('split it again or the row will be rejected'));
+    });
+
+    test('should print the review through the logger it is given', async () => {
+      mockAnswers.push('a', 'a');
+      const logger = { log: jest.fn(), warn: jest.fn(), error: jest.fn() };
+
+      await validateAndUploadTransactions(options({ interactive: true, dryRun: true }), { logger });
+
+      expect(logger.log).toHaveBeenCalledWith(expect.stringContaining('[1/2]'));
+      expect(console.log).not.toHaveBeenCalled();
+    });
+
+    test('should keep the review and progress off stdout when the JSON report goes there', async () => {
+      mockAnswers.push('a', 'a');
+      let stdout = '';
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+        stdout += chunk;
+        return true;
+      });
+      try {
+        await main([
+          'node', 'transactions-to-notion', 'import', '--csv-file-path', csvPath, '--payment-method', 'Chase Freedom',
+          '--who-am-i', 'Alli', '--notion-api-key', 'key', '--notion-database-id', 'test-db',
+          '--ledger-path', path.join(tempDir, 'ledger.json'), '--interactive', '--report', 'json',
+        ]);
+      } finally {
+        write.mockRestore();
+      }
+
+      expect(JSON.parse(stdout)).toMatchObject({ uploaded: 2 });
+      expect(console.log).not.toHaveBeenCalled();
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('[1/2]'));
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Import summary'));
+      process.exitCode = undefined;
+    });
+
+    test('should need a terminal to review in', async () => {
+      process.stdin.isTTY = undefined;
+
+      await expect(validateAndUploadTransactions(options({ interactive: true })))
+        .rejects.toThrow('--interactive needs a terminal to ask in');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateRules, compileRules, findMatchingRule, applyRules } = require('../src/rules');
+const { loadConfig } = require('../src/config');
+const { toNotionFields, buildPageProperties, testRules } = require('../src/utils');
+
+const RULES = [
+  { name: 'Big grocery runs', match: { description: 'whole foods|trader joe', amount: { min: 100 } }, category: 'Groceries', tags: ['Stock-up'] },
+  { name: 'Groceries', match: { description: 'whole foods|trader joe' }, category: 'Groceries' },
+  { name: 'Rides', match: { description: '^(uber|lyft)', paymentMethod: 'Amex Platinum' }, category: 'Transport', tags: ['Travel'] },
+  { match: { user: 'Justin', amount: { max: 0 } }, category: 'Refunds' },
+];
+
+describe('Categorization Rules', () => {
+  const rules = compileRules(RULES);
+
+  describe('validateRules', () => {
+    test('should accept well-formed rules', () => {
+      expect(validateRules(RULES)).toEqual([]);
+    });
+
+    test('should list every problem with a rule', () => {
+      const errors = validateRules([
+        { match: {}, category: '' },
+        { match: { description: '(unclosed', amount: { min: 10, max: 5 }, merchant: 'x' }, category: 'Food', tags: 'Food' },
+      ]);
+
+      expect(errors).toEqual([
+        'rules[0].match must set at least one of: description, amount, paymentMethod, user',
+        'rules[0].category must be the name of a Category option',
+        'rules[1].match.merchant is not a known condition (use one of: description, amount, paymentMethod, user)',
+        expect.stringContaining('rules[1].match.description is not a valid regular expression'),
+        'rules[1].match.amount.min must not be greater than max',
+        'rules[1].tags must be a list of tag names',
+      ]);
+    });
+
+    test('should be part of config validation', async () => {
+      const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-config-'));
+      try {
+        const configPath = path.join(tempDir, 'config.json');
+        fs.writeFileSync(configPath, JSON.stringify({ rules: { groceries: {} } }));
+        await expect(loadConfig({ config: configPath })).rejects.toThrow('rules must be a list of rules, tried in order');
+      } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    test('should use the first rule that matches', () => {
+      expect(findMatchingRule({ description: 'WHOLE FOODS #123', amount: 150 }, rules).name).toBe('Big grocery runs');
+      expect(findMatchingRule({ description: 'WHOLE FOODS #123', amount: 40 }, rules).name).toBe('Groceries');
+    });
+
+    test('should require every condition of a rule', () => {
+      expect(findMatchingRule({ description: 'UBER *TRIP', amount: 20, paymentMethod: 'Amex Platinum' }, rules).name).toBe('Rides');
+      expect(findMatchingRule({ description: 'UBER *TRIP', amount: 20, paymentMethod: 'Apple Card' }, rules)).toBeNull();
+    });
+
+    test('should match on the user running the import', () => {
+      const refund = { description: 'TARGET', amount: -20, paymentMethod: 'Apple Card' };
+      expect(findMatchingRule(refund, rules, { user: 'Justin' }).name).toBe('rule #4');
+      expect(findMatchingRule(refund, rules, { user: 'Alli' })).toBeNull();
+    });
+  });
+
+  describe('applyRules', () => {
+    test('should set the category and tags of matching transactions only', () => {
+      const [ride, other] = applyRules([
+        { description: 'LYFT RIDE', amount: 12, paymentMethod: 'Amex Platinum' },
+        { description: 'NETFLIX', amount: 15.99, paymentMethod: 'Amex Platinum' },
+      ], rules);
+
+      expect(ride).toMatchObject({ category: 'Transport', tags: ['Travel'], rule: 'Rides' });
+      expect(other).not.toHaveProperty('category');
+    });
+  });
+
+  describe('buildPageProperties', () => {
+    test('should fill the Category select and Tags multi-select', () => {
+      const [transaction] = applyRules([
+        { date: '2023-01-15', description: 'TRADER JOES', amount: 120, paymentMethod: 'Apple Card' },
+      ], rules);
+
+      const properties = buildPageProperties(toNotionFields(transaction, 'Alli'));
+
+      expect(properties['Category']).toEqual({ select: { name: 'Groceries' } });
+      expect(properties['Tags']).toEqual({ multi_select: [{ name: 'Stock-up' }] });
+    });
+
+    test('should leave Category and Tags unset when no rule matched', () => {
+      const properties = buildPageProperties(toNotionFields({ date: '2023-01-15', description: 'NETFLIX', amount: 15.99 }, 'Alli'));
+
+      expect(properties).not.toHaveProperty('Category');
+      expect(properties).not.toHaveProperty('Tags');
+    });
+  });
+
+  describe('testRules', () => {
+    let tempDir;
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-test-'));
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should show which rule matched each row', async () => {
+      const csvPath = path.join(tempDir, 'amex.csv');
+      fs.writeFileSync(csvPath, 'Date,Description,Amount\n01/15/2023,UBER *TRIP,22.50\n01/16/2023,NETFLIX,15.99\n');
+      const configPath = path.join(tempDir, 'config.json');
+      fs.writeFileSync(configPath, JSON.stringify({ rules: RULES }));
+
+      const transactions = await testRules(csvPath, { paymentMethod: 'Amex Platinum', whoAmI: 'Alli', config: configPath });
+
+      expect(transactions.map((transaction) => transaction.rule)).toEqual(['Rides', undefined]);
+      const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+      expect(output).toContain('✅ Rides');
+      expect(output).toContain('❔ No rule matched');
+      expect(output).toContain('1 of 2 rows matched a rule');
+    });
+  });
+});
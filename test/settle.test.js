@@ -0,0 +1,150 @@
+const { resolveConfig } = require('../src/config');
+
+const mockDatabaseQuery = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: { query: mockDatabaseQuery },
+  })),
+}));
+
+const { computeSettlement, computeTransfers, querySettlementPages, settleUp } = require('../src/settle');
+
+// A page as the Notion API returns it, with the default property layout
+const page = (expense, paymentMethod, shares = {}) => ({
+  id: `page-${expense}`,
+  properties: {
+    'Expense': { type: 'title', title: [{ plain_text: expense }] },
+    'Payment Method': { type: 'select', select: paymentMethod ? { name: paymentMethod } : null },
+    ...Object.fromEntries(Object.entries(shares).map(([user, share]) => [`${user}'s Share`, { type: 'number', number: share }])),
+  },
+});
+
+describe('Settle Up', () => {
+  const { profile, notionProperties } = resolveConfig({});
+
+  describe('computeSettlement', () => {
+    test('should net out who paid for shared transactions', () => {
+      const settlement = computeSettlement([
+        page('Safeway', "Alli's Chase Freedom", { Alli: 50, Justin: 50 }),
+        page('Rent', "Alli's Amex Platinum", { Alli: 1200, Justin: 800 }),
+        page('Dinner', "Justin's Apple Card", { Alli: 60.12, Justin: 40 }),
+        page('Starbucks', "Alli's Chase Freedom"),
+      ], profile, notionProperties);
+
+      expect(settlement.transactions).toBe(4);
+      expect(settlement.splitTransactions).toBe(3);
+      expect(settlement.balances).toEqual({
+        Alli: { paid: 2100, share: 1310.12, net: 789.88 },
+        Justin: { paid: 100.12, share: 890, net: -789.88 },
+      });
+      expect(settlement.transfers).toEqual([{ from: 'Justin', to: 'Alli', amount: 789.88 }]);
+    });
+
+    test('should leave out split transactions whose payer is unknown', () => {
+      const settlement = computeSettlement([page('Lunch', 'Company Card', { Alli: 10, Justin: 10 })], profile, notionProperties);
+
+      expect(settlement.splitTransactions).toBe(0);
+      expect(settlement.skipped).toEqual([
+        { pageId: 'page-Lunch', description: 'Lunch', paymentMethod: 'Company Card', reason: 'unknown payer' },
+      ]);
+    });
+
+    test('should read payers from configured card labels', () => {
+      const config = resolveConfig({
+        users: ['Alli', 'Justin', 'Sam'],
+        cards: { 'Joint Visa': { owner: 'Sam', bankFormat: 'chase', label: 'Joint Visa (Sam)' } },
+      });
+
+      const settlement = computeSettlement([page('Groceries', 'Joint Visa (Sam)', { Alli: 30, Justin: 30, Sam: 30 })], config.profile, config.notionProperties);
+
+      expect(settlement.transfers).toEqual([
+        { from: 'Alli', to: 'Sam', amount: 30 },
+        { from: 'Justin', to: 'Sam', amount: 30 },
+      ]);
+    });
+  });
+
+  test('should settle everyone with as few transfers as the balances allow', () => {
+    expect(computeTransfers({
+      Alli: { net: 50 }, Justin: { net: -80 }, Sam: { net: 30 },
+    })).toEqual([
+      { from: 'Justin', to: 'Alli', amount: 50 },
+      { from: 'Justin', to: 'Sam', amount: 30 },
+    ]);
+    expect(computeTransfers({ Alli: { net: 0 }, Justin: { net: 0 } })).toEqual([]);
+  });
+
+  describe('querySettlementPages', () => {
+    test('should filter by date range and audit status, following pagination', async () => {
+      const notionClient = {
+        databases: {
+          query: jest.fn()
+            .mockResolvedValueOnce({ results: [page('A', null)], has_more: true, next_cursor: 'next' })
+            .mockResolvedValueOnce({ results: [page('B', null)], has_more: false }),
+        },
+      };
+
+      const pages = await querySettlementPages(notionClient, 'test-db', { since: '2023-01-01', until: '2023-01-31', auditedOnly: true });
+
+      expect(pages).toHaveLength(2);
+      expect(notionClient.databases.query.mock.calls[1][0]).toEqual({
+        database_id: 'test-db',
+        start_cursor: 'next',
+        filter: {
+          and: [
+            { property: 'Date', date: { on_or_after: '2023-01-01' } },
+            { property: 'Date', date: { on_or_before: '2023-01-31' } },
+            { property: 'Status', select: { does_not_equal: 'Requires Audit' } },
+          ],
+        },
+      });
+    });
+
+    test('should query everything without a window', async () => {
+      const notionClient = { databases: { query: jest.fn().mockResolvedValue({ results: [], has_more: false }) } };
+
+      await querySettlementPages(notionClient, 'test-db');
+
+      expect(notionClient.databases.query).toHaveBeenCalledWith({ database_id: 'test-db', start_cursor: undefined });
+    });
+  });
+
+  describe('settleUp', () => {
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      console.log = jest.fn();
+      mockDatabaseQuery.mockResolvedValue({
+        results: [page('Safeway', "Alli's Chase Freedom", { Alli: 20, Justin: 20 })],
+        has_more: false,
+      });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+    });
+
+    test('should print who owes whom', async () => {
+      await settleUp({ notionApiKey: 'key', notionDatabaseId: 'test-db', since: '2023-01-01' });
+
+      const output = console.log.mock.calls.map((args) => args.join(' ')).join('\n');
+      expect(output).toContain('Settle up for 2023-01-01 onwards: 1 split of 1 transactions');
+      expect(output).toContain('💸 Justin owes Alli $20.00');
+    });
+
+    test('should write JSON to stdout', async () => {
+      const write = jest.spyOn(process.stdout, 'write').mockImplementation(() => true);
+
+      await settleUp({ notionApiKey: 'key', notionDatabaseId: 'test-db', format: 'json' });
+
+      const settlement = JSON.parse(write.mock.calls[0][0]);
+      write.mockRestore();
+      expect(settlement).toMatchObject({ since: null, auditedOnly: false, transfers: [{ from: 'Justin', to: 'Alli', amount: 20 }] });
+    });
+
+    test('should reject an unknown format', async () => {
+      await expect(settleUp({ notionApiKey: 'key', notionDatabaseId: 'test-db', format: 'csv' }))
+        .rejects.toThrow('--format must be one of: table, json');
+    });
+  });
+});
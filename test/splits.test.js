@@ -0,0 +1,103 @@
+const { validateSplit, computeShares, applySplits } = require('../src/splits');
+const { validateConfig, resolveConfig } = require('../src/config');
+const { compileRules, applyRules } = require('../src/rules');
+const { buildPageProperties } = require('../src/notion-properties');
+const { getRequiredProperties } = require('../src/notion-schema');
+const { toNotionFields } = require('../src/utils');
+
+const USERS = ['Alli', 'Justin'];
+
+describe('Split Expenses', () => {
+  describe('validateSplit', () => {
+    test('should accept percentages and exact amounts', () => {
+      expect(validateSplit({ percent: { Alli: 60, Justin: 40 } }, 'split', USERS)).toEqual([]);
+      expect(validateSplit({ amounts: { Alli: 1200, Justin: 800 } }, 'split', USERS)).toEqual([]);
+    });
+
+    test('should report unknown users, bad shares and percentages that do not add up', () => {
+      expect(validateSplit({ percent: { Alli: 50 }, amounts: { Justin: 5 } }, 'split', USERS)).toEqual([
+        'split must set either percent or amounts, e.g. { "percent": { "Alli": 50, "Justin": 50 } }',
+      ]);
+      expect(validateSplit({ percent: { Alli: 50, Sam: -10 } }, 'split', USERS)).toEqual([
+        'split.percent.Sam is not one of the users: Alli, Justin',
+        'split.percent.Sam must be a positive number',
+      ]);
+      expect(validateSplit({ percent: { Alli: 50, Justin: 40 } }, 'split', USERS)).toEqual([
+        'split.percent must add up to 100, not 90',
+      ]);
+    });
+
+    test('should check rule splits against the configured users', () => {
+      const rules = [{ match: { description: 'rent' }, category: 'Housing', split: { percent: { Alli: 50, Sam: 50 } } }];
+
+      expect(validateConfig({ rules })).toEqual(['rules[0].split.percent.Sam is not one of the users: Alli, Justin']);
+      expect(validateConfig({ users: ['Alli', 'Sam'], rules })).toEqual([]);
+    });
+  });
+
+  describe('computeShares', () => {
+    test('should round percentage shares so they add up to the amount', () => {
+      expect(computeShares(100, { percent: { Alli: 33.34, Justin: 33.33, Sam: 33.33 } })).toEqual({ Alli: 33.34, Justin: 33.33, Sam: 33.33 });
+      expect(computeShares(50.99, { percent: { Alli: 50, Justin: 50 } })).toEqual({ Alli: 25.5, Justin: 25.49 });
+    });
+
+    test('should make the shares of a refund negative', () => {
+      expect(computeShares(-20, { percent: { Alli: 75, Justin: 25 } })).toEqual({ Alli: -15, Justin: -5 });
+      expect(computeShares(-2000, { amounts: { Alli: 1200, Justin: 800 } })).toEqual({ Alli: -1200, Justin: -800 });
+    });
+
+    test('should require exact amounts to add up to the transaction', () => {
+      expect(() => computeShares(1999.99, { amounts: { Alli: 1200, Justin: 800 } }))
+        .toThrow("Split amounts add up to 2000.00, not the transaction's 1999.99");
+    });
+  });
+
+  describe('applySplits', () => {
+    const rules = compileRules([
+      { name: 'Rent', match: { description: 'rent' }, category: 'Housing', split: { amounts: { Alli: 1200, Justin: 800 } } },
+      { name: 'Groceries', match: { description: 'safeway' }, category: 'Groceries', split: { percent: { Alli: 50, Justin: 50 } } },
+      { name: 'Coffee', match: { description: 'starbucks' }, category: 'Dining' },
+    ]);
+
+    test('should split rows a rule marks as shared and leave the rest alone', () => {
+      const transactions = applySplits(applyRules([
+        { description: 'SAFEWAY', amount: 40.01 },
+        { description: 'STARBUCKS', amount: 4.95 },
+        { description: 'RENT', amount: 1500 },
+      ], rules));
+
+      expect(transactions[0].shares).toEqual({ Alli: 20.01, Justin: 20 });
+      expect(transactions[1]).not.toHaveProperty('shares');
+      expect(transactions[2].error).toBe("Split amounts add up to 2000.00, not the transaction's 1500.00");
+    });
+
+    test('should recompute shares when rows are processed again', () => {
+      const once = applySplits(applyRules([{ description: 'SAFEWAY', amount: 10 }], rules));
+      const again = applySplits(applyRules([{ ...once[0], amount: 20 }], compileRules([])));
+
+      expect(again[0]).not.toHaveProperty('shares');
+      expect(again[0]).not.toHaveProperty('split');
+    });
+  });
+
+  describe('Notion properties', () => {
+    const { notionProperties } = resolveConfig({ users: ['Alli', 'Justin'] });
+
+    test('should write each person\'s share to their share property', () => {
+      const fields = toNotionFields({ date: '2023-01-15', description: 'Safeway', amount: 40, shares: { Alli: 20, Justin: 20 } }, 'Alli');
+      const properties = buildPageProperties(fields, notionProperties);
+
+      expect(properties["Alli's Share"]).toEqual({ number: 20 });
+      expect(properties["Justin's Share"]).toEqual({ number: 20 });
+      expect(properties['Total Amount']).toEqual({ number: 40 });
+    });
+
+    test('should only require share properties once something is split', () => {
+      const unsplit = toNotionFields({ date: '2023-01-15', description: 'Starbucks', amount: 4.95 }, 'Alli');
+      const names = getRequiredProperties([unsplit], notionProperties).map((property) => property.name);
+
+      expect(names).not.toContain("Alli's Share");
+      expect(buildPageProperties(unsplit, notionProperties)).not.toHaveProperty("Alli's Share");
+    });
+  });
+});
@@ -0,0 +1,103 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { normalizeAmount, classifyTransaction } = require('../src/transaction-types');
+const { BANK_MAPPINGS } = require('../src/bank-formats');
+const { parseCSV } = require('../src/utils');
+
+describe('Transaction Types', () => {
+  describe('normalizeAmount', () => {
+    test('should make charges positive for banks that export them as negative', () => {
+      expect(normalizeAmount('-50.99', 'charges-negative')).toBe(50.99);
+      expect(normalizeAmount('20.00', 'charges-negative')).toBe(-20);
+    });
+
+    test('should keep the sign for banks that export charges as positive', () => {
+      expect(normalizeAmount('75.32', 'charges-positive')).toBe(75.32);
+      expect(normalizeAmount('-20.00', 'charges-positive')).toBe(-20);
+    });
+
+    test('should treat an unreadable amount as zero', () => {
+      expect(normalizeAmount('n/a')).toBe(0);
+    });
+  });
+
+  describe('classifyTransaction', () => {
+    test('should classify by amount sign when nothing else applies', () => {
+      expect(classifyTransaction({ amount: 12.5, description: 'WHOLE FOODS' })).toBe('charge');
+      expect(classifyTransaction({ amount: -12.5, description: 'WHOLE FOODS' })).toBe('refund');
+    });
+
+    test('should recognise card payments from the description', () => {
+      expect(classifyTransaction({ amount: -500, description: 'Payment Thank You-Mobile' })).toBe('payment');
+      expect(classifyTransaction({ amount: -500, description: 'AUTOPAY PAYMENT - THANK YOU' })).toBe('payment');
+      expect(classifyTransaction({ amount: -500, description: 'ONLINE PAYMENT - THANK YOU' })).toBe('payment');
+    });
+
+    test('should not treat a charge that mentions payment as a card payment', () => {
+      expect(classifyTransaction({ amount: 25, description: 'PAYMENT PROCESSING SERVICES' })).toBe('charge');
+    });
+
+    test('should recognise fees and interest', () => {
+      expect(classifyTransaction({ amount: 695, description: 'PLATINUM CARD ANNUAL FEE' })).toBe('fee');
+      expect(classifyTransaction({ amount: 12.34, description: 'INTEREST CHARGE ON PURCHASES' })).toBe('fee');
+    });
+
+    test("should prefer the bank's own type column", () => {
+      expect(classifyTransaction({ amount: -20, description: 'AMAZON.COM', rawType: 'Return' }, BANK_MAPPINGS.chase)).toBe('refund');
+      expect(classifyTransaction({ amount: -300, description: 'ACH DEPOSIT', rawType: 'Payment' }, BANK_MAPPINGS.apple)).toBe('payment');
+      expect(classifyTransaction({ amount: 5, description: 'MONTHLY INSTALLMENT', rawType: 'Installment' }, BANK_MAPPINGS.apple)).toBe('charge');
+    });
+  });
+
+  describe('parseCSV', () => {
+    let tempDir;
+    const originalConsoleLog = console.log;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'types-test-'));
+      console.log = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should apply the Chase sign convention and type column', async () => {
+      const filePath = path.join(tempDir, 'chase.csv');
+      fs.writeFileSync(filePath, [
+        'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+        '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+        '01/17/2023,01/18/2023,AMAZON.COM,Shopping,Return,50.99,',
+        '01/20/2023,01/20/2023,Payment Thank You-Mobile,,Payment,500.00,',
+      ].join('\n'));
+
+      const transactions = await parseCSV(filePath, 'Chase Sapphire');
+
+      expect(transactions.map(({ amount, type }) => ({ amount, type }))).toEqual([
+        { amount: 50.99, type: 'charge' },
+        { amount: -50.99, type: 'refund' },
+        { amount: -500, type: 'payment' },
+      ]);
+    });
+
+    test('should apply the Amex sign convention without a type column', async () => {
+      const filePath = path.join(tempDir, 'amex.csv');
+      fs.writeFileSync(filePath, [
+        'Date,Description,Amount',
+        '01/15/2023,UBER,22.50',
+        '01/16/2023,UBER,-22.50',
+        '01/20/2023,AUTOPAY PAYMENT - THANK YOU,-1000.00',
+      ].join('\n'));
+
+      const transactions = await parseCSV(filePath, 'Amex Platinum');
+
+      expect(transactions.map(({ amount, type }) => ({ amount, type }))).toEqual([
+        { amount: 22.5, type: 'charge' },
+        { amount: -22.5, type: 'refund' },
+        { amount: -1000, type: 'payment' },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLedger, recordRun, findImported, summarizeRun } = require('../src/ledger');
+
+// Mock Notion client
+const mockPageUpdate = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    pages: { update: mockPageUpdate },
+  })),
+}));
+
+jest.mock('../src/prompt', () => ({ confirm: jest.fn() }));
+const { confirm } = require('../src/prompt');
+const { getUndoableRows, isPageGoneError, undoRun } = require('../src/undo');
+
+// An error as the Notion client throws it
+const notionError = (code, message) => Object.assign(new Error(message), { code });
+
+describe('Undo', () => {
+  test('should only undo uploaded rows with a page', () => {
+    const rows = getUndoableRows({
+      rows: [
+        { fingerprint: 'a', status: 'uploaded', pageId: 'page-a' },
+        { fingerprint: 'b', status: 'duplicate' },
+        { fingerprint: 'c', status: 'failed', pageId: null },
+        { fingerprint: 'd', status: 'undone', pageId: 'page-d' },
+      ],
+    });
+
+    expect(rows.map((row) => row.fingerprint)).toEqual(['a']);
+  });
+
+  test('should treat archived and missing pages as already undone', () => {
+    expect(isPageGoneError(notionError('object_not_found', 'Could not find page'))).toBe(true);
+    expect(isPageGoneError(notionError('validation_error', "Can't edit block that is archived."))).toBe(true);
+    expect(isPageGoneError(notionError('validation_error', 'body failed validation'))).toBe(false);
+    expect(isPageGoneError(notionError('unauthorized', 'API token is invalid.'))).toBe(false);
+  });
+
+  describe('undoRun', () => {
+    let tempDir;
+    let ledgerPath;
+    const originalConsoleLog = console.log;
+    const originalConsoleError = console.error;
+    const originalIsTTY = process.stdin.isTTY;
+
+    beforeEach(async () => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'undo-test-'));
+      ledgerPath = path.join(tempDir, 'ledger.json');
+      console.log = jest.fn();
+      console.error = jest.fn();
+      mockPageUpdate.mockReset().mockResolvedValue({});
+      confirm.mockReset();
+      await recordRun(ledgerPath, {
+        id: 'run-1',
+        startedAt: '2023-01-20T09:30:00.000Z',
+        databaseId: 'test-db',
+        user: 'Alli',
+        paymentMethod: 'Amex Platinum',
+        rows: [
+          { fingerprint: 'a', date: '2023-01-15', pageId: 'page-a', status: 'uploaded' },
+          { fingerprint: 'b', date: '2023-01-16', status: 'duplicate' },
+          { fingerprint: 'c', date: '2023-01-18', pageId: 'page-c', status: 'uploaded' },
+        ],
+      });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      console.error = originalConsoleError;
+      process.stdin.isTTY = originalIsTTY;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const options = (extra) => ({ notionApiKey: 'key', ledgerPath, yes: true, ...extra });
+
+    test('should archive the pages the run created and mark them undone', async () => {
+      const result = await undoRun('run-1', options());
+
+      expect(mockPageUpdate.mock.calls.map(([args]) => args)).toEqual([
+        { page_id: 'page-a', archived: true },
+        { page_id: 'page-c', archived: true },
+      ]);
+      expect(result).toMatchObject({ pages: 2, archived: 2, failed: 0 });
+
+      const ledger = await loadLedger(ledgerPath);
+      expect(ledger.runs[0].undoneAt).toEqual(expect.any(String));
+      expect(summarizeRun(ledger.runs[0])).toEqual({ uploaded: 0, duplicate: 1, failed: 0, undone: 2 });
+      expect([...findImported(ledger, ['a', 'c'], 'test-db')]).toEqual([]);
+    });
+
+    test('should do nothing the second time', async () => {
+      await undoRun('run-1', options());
+      mockPageUpdate.mockClear();
+
+      const result = await undoRun('run-1', options());
+
+      expect(mockPageUpdate).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ pages: 0, archived: 0 });
+      expect(console.log).toHaveBeenCalledWith(expect.stringContaining("Nothing to undo: the run's pages were archived at"));
+    });
+
+    test('should count pages archived outside the tool as undone', async () => {
+      mockPageUpdate.mockRejectedValueOnce(notionError('validation_error', "Can't edit block that is archived."));
+
+      const result = await undoRun('run-1', options());
+
+      expect(result).toMatchObject({ archived: 2, failed: 0 });
+    });
+
+    test('should leave pages that failed to archive for the next undo', async () => {
+      mockPageUpdate.mockRejectedValueOnce(notionError('unauthorized', 'API token is invalid.'));
+
+      const result = await undoRun('run-1', options());
+
+      expect(result).toMatchObject({ archived: 1, failed: 1, failures: [{ pageId: 'page-a', error: 'API token is invalid.' }] });
+      const ledger = await loadLedger(ledgerPath);
+      expect(ledger.runs[0].rows.map((row) => row.status)).toEqual(['uploaded', 'duplicate', 'undone']);
+    });
+
+    test('should only list the pages on a dry run', async () => {
+      const result = await undoRun('run-1', options({ dryRun: true, notionApiKey: undefined }));
+
+      expect(mockPageUpdate).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ pages: 2, archived: 0 });
+      expect(console.log).toHaveBeenCalledWith('   - page-a | 📅 2023-01-15');
+      expect((await loadLedger(ledgerPath)).runs[0].undoneAt).toBeUndefined();
+    });
+
+    test('should ask before archiving', async () => {
+      process.stdin.isTTY = true;
+      confirm.mockResolvedValue(false);
+
+      const result = await undoRun('run-1', options({ yes: undefined }));
+
+      expect(confirm).toHaveBeenCalledWith('Archive these 2 pages in Notion? [y/N] ');
+      expect(mockPageUpdate).not.toHaveBeenCalled();
+      expect(result.archived).toBe(0);
+    });
+
+    test('should need --yes without a terminal to ask in', async () => {
+      process.stdin.isTTY = undefined;
+
+      await expect(undoRun('run-1', options({ yes: undefined }))).rejects.toThrow('Confirm with --yes');
+      expect(confirm).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown run ID', async () => {
+      await expect(undoRun('run-2', options())).rejects.toThrow(`No import run run-2 in ${ledgerPath}`);
+    });
+  });
+});
@@ -0,0 +1,222 @@
+const {
+  isRetryableError,
+  isUnprocessedError,
+  getRetryAfterMs,
+  getBackoffDelayMs,
+  runUploadQueue
+} = require('../src/upload-queue');
+const { uploadToNotion } = require('../src/utils');
+
+// A virtual clock so rate limiting and backoff can be tested without real waiting
+const createClock = () => {
+  const clock = { time: 0, sleeps: [] };
+  clock.now = () => clock.time;
+  clock.sleep = jest.fn(async (ms) => {
+    clock.sleeps.push(ms);
+    clock.time += ms;
+  });
+  return clock;
+};
+
+const apiError = (status, code, headers) => Object.assign(new Error(`${code} error`), { status, code, headers });
+
+describe('Upload Queue', () => {
+  describe('isRetryableError', () => {
+    test('should retry rate limits, server errors and timeouts', () => {
+      expect(isRetryableError(apiError(429, 'rate_limited'))).toBe(true);
+      expect(isRetryableError(apiError(502, 'internal_server_error'))).toBe(true);
+      expect(isRetryableError({ code: 'notionhq_client_request_timeout' })).toBe(true);
+    });
+
+    test('should not retry validation errors', () => {
+      expect(isRetryableError(apiError(400, 'validation_error'))).toBe(false);
+      expect(isRetryableError(apiError(401, 'unauthorized'))).toBe(false);
+    });
+  });
+
+  describe('isUnprocessedError', () => {
+    test('should only trust rate limits and an unavailable service to have done nothing', () => {
+      expect(isUnprocessedError(apiError(429, 'rate_limited'))).toBe(true);
+      expect(isUnprocessedError(apiError(503, 'service_unavailable'))).toBe(true);
+      expect(isUnprocessedError(apiError(500, 'internal_server_error'))).toBe(false);
+      expect(isUnprocessedError({ code: 'notionhq_client_request_timeout' })).toBe(false);
+      expect(isUnprocessedError({ code: 'ECONNRESET' })).toBe(false);
+    });
+  });
+
+  describe('getRetryAfterMs', () => {
+    test('should read Retry-After from fetch-style and plain headers', () => {
+      expect(getRetryAfterMs({ headers: { get: () => '2' } })).toBe(2000);
+      expect(getRetryAfterMs({ headers: { 'retry-after': '0.5' } })).toBe(500);
+      expect(getRetryAfterMs({ headers: {} })).toBeNull();
+      expect(getRetryAfterMs(new Error('no headers'))).toBeNull();
+    });
+  });
+
+  describe('getBackoffDelayMs', () => {
+    test('should grow exponentially and stay under the cap', () => {
+      const options = { baseDelayMs: 100, maxDelayMs: 1000 };
+      expect(getBackoffDelayMs(0, options, () => 1)).toBe(100);
+      expect(getBackoffDelayMs(3, options, () => 1)).toBe(800);
+      expect(getBackoffDelayMs(10, options, () => 1)).toBe(1000);
+      expect(getBackoffDelayMs(3, options, () => 0.5)).toBe(400);
+    });
+  });
+
+  describe('runUploadQueue', () => {
+    test('should space requests to the configured rate', async () => {
+      const clock = createClock();
+      const startTimes = [];
+
+      await runUploadQueue([1, 2, 3, 4], async () => startTimes.push(clock.time), {
+        concurrency: 1,
+        requestsPerSecond: 4,
+        now: clock.now,
+        sleep: clock.sleep,
+      });
+
+      expect(startTimes).toEqual([0, 250, 500, 750]);
+    });
+
+    test('should never run more workers than the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+      const worker = async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await new Promise((resolve) => setImmediate(resolve));
+        active--;
+      };
+
+      await runUploadQueue(Array.from({ length: 10 }, (_, i) => i), worker, {
+        concurrency: 2,
+        sleep: async () => {},
+      });
+
+      expect(maxActive).toBe(2);
+    });
+
+    test('should use the default concurrency when given one that is not a number', async () => {
+      const results = await runUploadQueue([1, 2, 3], async (item) => item * 2, {
+        concurrency: NaN,
+        sleep: async () => {},
+      });
+
+      expect(results.map((result) => result.value)).toEqual([2, 4, 6]);
+    });
+
+    test('should honor Retry-After before retrying a rate-limited request', async () => {
+      const clock = createClock();
+      const worker = jest.fn()
+        .mockRejectedValueOnce(apiError(429, 'rate_limited', { 'retry-after': '3' }))
+        .mockResolvedValueOnce({ id: 'page-1' });
+
+      const [result] = await runUploadQueue(['row'], worker, { now: clock.now, sleep: clock.sleep });
+
+      expect(result).toEqual({ status: 'fulfilled', value: { id: 'page-1' }, attempts: 2 });
+      expect(clock.sleeps).toContain(3000);
+    });
+
+    test('should back off on server errors and give up after maxRetries', async () => {
+      const clock = createClock();
+      const worker = jest.fn().mockRejectedValue(apiError(503, 'service_unavailable'));
+
+      const [result] = await runUploadQueue(['row'], worker, {
+        maxRetries: 2,
+        now: clock.now,
+        sleep: clock.sleep,
+        random: () => 1,
+      });
+
+      expect(worker).toHaveBeenCalledTimes(3);
+      expect(result.status).toBe('rejected');
+      expect(result.attempts).toBe(3);
+      expect(clock.sleeps).toEqual(expect.arrayContaining([500, 1000]));
+    });
+
+    test('should only retry the errors isRetryable accepts', async () => {
+      const worker = jest.fn().mockRejectedValue({ code: 'ECONNRESET' });
+
+      const [result] = await runUploadQueue(['row'], worker, { isRetryable: () => false, sleep: async () => {} });
+
+      expect(worker).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ status: 'rejected', attempts: 1 });
+    });
+
+    test('should fail validation errors without retrying', async () => {
+      const worker = jest.fn().mockRejectedValue(apiError(400, 'validation_error'));
+
+      const [result] = await runUploadQueue(['row'], worker, { sleep: async () => {} });
+
+      expect(worker).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ status: 'rejected', attempts: 1 });
+    });
+  });
+
+  describe('uploadToNotion', () => {
+    const originalConsoleLog = console.log;
+    const originalConsoleWarn = console.warn;
+    const originalConsoleError = console.error;
+
+    beforeEach(() => {
+      console.log = jest.fn();
+      console.warn = jest.fn();
+      console.error = jest.fn();
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      console.warn = originalConsoleWarn;
+      console.error = originalConsoleError;
+    });
+
+    test('should report each row outcome and identify rows that failed', async () => {
+      const notionClient = {
+        pages: {
+          create: jest.fn()
+            .mockResolvedValueOnce({ id: 'page-1' })
+            .mockRejectedValueOnce(apiError(400, 'validation_error')),
+        },
+      };
+      const transactions = [
+        { date: '2023-01-15', amount: '-50.99', description: 'AMAZON.COM', paymentMethod: 'Chase Freedom', rowNumber: 2 },
+        { date: '2023-01-16', amount: '-4.95', description: 'STARBUCKS', paymentMethod: 'Chase Freedom', rowNumber: 3 },
+      ];
+
+      const results = await uploadToNotion(notionClient, 'test-db', transactions, 'Alli', {
+        concurrency: 1,
+        sleep: async () => {},
+      });
+
+      expect(results.map((result) => result.status)).toEqual(['uploaded', 'failed']);
+      expect(results[0].pageId).toBe('page-1');
+      expect(results[1].error).toBe('row 3 (STARBUCKS, 2023-01-16): validation_error error');
+    });
+
+    test('should retry rate limits but not create a page again after a timeout', async () => {
+      const notionClient = {
+        pages: {
+          create: jest.fn()
+            .mockRejectedValueOnce(apiError(429, 'rate_limited'))
+            .mockResolvedValueOnce({ id: 'page-1' })
+            .mockRejectedValueOnce(Object.assign(new Error('Request to Notion API has timed out'), { code: 'notionhq_client_request_timeout' })),
+        },
+      };
+      const transactions = [
+        { date: '2023-01-15', amount: '-50.99', description: 'AMAZON.COM', paymentMethod: 'Chase Freedom', rowNumber: 2 },
+        { date: '2023-01-16', amount: '-4.95', description: 'STARBUCKS', paymentMethod: 'Chase Freedom', rowNumber: 3 },
+      ];
+
+      const results = await uploadToNotion(notionClient, 'test-db', transactions, 'Alli', {
+        concurrency: 1,
+        sleep: async () => {},
+      });
+
+      expect(notionClient.pages.create).toHaveBeenCalledTimes(3);
+      expect(results.map((result) => result.status)).toEqual(['uploaded', 'failed']);
+      expect(results[1].error).toBe(
+        'row 3 (STARBUCKS, 2023-01-16): Request to Notion API has timed out (the page may have been created; --retry-failed checks for it first)'
+      );
+    });
+  });
+});
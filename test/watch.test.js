@@ -0,0 +1,217 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isStatementFile, inferCard } = require('../src/batch');
+const { resolveConfig } = require('../src/config');
+const { buildDatabaseProperties } = require('../src/notion-schema');
+
+// Mock Notion client
+const mockNotionCreate = jest.fn();
+const mockDatabaseQuery = jest.fn();
+const mockDatabaseRetrieve = jest.fn();
+jest.mock('@notionhq/client', () => ({
+  Client: jest.fn().mockImplementation(() => ({
+    databases: {
+      query: mockDatabaseQuery,
+      retrieve: mockDatabaseRetrieve,
+      update: jest.fn().mockResolvedValue({}),
+    },
+    pages: {
+      create: mockNotionCreate,
+    },
+  })),
+}));
+
+const { loadWatchState, moveToFolder, watchFolder, WATCH_STATE_FILENAME } = require('../src/watch');
+const { readCsvHeaders } = require('../src/utils');
+
+const CHASE_CSV = [
+  'Transaction Date,Post Date,Description,Category,Type,Amount,Memo',
+  '01/15/2023,01/16/2023,AMAZON.COM,Shopping,Sale,-50.99,',
+  '01/20/2023,01/21/2023,STARBUCKS,Food & Drink,Sale,-4.95,',
+].join('\n');
+
+const AMEX_CSV = [
+  'Date,Description,Amount',
+  '01/18/2023,SHELL OIL,30.00',
+].join('\n');
+
+describe('Watch Mode', () => {
+  const { profile } = resolveConfig({});
+
+  test('should only pick up statement files', () => {
+    expect(isStatementFile('activity.csv')).toBe(true);
+    expect(isStatementFile('Statement.QFX')).toBe(true);
+    expect(isStatementFile('activity.csv.crdownload')).toBe(false);
+    expect(isStatementFile('activity.failed.json')).toBe(false);
+    expect(isStatementFile('.~lock.activity.csv')).toBe(false);
+  });
+
+  describe('inferCard', () => {
+    test('should pick the only card using the bank format', () => {
+      expect(inferCard(profile, 'amex', 'activity.csv').name).toBe('Amex Platinum');
+    });
+
+    test('should tell cards sharing a format apart by the file name', () => {
+      expect(inferCard(profile, 'chase', 'Chase_Freedom-2023-01.csv').name).toBe('Chase Freedom');
+      expect(() => inferCard(profile, 'chase', 'Chase1234_Activity.csv'))
+        .toThrow('which more than one card uses (Chase Freedom, Chase Sapphire, Chase Southwest); put the card name in the file name');
+    });
+
+    test('should send OFX files to cards with the ofx format', () => {
+      const config = resolveConfig({
+        cards: {
+          'Chase Freedom': { owner: 'Alli', bankFormat: 'chase' },
+          'Credit Union Visa': { owner: 'Justin', bankFormat: 'ofx' },
+        },
+      });
+      expect(inferCard(config.profile, 'ofx', 'download.qfx').name).toBe('Credit Union Visa');
+    });
+  });
+
+  describe('watchFolder', () => {
+    let tempDir;
+    let inbox;
+    const originalConsoleLog = console.log;
+    const originalConsoleError = console.error;
+
+    beforeEach(() => {
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-test-'));
+      inbox = path.join(tempDir, 'inbox');
+      fs.mkdirSync(inbox);
+      console.log = jest.fn();
+      console.error = jest.fn();
+      mockNotionCreate.mockReset().mockResolvedValue({ id: 'page-id' });
+      mockDatabaseQuery.mockReset().mockResolvedValue({ results: [], has_more: false });
+      mockDatabaseRetrieve.mockResolvedValue({
+        properties: Object.fromEntries(Object.entries(buildDatabaseProperties()).map(([name, definition]) => (
+          [name, { type: Object.keys(definition)[0], ...definition }]
+        ))),
+      });
+    });
+
+    afterEach(() => {
+      console.log = originalConsoleLog;
+      console.error = originalConsoleError;
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const options = (extra) => ({
+      whoAmI: 'Alli',
+      notionApiKey: 'key',
+      notionDatabaseId: 'test-db',
+      ledgerPath: path.join(tempDir, 'ledger.json'),
+      once: true,
+      ...extra,
+    });
+
+    test('should import each statement for its card and archive it', async () => {
+      fs.writeFileSync(path.join(inbox, 'amex-january.csv'), AMEX_CSV);
+      fs.writeFileSync(path.join(inbox, 'chase-freedom-january.csv'), CHASE_CSV);
+
+      const results = await watchFolder(inbox, options());
+
+      expect(results.map((result) => [result.file, result.status, result.paymentMethod])).toEqual([
+        ['amex-january.csv', 'imported', 'Amex Platinum'],
+        ['chase-freedom-january.csv', 'imported', 'Chase Freedom'],
+      ]);
+      expect(mockNotionCreate).toHaveBeenCalledTimes(3);
+      expect(fs.readdirSync(path.join(inbox, 'archive')).sort()).toEqual(['amex-january.csv', 'chase-freedom-january.csv']);
+      expect(fs.readdirSync(inbox).filter((name) => name.endsWith('.csv'))).toEqual([]);
+    });
+
+    test('should move a statement that cannot be imported to the error folder with a log', async () => {
+      fs.writeFileSync(path.join(inbox, 'chase-activity.csv'), CHASE_CSV);
+
+      const [result] = await watchFolder(inbox, options());
+
+      expect(result.status).toBe('failed');
+      expect(mockNotionCreate).not.toHaveBeenCalled();
+      const log = fs.readFileSync(path.join(inbox, 'errors', 'chase-activity.csv.log'), 'utf8');
+      expect(log).toContain('Error: chase-activity.csv looks like a chase statement, which more than one card uses');
+    });
+
+    test('should move rows that failed to upload to the error folder for --retry-failed', async () => {
+      fs.writeFileSync(path.join(inbox, 'amex.csv'), AMEX_CSV);
+      mockNotionCreate.mockRejectedValue(Object.assign(new Error('Invalid select option'), { code: 'validation_error' }));
+
+      const [result] = await watchFolder(inbox, options());
+
+      expect(result.status).toBe('failed');
+      expect(fs.readdirSync(path.join(inbox, 'errors')).sort()).toEqual(['amex.csv', 'amex.csv.log', 'amex.failed.json']);
+      expect(fs.readFileSync(path.join(inbox, 'errors', 'amex.csv.log'), 'utf8')).toContain('Invalid select option');
+    });
+
+    test('should never import the same file twice, even after a restart', async () => {
+      fs.writeFileSync(path.join(inbox, 'amex.csv'), AMEX_CSV);
+      await watchFolder(inbox, options());
+
+      fs.writeFileSync(path.join(inbox, 'amex-again.csv'), AMEX_CSV);
+      const [result] = await watchFolder(inbox, options());
+
+      expect(result).toMatchObject({ file: 'amex-again.csv', status: 'skipped' });
+      expect(mockNotionCreate).toHaveBeenCalledTimes(1);
+      const state = await loadWatchState(path.join(inbox, WATCH_STATE_FILENAME));
+      expect(Object.values(state.files)).toEqual([expect.objectContaining({ file: 'amex.csv', status: 'imported' })]);
+    });
+
+    test('should import statements dropped in while watching', async () => {
+      const controller = new AbortController();
+      const watching = watchFolder(inbox, options({ once: false, settleMs: 50, signal: controller.signal }));
+
+      fs.writeFileSync(path.join(inbox, 'amex.csv'), AMEX_CSV);
+      const archived = path.join(inbox, 'archive', 'amex.csv');
+      for (let waited = 0; !fs.existsSync(archived) && waited < 5000; waited += 50) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+      }
+      controller.abort();
+
+      const results = await watching;
+      expect(results).toEqual([expect.objectContaining({ file: 'amex.csv', status: 'imported' })]);
+    });
+
+    test('should stop with an error when the watcher fails', async () => {
+      const { EventEmitter } = require('events');
+      const watcher = Object.assign(new EventEmitter(), { close: jest.fn() });
+      const watch = jest.spyOn(fs, 'watch').mockReturnValue(watcher);
+      try {
+        const watching = watchFolder(inbox, options({ once: false }));
+        for (let waited = 0; watch.mock.calls.length === 0 && waited < 5000; waited += 10) {
+          await new Promise((resolve) => setTimeout(resolve, 10));
+        }
+        watcher.emit('error', Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' }));
+
+        await expect(watching).rejects.toThrow(`Stopped watching ${inbox}: ENOENT: no such file or directory`);
+        expect(watcher.close).toHaveBeenCalled();
+      } finally {
+        watch.mockRestore();
+      }
+    });
+
+    test('should reject a folder that does not exist', async () => {
+      await expect(watchFolder(path.join(tempDir, 'missing'), options())).rejects.toThrow('Watch folder not found at path');
+    });
+  });
+
+  test('should read the header row of a CSV file', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'headers-test-'));
+    const csvPath = path.join(tempDir, 'amex.csv');
+    fs.writeFileSync(csvPath, `﻿${AMEX_CSV}`);
+
+    await expect(readCsvHeaders(csvPath)).resolves.toEqual(['Date', 'Description', 'Amount']);
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should add a timestamp when moving onto an existing file', async () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'move-test-'));
+    const folder = path.join(tempDir, 'archive');
+    fs.mkdirSync(folder);
+    fs.writeFileSync(path.join(folder, 'amex.csv'), 'old');
+    fs.writeFileSync(path.join(tempDir, 'amex.csv'), 'new');
+
+    const movedTo = await moveToFolder(path.join(tempDir, 'amex.csv'), folder, new Date('2023-01-20T09:30:00Z'));
+
+    expect(path.basename(movedTo)).toBe('amex-20230120T093000000Z.csv');
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+});